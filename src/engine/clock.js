@@ -2,9 +2,14 @@
  * Game clock for managing 1-second tick intervals
  * Provides precise timing for deterministic simulation
  */
+
+// Supported game speed multipliers
+export const GAME_SPEEDS = [0.25, 0.5, 1, 2, 4, 10];
+
 export class Clock {
   constructor(interval = 1000) {
     this.interval = interval;
+    this.speed = 1; // Game speed multiplier
     this.timer = null;
     this.isRunning = false;
     this.tickCount = 0;
@@ -35,16 +40,43 @@ export class Clock {
     if (this.isRunning) return;
     
     this.isRunning = true;
-    this.timer = setInterval(() => {
-      this.tickCount++;
-      this.callbacks.forEach(callback => {
-        try {
-          callback(this.tickCount);
-        } catch (error) {
-          console.error('Clock callback error:', error);
-        }
-      });
-    }, this.interval);
+    this.timer = setInterval(() => this.tick(), this.interval / this.speed);
+  }
+  
+  /**
+   * Change game speed, restarting the timer if running
+   */
+  setSpeed(speed) {
+    if (!GAME_SPEEDS.includes(speed)) {
+      throw new Error(`Invalid game speed: ${speed}. Must be one of ${GAME_SPEEDS.join(', ')}`);
+    }
+    
+    this.speed = speed;
+    if (this.isRunning) {
+      this.stop();
+      this.start();
+    }
+  }
+  
+  /**
+   * Get current game speed multiplier
+   */
+  getSpeed() {
+    return this.speed;
+  }
+  
+  /**
+   * Advance one tick synchronously (used by the timer and headless mode)
+   */
+  tick() {
+    this.tickCount++;
+    this.callbacks.forEach(callback => {
+      try {
+        callback(this.tickCount);
+      } catch (error) {
+        console.error('Clock callback error:', error);
+      }
+    });
   }
   
   /**
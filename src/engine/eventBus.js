@@ -2,92 +2,228 @@
  * Event bus for coordinating all component communication
  * Provides decoupled messaging between game systems
  */
+import {
+  EVENTS,
+  getEventDefinition,
+  getProviderEventType,
+  isEventRequest,
+  isProviderEventCopy,
+  resolveEventType,
+  validateEventPayload
+} from './eventCatalogue.js';
+import { RingBuffer } from './ringBuffer.js';
 
-// Core event types
-export const EVENTS = {
-  TICK_START: 'tick_start',
-  TRAFFIC_GENERATED: 'traffic_generated',
-  REQUESTS_PROCESSED: 'requests_processed',
-  METRICS_UPDATED: 'metrics_updated',
-  SERVICE_DEPLOYED: 'service_deployed',
-  SERVICE_REMOVED: 'service_removed',
-  PROVIDER_CHANGED: 'provider_changed',
-  GAME_OVER: 'game_over',
-  GAME_RESET: 'game_reset',
-  UI_UPDATE: 'ui_update'
-};
+// Event names live in the catalogue along with their payload schemas
+export { EVENTS };
+
+/**
+ * Check whether an event type matches a subscription pattern
+ * '*' matches one namespace segment, a trailing '*' matches everything below
+ * its namespace ('aws:*' matches 'aws:spot_interrupted' and 'aws:ec2:scaled'),
+ * and '*' on its own matches every event
+ */
+export function matchesEvent(pattern, eventType) {
+  if (pattern === eventType || pattern === '*') {
+    return true;
+  }
+  if (!pattern.includes('*')) {
+    return false;
+  }
+  
+  const patternParts = pattern.split(':');
+  const typeParts = eventType.split(':');
+  for (let i = 0; i < patternParts.length; i++) {
+    const part = patternParts[i];
+    if (part === '*' && i === patternParts.length - 1) {
+      return typeParts.length > i;
+    }
+    if (i >= typeParts.length || (part !== '*' && part !== typeParts[i])) {
+      return false;
+    }
+  }
+  return patternParts.length === typeParts.length;
+}
 
 export class EventBus {
-  constructor() {
-    this.events = {};
-    this.eventHistory = [];
-    this.maxHistorySize = 1000;
+  constructor(config = {}) {
+    this.events = {}; // event type or pattern -> listeners
+    this.nextListenerOrder = 0; // Subscription order, breaks priority ties
+    
+    // Most recent events, tagged with the tick they happened on
+    this.eventHistory = new RingBuffer(config.historySize || 1000);
+    this.currentTick = 0; // Tick for events whose payload carries none
+    
+    // Development mode checks payloads against the event catalogue on emit
+    this.devMode = config.devMode || false;
+  }
+  
+  /**
+   * Turn payload validation on or off
+   */
+  setDevMode(enabled) {
+    this.devMode = enabled;
   }
   
   /**
-   * Subscribe to an event
+   * Set the tick events are recorded against
    */
-  on(eventType, handler) {
+  setTick(tick) {
+    this.currentTick = tick;
+  }
+  
+  /**
+   * Subscribe to an event, or to every event matching a pattern ('service:*')
+   * Higher priority listeners run first; handlers get (payload, eventType)
+   * Legacy names such as 'service_deployed' subscribe to their namespaced event
+   * Returns a function that unsubscribes
+   */
+  on(eventType, handler, options = {}) {
+    return this.addListener(eventType, handler, options, false);
+  }
+  
+  /**
+   * Subscribe for the next matching event only
+   * Returns a function that unsubscribes if it has not fired yet
+   */
+  once(eventType, handler, options = {}) {
+    return this.addListener(eventType, handler, options, true);
+  }
+  
+  /**
+   * Add a listener and return its unsubscribe function
+   */
+  addListener(eventType, handler, options, once) {
+    eventType = resolveEventType(eventType);
     if (!this.events[eventType]) {
       this.events[eventType] = [];
     }
-    this.events[eventType].push(handler);
+    
+    const listener = {
+      pattern: eventType,
+      handler,
+      priority: options.priority || 0,
+      order: this.nextListenerOrder++,
+      once,
+      removed: false
+    };
+    this.events[eventType].push(listener);
+    
+    return () => this.removeListener(listener);
   }
   
   /**
-   * Unsubscribe from an event
+   * Unsubscribe a handler from an event or pattern
    */
   off(eventType, handler) {
-    if (!this.events[eventType]) return;
+    eventType = resolveEventType(eventType);
+    const listener = this.events[eventType]?.find(entry => entry.handler === handler);
+    if (listener) {
+      this.removeListener(listener);
+    }
+  }
+  
+  /**
+   * Remove a listener (safe to call more than once)
+   */
+  removeListener(listener) {
+    const listeners = this.events[listener.pattern];
+    listener.removed = true;
+    if (!listeners) return;
     
-    const index = this.events[eventType].indexOf(handler);
+    const index = listeners.indexOf(listener);
     if (index > -1) {
-      this.events[eventType].splice(index, 1);
+      listeners.splice(index, 1);
+    }
+    if (listeners.length === 0) {
+      delete this.events[listener.pattern];
     }
   }
   
+  /**
+   * Get the listeners an event would be delivered to, in call order
+   */
+  getListeners(eventType) {
+    const listeners = [];
+    for (const [pattern, patternListeners] of Object.entries(this.events)) {
+      if (matchesEvent(pattern, eventType)) {
+        listeners.push(...patternListeners);
+      }
+    }
+    return listeners.sort((a, b) => b.priority - a.priority || a.order - b.order);
+  }
+  
   /**
    * Emit an event to all subscribers
    */
   emit(eventType, payload = null) {
-    // Log event for debugging and replay
-    const eventRecord = {
-      type: eventType,
-      payload: payload,
-      timestamp: Date.now()
-    };
-    
-    this.eventHistory.push(eventRecord);
-    
-    // Maintain history size limit
-    if (this.eventHistory.length > this.maxHistorySize) {
-      this.eventHistory.shift();
+    eventType = resolveEventType(eventType);
+    if (this.devMode) {
+      const errors = validateEventPayload(eventType, payload);
+      if (errors.length > 0) {
+        console.warn(`Event payload mismatch for ${eventType}: ${errors.join('; ')}`);
+      }
     }
     
-    // Emit to all handlers
-    if (this.events[eventType]) {
-      this.events[eventType].forEach(handler => {
-        try {
-          handler(payload);
-        } catch (error) {
-          console.error(`Event handler error for ${eventType}:`, error);
-        }
+    // Log event for debugging and post-mortems (per-tick bulk events are left
+    // out, as are requests and provider copies, which are logged through their
+    // announcement and service event)
+    if (getEventDefinition(eventType)?.history !== false &&
+        !isEventRequest(eventType, payload) && !isProviderEventCopy(eventType)) {
+      this.eventHistory.push({
+        tick: typeof payload?.tick === 'number' ? payload.tick : this.currentTick,
+        type: eventType,
+        payload: payload
       });
     }
+    
+    // Emit to all handlers; listeners removed by an earlier handler are skipped
+    for (const listener of this.getListeners(eventType)) {
+      if (listener.removed) continue;
+      if (listener.once) {
+        this.removeListener(listener);
+      }
+      
+      try {
+        listener.handler(payload, eventType);
+      } catch (error) {
+        console.error(`Event handler error for ${eventType}:`, error);
+      }
+    }
+  }
+  
+  /**
+   * Get event history, oldest first, optionally only events matching a pattern
+   */
+  getEventHistory(pattern = '*') {
+    pattern = resolveEventType(pattern);
+    return this.eventHistory.toArray().filter(record => {
+      // Service events also answer to their provider copy ('aws:scaled')
+      const providerType = getProviderEventType(record.type, record.payload?.provider);
+      return matchesEvent(pattern, record.type) || (providerType !== null && matchesEvent(pattern, providerType));
+    });
   }
   
   /**
-   * Get event history for debugging/replay
+   * Change how many events the history keeps (newest are kept)
    */
-  getEventHistory() {
-    return [...this.eventHistory];
+  setHistorySize(size) {
+    this.eventHistory.setCapacity(size);
+  }
+  
+  /**
+   * Export event history as NDJSON, one event record per line
+   */
+  exportHistory(pattern = '*') {
+    return this.getEventHistory(pattern)
+      .map(record => `${stringifyRecord(record)}\n`)
+      .join('');
   }
   
   /**
    * Clear event history
    */
   clearHistory() {
-    this.eventHistory = [];
+    this.eventHistory.clear();
   }
   
   /**
@@ -101,3 +237,20 @@ export class EventBus {
     return subscriptions;
   }
 }
+
+/**
+ * Serialize an event record to one line of JSON (Maps become objects, Sets arrays)
+ */
+function stringifyRecord(record) {
+  const replacer = (key, value) => {
+    if (value instanceof Map) return Object.fromEntries(value);
+    if (value instanceof Set) return [...value];
+    return value;
+  };
+  
+  try {
+    return JSON.stringify(record, replacer);
+  } catch (error) {
+    return JSON.stringify({ ...record, payload: `[unserializable: ${error.message}]` });
+  }
+}
@@ -0,0 +1,307 @@
+/**
+ * Event catalogue for CloudFall
+ * Every core event with its name and payload schema; EVENTS is derived from here
+ *
+ * Payload schemas map field -> type ('number', 'string', 'boolean', 'object',
+ * 'array' or 'any'), with a trailing '?' for optional fields. A schema of null
+ * means the event carries no payload. Events marked history: false fire every
+ * tick with bulk payloads and are left out of the event history.
+ *
+ * Events with a request schema double as commands: emitted with that payload
+ * (e.g. SERVICE_DEPLOYED with { service }) they ask the owner to act, and the
+ * owner announces the outcome with the normal payload. Requests are not
+ * recorded in the history; the announcement is.
+ *
+ * Events marked providerScoped are published a second time under the service's
+ * provider namespace with the same payload ('service:spot_interrupted' is
+ * followed by 'aws:spot_interrupted'), so 'aws:*' follows a single cloud. Only
+ * the service event is recorded; history queries match it under both names.
+ */
+
+// Fields every event published for a service carries (see ServiceRegistry.publishServiceEvents)
+const SERVICE_FIELDS = {
+  tick: 'number',
+  serviceId: 'string',
+  service: 'string', // service name
+  provider: 'string'
+};
+
+export const EVENT_CATALOGUE = {
+  // Tick lifecycle
+  TICK_START: {
+    type: 'tick:start',
+    description: 'A tick is about to run',
+    payload: { tick: 'number', gameState: 'object' },
+    history: false
+  },
+  TICK_FAILED: {
+    type: 'tick:failed',
+    description: 'A tick phase failed and the rest of the tick was skipped',
+    payload: { tick: 'number', phase: 'string', handler: 'string?', error: 'string', skipped: 'array' }
+  },
+  TRAFFIC_GENERATED: {
+    type: 'traffic:generated',
+    description: 'The tick\'s requests were generated',
+    payload: { tick: 'number', requests: 'array' },
+    history: false
+  },
+  REQUESTS_PROCESSED: {
+    type: 'requests:processed',
+    description: 'The tick\'s requests were routed and tallied',
+    payload: { tick: 'number', requests: 'array', results: 'object' },
+    history: false
+  },
+  METRICS_UPDATED: {
+    type: 'metrics:updated',
+    description: 'Scores and the SLA budget were updated for the tick',
+    payload: { tick: 'number', gameState: 'object' },
+    history: false
+  },
+  UI_UPDATE: {
+    type: 'ui:update',
+    description: 'The tick finished and views should redraw',
+    payload: { tick: 'number', gameState: 'object' },
+    history: false
+  },
+
+  // Traffic
+  ATTACK_STARTED: {
+    type: 'traffic:attack_started',
+    description: 'An attack began',
+    payload: { tick: 'number', duration: 'number' }
+  },
+  ATTACK_ENDED: {
+    type: 'traffic:attack_ended',
+    description: 'An attack subsided',
+    payload: { tick: 'number' }
+  },
+  SPIKE_STARTED: {
+    type: 'traffic:spike_started',
+    description: 'A traffic spike was triggered',
+    payload: { tick: 'number', multiplier: 'number', duration: 'number' }
+  },
+  SPIKE_ENDED: {
+    type: 'traffic:spike_ended',
+    description: 'A traffic spike ran its course',
+    payload: { tick: 'number' }
+  },
+
+  // Topology
+  SERVICE_DEPLOYED: {
+    type: 'service:deployed',
+    description: 'A service was added to the infrastructure',
+    payload: { ...SERVICE_FIELDS, serviceType: 'string?' },
+    request: { service: 'object' }, // Deploy this service instance
+    providerScoped: true
+  },
+  SERVICE_REMOVED: {
+    type: 'service:removed',
+    description: 'A service was torn down',
+    payload: { ...SERVICE_FIELDS },
+    request: { serviceId: 'string' }, // Remove this service
+    providerScoped: true
+  },
+  SERVICE_CONNECTED: {
+    type: 'service:connected',
+    description: 'Requests now flow from one service to another',
+    payload: { fromId: 'string', toId: 'string' }
+  },
+  SERVICE_DISCONNECTED: {
+    type: 'service:disconnected',
+    description: 'A connection between two services was removed',
+    payload: { fromId: 'string', toId: 'string' }
+  },
+  PROVIDER_CHANGED: {
+    type: 'provider:changed',
+    description: 'The active cloud provider changed',
+    payload: { provider: 'string' }
+  },
+
+  // Service behaviour
+  SERVICE_HEALTH_CHANGED: {
+    type: 'service:health_changed',
+    description: 'A service moved between healthy, degraded and failed',
+    payload: { ...SERVICE_FIELDS, from: 'string', to: 'string' },
+    providerScoped: true
+  },
+  SERVICE_SCALED: {
+    type: 'service:scaled',
+    description: 'An autoscaler changed a service\'s instance count',
+    payload: { ...SERVICE_FIELDS, from: 'number', to: 'number' },
+    providerScoped: true
+  },
+  SPOT_INTERRUPTED: {
+    type: 'service:spot_interrupted',
+    description: 'Spot capacity was reclaimed by the provider',
+    payload: { ...SERVICE_FIELDS },
+    providerScoped: true
+  },
+  DATABASE_FAILOVER: {
+    type: 'service:failover',
+    description: 'A database failed over to its standby',
+    payload: { ...SERVICE_FIELDS, stage: 'string' }, // 'started' or 'completed'
+    providerScoped: true
+  },
+  WAF_RULE_MATCHED: {
+    type: 'service:waf_rule_matched',
+    description: 'A firewall rule matched requests during the tick',
+    payload: { ...SERVICE_FIELDS, rule: 'string', matches: 'number' },
+    providerScoped: true
+  },
+
+  // Game
+  PLAYER_ACTION: {
+    type: 'player:action',
+    description: 'The player changed the game (recorded for replay)',
+    payload: { tick: 'number', type: 'string', params: 'any' }
+  },
+  SLA_WARNING: {
+    type: 'sla:warning',
+    description: 'The SLA error budget burn crossed a warning level',
+    payload: { tick: 'number', burned: 'number', remainingBudget: 'number', errorBudget: 'number' }
+  },
+  GAME_OVER: {
+    type: 'game:over',
+    description: 'The game ended',
+    payload: { tick: 'number', reason: 'string' }
+  },
+  GAME_RESET: {
+    type: 'game:reset',
+    description: 'Request to reset the game',
+    payload: null
+  }
+};
+
+// Event names by constant, e.g. EVENTS.GAME_OVER === 'game:over'
+export const EVENTS = Object.fromEntries(
+  Object.entries(EVENT_CATALOGUE).map(([key, definition]) => [key, definition.type])
+);
+
+// Event names from before events were namespaced, accepted anywhere an event type is
+export const LEGACY_EVENT_TYPES = {
+  tick_start: EVENTS.TICK_START,
+  traffic_generated: EVENTS.TRAFFIC_GENERATED,
+  requests_processed: EVENTS.REQUESTS_PROCESSED,
+  metrics_updated: EVENTS.METRICS_UPDATED,
+  service_deployed: EVENTS.SERVICE_DEPLOYED,
+  service_removed: EVENTS.SERVICE_REMOVED,
+  provider_changed: EVENTS.PROVIDER_CHANGED,
+  game_over: EVENTS.GAME_OVER,
+  game_reset: EVENTS.GAME_RESET,
+  ui_update: EVENTS.UI_UPDATE
+};
+
+/**
+ * Map a legacy event name to its namespaced type; other types and patterns pass through
+ */
+export function resolveEventType(eventType) {
+  return LEGACY_EVENT_TYPES[eventType] || eventType;
+}
+
+const DEFINITIONS_BY_TYPE = new Map(
+  Object.values(EVENT_CATALOGUE).map(definition => [definition.type, definition])
+);
+
+/**
+ * Get an event's catalogue entry by its type, or null for events outside the catalogue
+ * Provider-namespaced copies ('aws:scaled') share their service event's entry
+ */
+export function getEventDefinition(eventType) {
+  const definition = DEFINITIONS_BY_TYPE.get(eventType);
+  if (definition) {
+    return definition;
+  }
+
+  const [namespace, name, ...rest] = eventType.split(':');
+  const serviceDefinition = name && rest.length === 0 && namespace !== 'service'
+    ? DEFINITIONS_BY_TYPE.get(`service:${name}`)
+    : null;
+  return serviceDefinition?.providerScoped ? serviceDefinition : null;
+}
+
+/**
+ * Check whether an event type is the provider-namespaced copy of a service event
+ */
+export function isProviderEventCopy(eventType) {
+  const definition = getEventDefinition(eventType);
+  return Boolean(definition?.providerScoped) && definition.type !== eventType;
+}
+
+/**
+ * Get the provider-namespaced type a service event is also published under, or null
+ */
+export function getProviderEventType(eventType, provider) {
+  if (!provider || !DEFINITIONS_BY_TYPE.get(eventType)?.providerScoped) {
+    return null;
+  }
+  return `${provider}:${eventType.split(':')[1]}`;
+}
+
+/**
+ * Check whether an emitted payload is a request rather than an announcement
+ */
+export function isEventRequest(eventType, payload) {
+  const request = getEventDefinition(eventType)?.request;
+  return Boolean(request) && checkSchema(request, payload).length === 0;
+}
+
+/**
+ * Check a payload against its event's schema (or its request schema)
+ * Returns a list of mismatches; events outside the catalogue are not checked
+ */
+export function validateEventPayload(eventType, payload) {
+  const definition = getEventDefinition(eventType);
+  if (!definition || isEventRequest(eventType, payload)) {
+    return [];
+  }
+
+  return checkSchema(definition.payload, payload);
+}
+
+/**
+ * Check a payload against a payload schema
+ */
+function checkSchema(schema, payload) {
+  if (schema === null) {
+    return payload === null || payload === undefined ? [] : ['expected no payload'];
+  }
+
+  if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+    return [`expected an object payload, got ${describeType(payload)}`];
+  }
+
+  const errors = [];
+  for (const [field, fieldType] of Object.entries(schema)) {
+    const optional = fieldType.endsWith('?');
+    const expected = optional ? fieldType.slice(0, -1) : fieldType;
+    const value = payload[field];
+
+    if (value === undefined || value === null) {
+      if (!optional) {
+        errors.push(`missing ${field}`);
+      }
+      continue;
+    }
+
+    if (expected !== 'any' && describeType(value) !== expected) {
+      errors.push(`${field} should be ${expected}, got ${describeType(value)}`);
+    }
+  }
+
+  for (const field of Object.keys(payload)) {
+    if (!(field in schema)) {
+      errors.push(`unexpected field ${field}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Name a value's type the way payload schemas do
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
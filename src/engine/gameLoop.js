@@ -5,29 +5,78 @@
 import { Clock } from "./clock.js";
 import { EventBus, EVENTS } from "./eventBus.js";
 import { GameState } from "./gameState.js";
+import { SeededRandom } from "./random.js";
+import { ActionRecorder } from "./recorder.js";
+import { SaveManager } from "./saveGame.js";
+import { TickPipeline } from "./tickPipeline.js";
 import { ServiceRegistry } from "../infra/serviceRegistry.js";
 import { TrafficGenerator } from "../traffic/generator.js";
+import { ScoringEngine } from "../scoring/metrics.js";
+import { SLATracker } from "../scoring/sla.js";
 
 export class GameLoop {
-  constructor() {
-    this.eventBus = new EventBus();
+  constructor(config = {}) {
+    this.eventBus = new EventBus({ devMode: config.devMode });
     this.gameState = new GameState();
     this.clock = new Clock(1000); // 1-second ticks
     
+    // Seeded RNG shared by every simulation module
+    this.random = new SeededRandom(config.seed ?? Date.now());
+    
     // Initialize subsystems
-    this.serviceRegistry = new ServiceRegistry(this.eventBus, this.gameState);
-    this.trafficGenerator = new TrafficGenerator(this.eventBus, this.gameState);
+    this.serviceRegistry = new ServiceRegistry(this.eventBus, this.gameState, this.random);
+    this.trafficGenerator = new TrafficGenerator(this.eventBus, this.gameState, this.random);
+    this.scoringEngine = new ScoringEngine(this.eventBus, this.gameState);
+    this.slaTracker = new SLATracker(this.eventBus, this.gameState, config.sla);
+    
+    // Record player actions for deterministic replay
+    this.recorder = new ActionRecorder(this.eventBus);
+    this.recorder.start(this.random.getSeed());
+    
+    this.saveManager = new SaveManager(this);
+    
+    // Each tick runs as an ordered pipeline of phases the subsystems register into
+    this.tickPipeline = new TickPipeline();
+    this.lastTickReport = null;
+    for (const system of [this.trafficGenerator, this.serviceRegistry, this.scoringEngine, this.slaTracker]) {
+      system.registerTickPhases(this.tickPipeline);
+    }
+    this.registerTickPhases();
     
     this.setupEventHandlers();
     this.setupClockCallback();
   }
   
+  /**
+   * Register the loop's own phase handlers, which announce each phase's
+   * outcome on the event bus once the systems have run
+   */
+  registerTickPhases() {
+    const last = { name: 'events', priority: -100 };
+    
+    this.tickPipeline.register('generate', ({ requests }, { tick }) => {
+      this.eventBus.emit(EVENTS.TRAFFIC_GENERATED, { tick, requests });
+    }, last);
+    
+    this.tickPipeline.register('process', ({ requests, results }, { tick }) => {
+      this.eventBus.emit(EVENTS.REQUESTS_PROCESSED, { tick, requests, results });
+    }, last);
+    
+    this.tickPipeline.register('score', (input, { tick }) => {
+      this.eventBus.emit(EVENTS.METRICS_UPDATED, { tick, gameState: this.gameState });
+    }, last);
+    
+    this.tickPipeline.register('render', (input, { tick }) => {
+      this.eventBus.emit(EVENTS.UI_UPDATE, { tick, gameState: this.gameState.getSnapshot() });
+    }, last);
+  }
+  
   /**
    * Set up core event handlers
    */
   setupEventHandlers() {
     // Handle game over conditions
-    this.eventBus.on(EVENTS.GAME_OVER, (reason) => {
+    this.eventBus.on(EVENTS.GAME_OVER, ({ reason }) => {
       this.pause();
       console.log('Game Over:', reason);
     });
@@ -49,49 +98,47 @@ export class GameLoop {
   
   /**
    * Execute a single game tick
-   * Follows the sequence: Generate -> Route -> Process -> Calculate -> Update -> Render
+   * Runs the tick pipeline: Generate -> Route -> Process -> Score -> Render
+   * Returns the pipeline's report; a failed phase is reported, not thrown
    */
   executeTick(tickNumber) {
     if (this.gameState.metrics.gameOver) {
       this.pause();
-      return;
+      return null;
     }
     
     this.gameState.tick = tickNumber;
+    this.eventBus.setTick(tickNumber);
     
-    // 1. Start tick
     this.eventBus.emit(EVENTS.TICK_START, {
       tick: tickNumber,
       gameState: this.gameState.getSnapshot()
     });
     
-    // 2. Generate traffic (handled by traffic generator)
-    this.eventBus.emit(EVENTS.TRAFFIC_GENERATED, {
-      tick: tickNumber
-    });
+    const report = this.tickPipeline.run(tickNumber);
+    this.lastTickReport = report;
     
-    // 3. Process requests through infrastructure (handled by service registry)
-    this.eventBus.emit(EVENTS.REQUESTS_PROCESSED, {
-      tick: tickNumber,
-      requests: this.gameState.currentRequests
-    });
-    
-    // 4. Update metrics (handled by scoring system)
-    this.eventBus.emit(EVENTS.METRICS_UPDATED, {
-      tick: tickNumber,
-      gameState: this.gameState
-    });
-    
-    // 5. Update UI (handled by renderer)
-    this.eventBus.emit(EVENTS.UI_UPDATE, {
-      tick: tickNumber,
-      gameState: this.gameState.getSnapshot()
-    });
+    if (!report.ok) {
+      const { phase, handler, error } = report.failure;
+      console.error(`Tick ${tickNumber} failed in ${phase} phase${handler ? ` (${handler})` : ''}:`, error);
+      this.eventBus.emit(EVENTS.TICK_FAILED, {
+        tick: tickNumber,
+        phase,
+        handler,
+        error: error.message,
+        skipped: report.skipped
+      });
+    }
     
     // Check for game over conditions
     if (this.gameState.metrics.gameOver) {
-      this.eventBus.emit(EVENTS.GAME_OVER, this.gameState.metrics.gameOverReason);
+      this.eventBus.emit(EVENTS.GAME_OVER, {
+        tick: tickNumber,
+        reason: this.gameState.metrics.gameOverReason
+      });
     }
+    
+    return report;
   }
   
   /**
@@ -108,6 +155,52 @@ export class GameLoop {
     console.log('CloudFall game started');
   }
   
+  /**
+   * Run N ticks synchronously without timers or DOM (headless fast-forward)
+   * Stops early on game over and returns the resulting status
+   */
+  runTicks(count) {
+    for (let i = 0; i < count; i++) {
+      if (this.gameState.metrics.gameOver) {
+        break;
+      }
+      this.clock.tick();
+    }
+    
+    return this.getStatus();
+  }
+  
+  /**
+   * Advance exactly one tick (pauses the game first if running)
+   */
+  step() {
+    if (this.gameState.metrics.gameOver) {
+      console.warn('Cannot step game - game over condition active');
+      return;
+    }
+    
+    if (this.gameState.isRunning) {
+      this.pause();
+    }
+    
+    this.clock.tick();
+  }
+  
+  /**
+   * Set game speed multiplier (0.25x - 10x)
+   */
+  setSpeed(speed) {
+    this.clock.setSpeed(speed);
+    console.log(`CloudFall speed set to ${speed}x`);
+  }
+  
+  /**
+   * Get game speed multiplier
+   */
+  getSpeed() {
+    return this.clock.getSpeed();
+  }
+  
   /**
    * Pause the game loop
    */
@@ -122,13 +215,129 @@ export class GameLoop {
    */
   reset() {
     this.clock.reset();
+    this.random.reset();
+    this.serviceRegistry.reset(); // Removes services through GameState, so before it resets
     this.gameState.reset();
-    this.serviceRegistry.reset();
     this.trafficGenerator.reset();
+    this.scoringEngine.reset();
+    this.slaTracker.reset();
+    this.recorder.start(this.random.getSeed());
     this.eventBus.clearHistory();
+    this.eventBus.setTick(0);
     console.log('CloudFall game reset');
   }
   
+  /**
+   * Announce a player action so it can be recorded for replay
+   */
+  recordAction(type, params) {
+    this.eventBus.emit(EVENTS.PLAYER_ACTION, {
+      tick: this.gameState.tick,
+      type,
+      params
+    });
+  }
+  
+  /**
+   * Deploy a service (recorded player action)
+   */
+  deployService(service) {
+    const deployed = this.serviceRegistry.deployService(service);
+    if (deployed) {
+      this.recordAction('deployService', ActionRecorder.describeService(service));
+    }
+    return deployed;
+  }
+  
+  /**
+   * Remove a service (recorded player action)
+   */
+  removeService(serviceId) {
+    const removed = this.serviceRegistry.removeService(serviceId);
+    if (removed) {
+      this.recordAction('removeService', { serviceId });
+    }
+    return removed;
+  }
+  
+  /**
+   * Connect two services, requests flowing fromId -> toId (recorded player action)
+   */
+  connectServices(fromId, toId) {
+    const connected = this.serviceRegistry.connect(fromId, toId);
+    if (connected) {
+      this.recordAction('connectServices', { fromId, toId });
+    }
+    return connected;
+  }
+  
+  /**
+   * Disconnect two services (recorded player action)
+   */
+  disconnectServices(fromId, toId) {
+    const disconnected = this.serviceRegistry.disconnect(fromId, toId);
+    if (disconnected) {
+      this.recordAction('disconnectServices', { fromId, toId });
+    }
+    return disconnected;
+  }
+  
+  /**
+   * Trigger a traffic spike (recorded player action)
+   * Returns false if the duration is under one tick
+   */
+  triggerSpike(multiplier = 5, duration = 10) {
+    const triggered = this.trafficGenerator.triggerTrafficSpike(multiplier, duration);
+    if (triggered) {
+      this.recordAction('triggerSpike', { multiplier, duration });
+    }
+    return triggered;
+  }
+  
+  /**
+   * Change traffic parameters (recorded player action)
+   */
+  setTrafficParameters(params) {
+    this.trafficGenerator.setTrafficParameters(params);
+    this.recordAction('setTrafficParameters', { ...params });
+  }
+  
+  /**
+   * Get the recorded replay of the current game
+   */
+  getReplay() {
+    return this.recorder.getReplay(this.gameState.tick);
+  }
+  
+  /**
+   * Save the full game state (versioned, JSON-compatible)
+   */
+  save() {
+    return this.saveManager.save();
+  }
+  
+  /**
+   * Load a game saved with save() - the game is left paused
+   */
+  load(data) {
+    return this.saveManager.load(data);
+  }
+  
+  /**
+   * Get the seed driving this game's random number generator
+   */
+  getSeed() {
+    return this.random.getSeed();
+  }
+  
+  /**
+   * Reset the game with a new seed
+   */
+  setSeed(seed) {
+    this.random.reset(seed);
+    this.reset();
+  }
+  
   /**
    * Get the event bus for external systems to subscribe
    */
@@ -157,6 +366,20 @@ export class GameLoop {
     return this.trafficGenerator;
   }
   
+  /**
+   * Get the tick pipeline for registering phase handlers
+   */
+  getTickPipeline() {
+    return this.tickPipeline;
+  }
+  
+  /**
+   * Get the scoring engine for scores and metric time series
+   */
+  getScoringEngine() {
+    return this.scoringEngine;
+  }
+  
   /**
    * Get current game status
    */
@@ -164,12 +387,19 @@ export class GameLoop {
     return {
       isRunning: this.gameState.isRunning,
       tick: this.gameState.tick,
+      seed: this.getSeed(),
+      speed: this.getSpeed(),
       gameOver: this.gameState.metrics.gameOver,
       gameOverReason: this.gameState.metrics.gameOverReason,
       serviceCount: this.serviceRegistry.services.size,
       healthSummary: this.serviceRegistry.getHealthSummary(),
       costSummary: this.serviceRegistry.getCostSummary(),
-      trafficStats: this.trafficGenerator.getStatistics()
+      trafficStats: this.trafficGenerator.getStatistics(),
+      score: this.scoringEngine.getSummary(),
+      sla: this.slaTracker.getStatus(),
+      lastTickFailure: this.lastTickReport?.failure
+        ? { phase: this.lastTickReport.failure.phase, error: this.lastTickReport.failure.error.message }
+        : null
     };
   }
 }
@@ -2,17 +2,16 @@
  * Central game state management for CloudFall
  * Maintains all simulation data with provider-specific sections
  */
+import { encodeValue, decodeValue } from "./serialization.js";
+import { getProviderNames } from "../infra/providerRegistry.js";
+
 export class GameState {
   constructor() {
     this.tick = 0;
     this.isRunning = false;
     
-    // Provider-specific service tracking
-    this.providers = {
-      aws: { services: [], totalCost: 0 },
-      gcp: { services: [], totalCost: 0 },
-      azure: { services: [], totalCost: 0 }
-    };
+    // Provider-specific service tracking, one section per registered provider
+    this.providers = createProviderSections();
     
     // Core game metrics
     this.metrics = {
@@ -23,11 +22,15 @@ export class GameState {
       requestsProcessed: 0,
       requestsDropped: 0,
       requestsBlocked: 0,
+      falsePositives: 0, // Legitimate users blocked by the WAF
       slaThreshold: 90,
       gameOver: false,
       gameOverReason: null
     };
     
+    // SLA error budget (managed by SLATracker)
+    this.sla = null;
+    
     // Current scenario state
     this.scenario = null;
     
@@ -45,6 +48,11 @@ export class GameState {
    */
   addService(service) {
     this.services.set(service.id, service);
+    
+    // Providers registered after the game started get their section on first use
+    if (!this.providers[service.provider]) {
+      this.providers[service.provider] = { services: [], totalCost: 0 };
+    }
     this.providers[service.provider].services.push(service.id);
   }
   
@@ -54,40 +62,62 @@ export class GameState {
   removeService(serviceId) {
     const service = this.services.get(serviceId);
     if (service) {
-      const providerServices = this.providers[service.provider].services;
+      const providerServices = this.providers[service.provider]?.services || [];
       const index = providerServices.indexOf(serviceId);
       if (index > -1) {
         providerServices.splice(index, 1);
       }
       this.services.delete(serviceId);
       this.connections.delete(serviceId);
+      
+      // Drop links pointing at the removed service
+      for (const [fromId, targets] of this.connections) {
+        this.connections.set(fromId, targets.filter(toId => toId !== serviceId));
+      }
     }
   }
   
   /**
-   * Connect two services
+   * Connect two services (directed: requests flow fromId -> toId)
    */
-  connectServices(serviceId1, serviceId2) {
-    if (!this.connections.has(serviceId1)) {
-      this.connections.set(serviceId1, []);
-    }
-    if (!this.connections.has(serviceId2)) {
-      this.connections.set(serviceId2, []);
+  connectServices(fromId, toId) {
+    if (!this.connections.has(fromId)) {
+      this.connections.set(fromId, []);
     }
     
-    this.connections.get(serviceId1).push(serviceId2);
-    this.connections.get(serviceId2).push(serviceId1);
+    const targets = this.connections.get(fromId);
+    if (!targets.includes(toId)) {
+      targets.push(toId);
+    }
+  }
+  
+  /**
+   * Remove a directed connection between two services
+   */
+  disconnectServices(fromId, toId) {
+    const targets = this.connections.get(fromId);
+    if (targets) {
+      this.connections.set(fromId, targets.filter(id => id !== toId));
+    }
+  }
+  
+  /**
+   * Check whether a directed connection exists
+   */
+  hasConnection(fromId, toId) {
+    return (this.connections.get(fromId) || []).includes(toId);
   }
   
   /**
    * Update metrics based on current tick results
    */
   updateMetrics(tickResults) {
-    const { processed, dropped, blocked, totalLatency } = tickResults;
+    const { processed, dropped, blocked, falsePositives = 0, totalLatency, interCloudCost = 0 } = tickResults;
     
     this.metrics.requestsProcessed += processed;
     this.metrics.requestsDropped += dropped;
     this.metrics.requestsBlocked += blocked;
+    this.metrics.falsePositives += falsePositives;
     
     // Calculate availability
     const totalRequests = processed + dropped;
@@ -100,9 +130,10 @@ export class GameState {
       this.metrics.averageLatency = totalLatency / processed;
     }
     
-    // Update reputation (drops hurt, blocks help)
+    // Update reputation (drops and blocked users hurt, blocked attacks help)
+    const truePositives = blocked - falsePositives;
     this.metrics.reputation = Math.max(0, Math.min(100, 
-      this.metrics.reputation - (dropped * 0.5) + (blocked * 0.1)
+      this.metrics.reputation - (dropped * 0.5) - (falsePositives * 1.0) + (truePositives * 0.1)
     ));
     
     // Calculate total cost
@@ -119,6 +150,9 @@ export class GameState {
       }
     }
     
+    // Egress between providers is billed on top of the services
+    this.metrics.totalCost += interCloudCost;
+    
     // Check game over conditions
     this.checkGameOverConditions();
   }
@@ -127,14 +161,10 @@ export class GameState {
    * Check if game over conditions are met
    */
   checkGameOverConditions() {
+    // SLA breaches burn an error budget instead (see SLATracker)
     if (this.metrics.reputation <= 0) {
       this.metrics.gameOver = true;
       this.metrics.gameOverReason = 'Reputation reached zero';
-    } else if (this.metrics.availability < this.metrics.slaThreshold) {
-      // TODO: Add extended time tracking for SLA violations
-      // For now, immediate game over on SLA breach
-      this.metrics.gameOver = true;
-      this.metrics.gameOverReason = `Availability below SLA threshold (${this.metrics.slaThreshold}%)`;
     }
   }
   
@@ -144,11 +174,7 @@ export class GameState {
   reset() {
     this.tick = 0;
     this.isRunning = false;
-    this.providers = {
-      aws: { services: [], totalCost: 0 },
-      gcp: { services: [], totalCost: 0 },
-      azure: { services: [], totalCost: 0 }
-    };
+    this.providers = createProviderSections();
     this.metrics = {
       availability: 100,
       averageLatency: 0,
@@ -157,10 +183,12 @@ export class GameState {
       requestsProcessed: 0,
       requestsDropped: 0,
       requestsBlocked: 0,
+      falsePositives: 0, // Legitimate users blocked by the WAF
       slaThreshold: 90,
       gameOver: false,
       gameOverReason: null
     };
+    this.sla = null;
     this.scenario = null;
     this.currentRequests = [];
     this.trafficHistory = [];
@@ -168,6 +196,36 @@ export class GameState {
     this.connections.clear();
   }
   
+  /**
+   * Serialize state for save games (services are saved separately)
+   */
+  serialize() {
+    return {
+      tick: this.tick,
+      providers: encodeValue(this.providers),
+      metrics: { ...this.metrics },
+      sla: encodeValue(this.sla),
+      scenario: encodeValue(this.scenario),
+      trafficHistory: encodeValue(this.trafficHistory),
+      connections: encodeValue(this.connections)
+    };
+  }
+  
+  /**
+   * Restore state produced by serialize()
+   * Services must already be re-added via addService()
+   */
+  restore(data) {
+    this.tick = data.tick;
+    this.providers = decodeValue(data.providers);
+    this.metrics = { ...data.metrics };
+    this.sla = decodeValue(data.sla);
+    this.scenario = decodeValue(data.scenario);
+    this.currentRequests = [];
+    this.trafficHistory = decodeValue(data.trafficHistory);
+    this.connections = decodeValue(data.connections);
+  }
+  
   /**
    * Get current game state snapshot
    */
@@ -178,7 +236,22 @@ export class GameState {
       providers: JSON.parse(JSON.stringify(this.providers)),
       metrics: { ...this.metrics },
       serviceCount: this.services.size,
+      sla: this.sla ? {
+        errorBudget: this.sla.errorBudget,
+        windowTicks: this.sla.windowTicks,
+        breaches: this.sla.breachTicks.length,
+        remainingBudget: this.sla.remainingBudget
+      } : null,
       scenario: this.scenario
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Create an empty service tracking section for each registered provider
+ */
+function createProviderSections() {
+  return Object.fromEntries(
+    getProviderNames().map(name => [name, { services: [], totalCost: 0 }])
+  );
+}
@@ -0,0 +1,89 @@
+/**
+ * Seedable pseudo-random number generator for CloudFall simulation
+ * Replaces Math.random() so identical seeds produce identical games
+ */
+export class SeededRandom {
+  constructor(seed = Date.now()) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Convert numeric or string seeds into a 32-bit unsigned integer
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return seed >>> 0;
+    }
+
+    // Hash string seeds so bug reports can use readable names
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Get next random float in [0, 1) (mulberry32)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Return true with the given probability
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Generate a base-36 identifier fragment of the given length
+   */
+  id(length = 9) {
+    let result = '';
+    while (result.length < length) {
+      result += Math.floor(this.next() * 36).toString(36);
+    }
+    return result;
+  }
+
+  /**
+   * Get the seed this generator was created with
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Get internal state (for save/restore)
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restore internal state
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+
+  /**
+   * Reset generator to the start of a sequence
+   */
+  reset(seed = this.seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+}
+
+// Fallback generator for objects created outside a running game
+export const defaultRandom = new SeededRandom();
@@ -0,0 +1,84 @@
+/**
+ * Action recorder for CloudFall deterministic replay
+ * Captures every player action with the tick it happened on, plus the seed
+ */
+import { EVENTS } from "./eventBus.js";
+
+export const REPLAY_VERSION = 1;
+
+export class ActionRecorder {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.seed = null;
+    this.actions = [];
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Set up event handlers
+   */
+  setupEventHandlers() {
+    this.eventBus.on(EVENTS.PLAYER_ACTION, (action) => {
+      this.record(action);
+    });
+  }
+
+  /**
+   * Start a new recording for the given seed
+   */
+  start(seed) {
+    this.seed = seed;
+    this.actions = [];
+  }
+
+  /**
+   * Resume a recording from a saved game
+   */
+  restore(seed, actions = []) {
+    this.seed = seed;
+    this.actions = actions.map(action => ({ ...action }));
+  }
+
+  /**
+   * Record a single player action
+   */
+  record(action) {
+    this.actions.push({
+      tick: action.tick,
+      type: action.type,
+      // Deep copy so later mutations don't leak into the log
+      params: JSON.parse(JSON.stringify(action.params ?? {}))
+    });
+  }
+
+  /**
+   * Get the replay log up to the given tick
+   */
+  getReplay(finalTick) {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      finalTick,
+      actions: this.actions.map(action => ({ ...action }))
+    };
+  }
+
+  /**
+   * Export the replay log as a JSON string (for bug reports)
+   */
+  export(finalTick) {
+    return JSON.stringify(this.getReplay(finalTick), null, 2);
+  }
+
+  /**
+   * Describe a service so the replayer can rebuild it
+   */
+  static describeService(service) {
+    return {
+      serviceId: service.id,
+      className: service.constructor.name,
+      config: { ...service.config }
+    };
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Replay player for CloudFall recorded sessions
+ * Drives GameLoop.executeTick from an action log without the wall clock
+ */
+import { GameLoop } from "./gameLoop.js";
+import { REPLAY_VERSION } from "./recorder.js";
+import { createServiceByClassName } from "../infra/serviceCatalog.js";
+
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = typeof replay === 'string' ? JSON.parse(replay) : replay;
+
+    if (this.replay.version !== REPLAY_VERSION) {
+      throw new Error(`Unsupported replay version: ${this.replay.version}`);
+    }
+
+    // Group actions by the tick they were recorded after
+    this.actionsByTick = new Map();
+    for (const action of this.replay.actions) {
+      if (!this.actionsByTick.has(action.tick)) {
+        this.actionsByTick.set(action.tick, []);
+      }
+      this.actionsByTick.get(action.tick).push(action);
+    }
+  }
+
+  /**
+   * Run the replay headlessly and return the resulting game
+   */
+  run() {
+    const gameLoop = new GameLoop({ seed: this.replay.seed });
+    const trajectory = [];
+
+    // Actions taken before the first tick
+    this.applyActions(gameLoop, 0);
+
+    for (let tick = 1; tick <= this.replay.finalTick; tick++) {
+      if (gameLoop.getGameState().metrics.gameOver) {
+        break;
+      }
+
+      gameLoop.runTicks(1);
+      trajectory.push({ tick, metrics: { ...gameLoop.getGameState().metrics } });
+
+      this.applyActions(gameLoop, tick);
+    }
+
+    return {
+      gameLoop,
+      trajectory,
+      snapshot: gameLoop.getGameState().getSnapshot()
+    };
+  }
+
+  /**
+   * Apply all actions recorded after the given tick
+   */
+  applyActions(gameLoop, tick) {
+    const actions = this.actionsByTick.get(tick) || [];
+    for (const action of actions) {
+      this.applyAction(gameLoop, action);
+    }
+  }
+
+  /**
+   * Apply a single recorded action
+   */
+  applyAction(gameLoop, action) {
+    const params = action.params;
+
+    switch (action.type) {
+      case 'deployService':
+        gameLoop.deployService(this.rebuildService(params));
+        break;
+      case 'removeService':
+        gameLoop.removeService(params.serviceId);
+        break;
+      case 'connectServices':
+        gameLoop.connectServices(params.fromId, params.toId);
+        break;
+      case 'disconnectServices':
+        gameLoop.disconnectServices(params.fromId, params.toId);
+        break;
+      case 'triggerSpike':
+        gameLoop.triggerSpike(params.multiplier, params.duration);
+        break;
+      case 'setTrafficParameters':
+        gameLoop.setTrafficParameters(params);
+        break;
+      default:
+        throw new Error(`Unknown replay action: ${action.type}`);
+    }
+  }
+
+  /**
+   * Rebuild a deployed service from its recorded description
+   */
+  rebuildService(params) {
+    const service = createServiceByClassName(params.className, params.config);
+    // Keep the original ID so later actions can reference it
+    service.id = params.serviceId;
+    return service;
+  }
+
+  /**
+   * Run the replay twice and check both runs end identically
+   */
+  verify() {
+    const first = this.run();
+    const second = this.run();
+
+    const identical =
+      JSON.stringify(first.snapshot) === JSON.stringify(second.snapshot) &&
+      JSON.stringify(first.trajectory) === JSON.stringify(second.trajectory);
+
+    return {
+      identical,
+      ticks: first.trajectory.length,
+      first: first.snapshot,
+      second: second.snapshot
+    };
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Fixed-capacity ring buffer
+ * Keeps the most recent items without shifting arrays as old ones fall out
+ */
+
+export class RingBuffer {
+  constructor(capacity) {
+    this.setCapacity(capacity);
+  }
+
+  /**
+   * Change the capacity, keeping the newest items that still fit
+   */
+  setCapacity(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error(`Invalid ring buffer capacity: ${capacity}. Must be a positive integer`);
+    }
+
+    const items = this.items ? this.toArray().slice(-capacity) : [];
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0; // Index of the oldest item
+    this.length = 0;
+    items.forEach(item => this.push(item));
+  }
+
+  /**
+   * Add an item, overwriting the oldest when full
+   */
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Get the items, oldest first
+   */
+  toArray() {
+    const items = [];
+    for (let i = 0; i < this.length; i++) {
+      items.push(this.items[(this.start + i) % this.capacity]);
+    }
+    return items;
+  }
+
+  /**
+   * Remove every item
+   */
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
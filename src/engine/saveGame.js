@@ -0,0 +1,138 @@
+/**
+ * Save game management for CloudFall
+ * Serializes a running game to versioned JSON and rebuilds it on load
+ */
+import { decodeValue } from "./serialization.js";
+import { createServiceByClassName } from "../infra/serviceCatalog.js";
+
+export const SAVE_FORMAT = 'cloudfall-save';
+export const SAVE_VERSION = 1;
+
+const STORAGE_PREFIX = 'cloudfall-save:';
+
+export class SaveManager {
+  constructor(gameLoop) {
+    this.gameLoop = gameLoop;
+  }
+
+  /**
+   * Create a save of the current game
+   */
+  save() {
+    const gameLoop = this.gameLoop;
+
+    return {
+      format: SAVE_FORMAT,
+      version: SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      random: {
+        seed: gameLoop.random.getSeed(),
+        state: gameLoop.random.getState()
+      },
+      clock: {
+        tickCount: gameLoop.clock.getTick(),
+        speed: gameLoop.clock.getSpeed()
+      },
+      gameState: gameLoop.gameState.serialize(),
+      trafficGenerator: gameLoop.trafficGenerator.getState(),
+      scoring: gameLoop.scoringEngine.getState(),
+      services: gameLoop.serviceRegistry.getAllServices().map(service => service.serialize()),
+      actions: gameLoop.getReplay().actions
+    };
+  }
+
+  /**
+   * Rebuild the game from a save (object or JSON string)
+   * The game is left paused at the saved tick
+   */
+  load(data) {
+    const save = typeof data === 'string' ? JSON.parse(data) : data;
+    this.validate(save);
+
+    const gameLoop = this.gameLoop;
+
+    // Start from a clean game (reset removes every service)
+    gameLoop.pause();
+    gameLoop.reset();
+
+    // Rebuild services with their full runtime state
+    for (const serviceData of save.services) {
+      const service = createServiceByClassName(serviceData.className, decodeValue(serviceData.config));
+      service.restoreState(serviceData.state);
+
+      if (!gameLoop.serviceRegistry.deployService(service)) {
+        throw new Error(`Failed to restore service: ${service.name}`);
+      }
+    }
+
+    gameLoop.gameState.restore(save.gameState);
+    gameLoop.trafficGenerator.setState(save.trafficGenerator);
+    gameLoop.scoringEngine.setState(save.scoring);
+
+    gameLoop.clock.tickCount = save.clock.tickCount;
+    gameLoop.clock.setSpeed(save.clock.speed);
+
+    gameLoop.random.reset(save.random.seed);
+    gameLoop.random.setState(save.random.state);
+    gameLoop.recorder.restore(save.random.seed, save.actions);
+
+    console.log(`CloudFall game loaded at tick ${save.gameState.tick}`);
+    return true;
+  }
+
+  /**
+   * Validate save format and version
+   */
+  validate(save) {
+    if (!save || save.format !== SAVE_FORMAT) {
+      throw new Error('Invalid save file - not a CloudFall save');
+    }
+
+    if (save.version !== SAVE_VERSION) {
+      throw new Error(`Unsupported save version: ${save.version}`);
+    }
+  }
+
+  /**
+   * Persist the current game to localStorage
+   */
+  saveToStorage(slot = 'default') {
+    const save = this.save();
+    localStorage.setItem(STORAGE_PREFIX + slot, JSON.stringify(save));
+    console.log(`CloudFall game saved to slot "${slot}"`);
+    return save;
+  }
+
+  /**
+   * Load a game from localStorage
+   */
+  loadFromStorage(slot = 'default') {
+    const data = localStorage.getItem(STORAGE_PREFIX + slot);
+    if (!data) {
+      console.warn(`No saved game in slot "${slot}"`);
+      return false;
+    }
+    return this.load(data);
+  }
+
+  /**
+   * List save slots in localStorage
+   */
+  listSaves() {
+    const slots = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(STORAGE_PREFIX)) {
+        slots.push(key.slice(STORAGE_PREFIX.length));
+      }
+    }
+    return slots;
+  }
+
+  /**
+   * Delete a save slot from localStorage
+   */
+  deleteSave(slot = 'default') {
+    localStorage.removeItem(STORAGE_PREFIX + slot);
+  }
+}
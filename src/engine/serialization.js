@@ -0,0 +1,66 @@
+/**
+ * JSON-safe encoding helpers for CloudFall save games
+ * Preserves Map and Set instances nested anywhere in service state
+ */
+
+/**
+ * Encode a value into plain JSON-compatible data
+ */
+export function encodeValue(value) {
+  if (value instanceof Map) {
+    return {
+      __type: 'Map',
+      entries: Array.from(value.entries()).map(([key, entry]) => [encodeValue(key), encodeValue(entry)])
+    };
+  }
+
+  if (value instanceof Set) {
+    return {
+      __type: 'Set',
+      values: Array.from(value.values()).map(encodeValue)
+    };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+
+  if (value && typeof value === 'object') {
+    const encoded = {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (typeof entry !== 'function') {
+        encoded[key] = encodeValue(entry);
+      }
+    }
+    return encoded;
+  }
+
+  return value;
+}
+
+/**
+ * Decode data produced by encodeValue back into Maps, Sets and objects
+ */
+export function decodeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+
+  if (value && typeof value === 'object') {
+    if (value.__type === 'Map') {
+      return new Map(value.entries.map(([key, entry]) => [decodeValue(key), decodeValue(entry)]));
+    }
+
+    if (value.__type === 'Set') {
+      return new Set(value.values.map(decodeValue));
+    }
+
+    const decoded = {};
+    for (const [key, entry] of Object.entries(value)) {
+      decoded[key] = decodeValue(entry);
+    }
+    return decoded;
+  }
+
+  return value;
+}
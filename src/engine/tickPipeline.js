@@ -0,0 +1,126 @@
+/**
+ * Tick phase pipeline for CloudFall
+ * Runs each tick as an explicit sequence of phases; systems register handlers
+ * into phases and each phase's result is handed to the next
+ */
+
+// Phases in the order they run every tick
+export const TICK_PHASES = ['generate', 'route', 'process', 'score', 'render'];
+
+// Fields each phase's result must carry for the phases after it
+export const PHASE_RESULTS = {
+  generate: ['requests'], // { requests }
+  route: ['requests', 'completed', 'dropped', 'blocked'], // { requests, completed, dropped, blocked }
+  process: ['requests', 'results'], // { requests, results } - results as passed to GameState.updateMetrics
+  score: ['requests', 'results'],
+  render: []
+};
+
+export class TickPipeline {
+  constructor() {
+    this.handlers = {};
+    for (const phase of TICK_PHASES) {
+      this.handlers[phase] = [];
+    }
+  }
+
+  /**
+   * Register a handler for a phase
+   * Handlers run highest priority first (ties in registration order) and are
+   * called with (input, context); the value returned replaces the input for the
+   * next handler, and returning undefined passes the input through unchanged
+   */
+  register(phase, handler, options = {}) {
+    if (!this.handlers[phase]) {
+      throw new Error(`Unknown tick phase: ${phase}. Must be one of ${TICK_PHASES.join(', ')}`);
+    }
+
+    const handlers = this.handlers[phase];
+    handlers.push({
+      handler,
+      name: options.name || handler.name || 'anonymous',
+      priority: options.priority || 0
+    });
+
+    // Stable sort keeps registration order among equal priorities
+    handlers.sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Remove a handler from a phase
+   */
+  unregister(phase, handler) {
+    if (!this.handlers[phase]) return;
+
+    this.handlers[phase] = this.handlers[phase].filter(entry => entry.handler !== handler);
+  }
+
+  /**
+   * Run every phase for a tick
+   * A handler that throws, or a phase result missing its fields, fails the tick:
+   * the remaining phases are skipped and the failure is returned in the report
+   */
+  run(tick) {
+    const report = {
+      tick,
+      ok: true,
+      results: {}, // phase -> result
+      failure: null, // { phase, handler, error }
+      skipped: []
+    };
+    const context = { tick, results: report.results };
+
+    let input = {};
+    for (const phase of TICK_PHASES) {
+      if (report.failure) {
+        report.skipped.push(phase);
+        continue;
+      }
+
+      let value = input;
+      for (const entry of this.handlers[phase]) {
+        try {
+          const output = entry.handler(value, context);
+          if (output !== undefined) {
+            value = output;
+          }
+        } catch (error) {
+          report.failure = { phase, handler: entry.name, error };
+          break;
+        }
+      }
+
+      if (!report.failure) {
+        const missing = PHASE_RESULTS[phase].filter(field => !(field in (value ?? {})));
+        if (missing.length > 0) {
+          report.failure = {
+            phase,
+            handler: null,
+            error: new Error(`${phase} phase result is missing ${missing.join(', ')}`)
+          };
+        }
+      }
+
+      if (report.failure) {
+        report.ok = false;
+        continue;
+      }
+
+      report.results[phase] = value;
+      input = value;
+    }
+
+    return report;
+  }
+
+  /**
+   * Get registered handler names per phase, in run order (for debugging)
+   */
+  getHandlers() {
+    const handlers = {};
+    for (const phase of TICK_PHASES) {
+      handlers[phase] = this.handlers[phase].map(entry => `${entry.name} (${entry.priority})`);
+    }
+    return handlers;
+  }
+}
@@ -10,9 +10,13 @@ export class AWSCache extends BaseService {
       config.name || 'AWS-ElastiCache',
       'aws',
       config.capacity || 10000, // operations per second
-      config.baseCost || 0.034 // $0.034 per minute for cache.t3.micro
+      config.baseCost || 0.034, // $0.034 per minute for cache.t3.micro
+      config.random
     );
     
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
     // AWS ElastiCache specific configuration
     this.type = 'cache';
     this.engine = config.engine || 'redis'; // redis or memcached
@@ -191,7 +195,7 @@ export class AWSCache extends BaseService {
           this.cacheStats.hits++;
           // Update access time for LRU
           const value = this.cacheData.get(key);
-          value.lastAccess = Date.now();
+          value.lastAccess = this.now();
         } else {
           this.cacheStats.misses++;
         }
@@ -218,7 +222,7 @@ export class AWSCache extends BaseService {
    * Set cache value with eviction policy
    */
   setCacheValue(key, value) {
-    const now = Date.now();
+    const now = this.now();
     
     // Check if we need to evict
     if (this.cacheData.size >= this.getMaxCacheSize()) {
@@ -246,7 +250,7 @@ export class AWSCache extends BaseService {
     switch (this.evictionPolicy) {
       case 'allkeys-lru':
         // Evict least recently used
-        let oldestAccess = Date.now();
+        let oldestAccess = Infinity;
         for (const [key, entry] of this.cacheData) {
           if (entry.lastAccess < oldestAccess) {
             oldestAccess = entry.lastAccess;
@@ -258,12 +262,12 @@ export class AWSCache extends BaseService {
       case 'allkeys-random':
         // Evict random key
         const keys = Array.from(this.cacheData.keys());
-        keyToEvict = keys[Math.floor(Math.random() * keys.length)];
+        keyToEvict = keys[Math.floor(this.random.next() * keys.length)];
         break;
         
       case 'volatile-lru':
         // Only evict keys with TTL (simplified - evict oldest)
-        let oldestCreation = Date.now();
+        let oldestCreation = Infinity;
         for (const [key, entry] of this.cacheData) {
           if (entry.createdAt < oldestCreation) {
             oldestCreation = entry.createdAt;
@@ -397,6 +401,16 @@ export class AWSCache extends BaseService {
     return cost;
   }
   
+  /**
+   * Add ElastiCache metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      hitRate: this.cacheMetrics.hitRate
+    };
+  }
+  
   /**
    * Get ElastiCache-specific status
    */
@@ -3,6 +3,7 @@
  * Provides burstable performance, auto-scaling, and AWS-specific features
  */
 import { BaseService } from '../baseService.js';
+import { EVENTS } from '../../engine/eventBus.js';
 
 export class AWSCompute extends BaseService {
   constructor(config = {}) {
@@ -10,9 +11,13 @@ export class AWSCompute extends BaseService {
       config.name || 'AWS-EC2',
       'aws',
       config.capacity || 500, // requests per second
-      config.baseCost || 0.05 // $0.05 per minute
+      config.baseCost || 0.05, // $0.05 per minute
+      config.random
     );
     
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
     // AWS EC2 specific configuration
     this.type = 'compute';
     this.instanceType = config.instanceType || 't3.medium';
@@ -67,9 +72,9 @@ export class AWSCompute extends BaseService {
     
     // Instance state
     this.instanceState = 'running'; // pending, running, stopping, stopped, terminated
-    this.launchTime = Date.now();
+    this.launchTime = this.now(); // Simulated time
     this.currentCpuUtilization = 0;
-    this.lastScalingAction = 0;
+    this.lastScalingAction = null; // Simulated time of last scaling action
     
     // Spot instance configuration
     this.spotInstance = config.spotInstance || false;
@@ -117,6 +122,7 @@ export class AWSCompute extends BaseService {
     // Check for spot instance interruption
     if (this.spotInstance && this.checkSpotInterruption()) {
       // All requests dropped due to spot interruption
+      this.emitEvent(EVENTS.SPOT_INTERRUPTED);
       return { processed: [], dropped: requests };
     }
     
@@ -195,6 +201,15 @@ export class AWSCompute extends BaseService {
     return Math.round(latency);
   }
   
+  /**
+   * Idle ticks drop CPU to zero and earn CPU credits
+   */
+  processIdleTick() {
+    this.currentCpuUtilization = 0;
+    this.updateCpuCredits(0);
+    super.processIdleTick();
+  }
+  
   /**
    * Update CPU credits for burstable instances
    */
@@ -232,7 +247,7 @@ export class AWSCompute extends BaseService {
     const hourlyRisk = this.interruptionRisk;
     const minutelyRisk = hourlyRisk / 60;
     
-    return Math.random() < minutelyRisk;
+    return this.random.next() < minutelyRisk;
   }
   
   /**
@@ -243,11 +258,11 @@ export class AWSCompute extends BaseService {
       return;
     }
     
-    const now = Date.now();
+    const now = this.now();
     const timeSinceLastAction = (now - this.lastScalingAction) / 1000;
     
     // Check cooldown period
-    if (timeSinceLastAction < this.autoScaling.cooldownPeriod) {
+    if (this.lastScalingAction !== null && timeSinceLastAction < this.autoScaling.cooldownPeriod) {
       return;
     }
     
@@ -279,6 +294,7 @@ export class AWSCompute extends BaseService {
     if (newCapacity > this.autoScaling.desiredCapacity) {
       this.autoScaling.desiredCapacity = newCapacity;
       this.capacity = this.capacity * (newCapacity / (newCapacity - 1));
+      this.emitEvent(EVENTS.SERVICE_SCALED, { from: newCapacity - 1, to: newCapacity });
       console.log(`EC2 Auto Scaling: Scaled up to ${newCapacity} instances`);
     }
   }
@@ -295,6 +311,7 @@ export class AWSCompute extends BaseService {
     if (newCapacity < this.autoScaling.desiredCapacity) {
       this.autoScaling.desiredCapacity = newCapacity;
       this.capacity = this.capacity * (newCapacity / (newCapacity + 1));
+      this.emitEvent(EVENTS.SERVICE_SCALED, { from: newCapacity + 1, to: newCapacity });
       console.log(`EC2 Auto Scaling: Scaled down to ${newCapacity} instances`);
     }
   }
@@ -374,6 +391,17 @@ export class AWSCompute extends BaseService {
     return cost;
   }
   
+  /**
+   * Add EC2 metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      cpuUtilization: this.currentCpuUtilization,
+      cpuCredits: this.cpuCredits.current
+    };
+  }
+  
   /**
    * Get EC2-specific status
    */
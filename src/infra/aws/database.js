@@ -3,6 +3,7 @@
  * Provides Multi-AZ, read replicas, and AWS-specific database features
  */
 import { BaseService } from '../baseService.js';
+import { EVENTS } from '../../engine/eventBus.js';
 
 export class AWSDatabase extends BaseService {
   constructor(config = {}) {
@@ -10,9 +11,13 @@ export class AWSDatabase extends BaseService {
       config.name || 'AWS-RDS',
       'aws',
       config.capacity || 1000, // connections per second
-      config.baseCost || 0.017 // $0.017 per minute for db.t3.micro
+      config.baseCost || 0.017, // $0.017 per minute for db.t3.micro
+      config.random
     );
     
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
     // AWS RDS specific configuration
     this.type = 'database';
     this.engine = config.engine || 'mysql'; // mysql, postgresql, mariadb, oracle, sqlserver
@@ -26,6 +31,7 @@ export class AWSDatabase extends BaseService {
     this.multiAZ = config.multiAZ || false;
     this.availabilityZone = config.availabilityZone || 'us-east-1a';
     this.secondaryAZ = config.secondaryAZ || 'us-east-1b';
+    this.failoverCompletesAt = null; // Simulated time when an in-progress failover ends
     
     // Read replica configuration
     this.readReplicas = config.readReplicas || [];
@@ -134,6 +140,9 @@ export class AWSDatabase extends BaseService {
     const dropped = [];
     let totalLatency = 0;
     
+    // Finish any failover whose duration has elapsed
+    this.completeFailover();
+    
     // Calculate current load ratio based on connections
     const loadRatio = requests.length / this.maxConnections;
     this.currentLoad = loadRatio;
@@ -185,7 +194,7 @@ export class AWSDatabase extends BaseService {
    */
   simulateDatabaseOperation(request) {
     const queryTypes = ['SELECT', 'INSERT', 'UPDATE', 'DELETE'];
-    const queryType = request.queryType || queryTypes[Math.floor(Math.random() * queryTypes.length)];
+    const queryType = request.queryType || queryTypes[Math.floor(this.random.next() * queryTypes.length)];
     
     // Update query statistics
     switch (queryType.toLowerCase()) {
@@ -204,12 +213,12 @@ export class AWSDatabase extends BaseService {
     }
     
     // Simulate transaction
-    if (Math.random() < 0.3) { // 30% of operations are transactions
+    if (this.random.next() < 0.3) { // 30% of operations are transactions
       this.queryStats.transactions++;
     }
     
     // Simulate slow query
-    const isSlowQuery = Math.random() < 0.05; // 5% of queries are slow
+    const isSlowQuery = this.random.next() < 0.05; // 5% of queries are slow
     if (isSlowQuery) {
       this.queryStats.slowQueries++;
     }
@@ -217,7 +226,7 @@ export class AWSDatabase extends BaseService {
     return {
       queryType: queryType,
       isSlowQuery: isSlowQuery,
-      affectedRows: Math.floor(Math.random() * 100) + 1
+      affectedRows: Math.floor(this.random.next() * 100) + 1
     };
   }
   
@@ -285,7 +294,7 @@ export class AWSDatabase extends BaseService {
    */
   shouldSimulateFailover() {
     // Very rare event - 0.01% chance per minute
-    return Math.random() < 0.0001;
+    return this.random.next() < 0.0001;
   }
   
   /**
@@ -293,22 +302,33 @@ export class AWSDatabase extends BaseService {
    */
   handleFailover(requests) {
     console.log('RDS Multi-AZ failover initiated');
+    this.emitEvent(EVENTS.DATABASE_FAILOVER, { stage: 'started' });
     
     // During failover, all requests are temporarily dropped
     // In reality, this would take 1-2 minutes
     const failoverDuration = 60000; // 1 minute in milliseconds
-    
-    setTimeout(() => {
-      console.log('RDS Multi-AZ failover completed');
-      // Swap primary and secondary AZ
-      const temp = this.availabilityZone;
-      this.availabilityZone = this.secondaryAZ;
-      this.secondaryAZ = temp;
-    }, failoverDuration);
+    this.failoverCompletesAt = this.now() + failoverDuration;
     
     return { processed: [], dropped: requests };
   }
   
+  /**
+   * Complete Multi-AZ failover once its duration has elapsed in game time
+   */
+  completeFailover() {
+    if (this.failoverCompletesAt === null || this.now() < this.failoverCompletesAt) {
+      return;
+    }
+    
+    console.log('RDS Multi-AZ failover completed');
+    this.emitEvent(EVENTS.DATABASE_FAILOVER, { stage: 'completed' });
+    // Swap primary and secondary AZ
+    const temp = this.availabilityZone;
+    this.availabilityZone = this.secondaryAZ;
+    this.secondaryAZ = temp;
+    this.failoverCompletesAt = null;
+  }
+  
   /**
    * Update database-specific metrics
    */
@@ -333,7 +353,7 @@ export class AWSDatabase extends BaseService {
     
     // Replication lag for read replicas
     if (this.readReplicas.length > 0) {
-      this.dbMetrics.replicationLag = Math.random() * 100; // 0-100ms
+      this.dbMetrics.replicationLag = this.random.next() * 100; // 0-100ms
     }
   }
   
@@ -457,6 +477,17 @@ export class AWSDatabase extends BaseService {
     return vcpuMap[instanceClass] || 2;
   }
   
+  /**
+   * Add RDS metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      cpuUtilization: this.dbMetrics.cpuUtilization,
+      activeConnections: this.dbMetrics.activeConnections
+    };
+  }
+  
   /**
    * Get RDS-specific status
    */
@@ -3,12 +3,15 @@
  * Exports all AWS-specific service implementations
  */
 
-export { AWSLoadBalancer } from './loadBalancer.js';
-export { AWSCompute } from './compute.js';
-export { AWSCache } from './cache.js';
-export { AWSDatabase } from './database.js';
-export { AWSQueue } from './queue.js';
-export { AWSWAF } from './waf.js';
+import { AWSLoadBalancer } from './loadBalancer.js';
+import { AWSCompute } from './compute.js';
+import { AWSCache } from './cache.js';
+import { AWSDatabase } from './database.js';
+import { AWSQueue } from './queue.js';
+import { AWSWAF } from './waf.js';
+import { resolveServiceType, validateConfigSchema } from '../configSchema.js';
+
+export { AWSLoadBalancer, AWSCompute, AWSCache, AWSDatabase, AWSQueue, AWSWAF };
 
 /**
  * AWS Service Factory
@@ -26,7 +29,7 @@ export class AWSServiceFactory {
       baseCost: config.baseCost || 0.025,
       healthCheck: config.healthCheck || { enabled: true },
       stickySessions: config.stickySessions || false,
-      crossZoneEnabled: config.crossZoneEnabled || true,
+      crossZoneEnabled: config.crossZoneEnabled ?? true,
       ...config
     });
   }
@@ -120,74 +123,155 @@ export class AWSServiceFactory {
    * Get all available AWS service types
    */
   static getAvailableServices() {
-    return [
-      {
-        type: 'loadbalancer',
-        name: 'Application Load Balancer (ALB)',
-        description: 'Advanced Layer 7 load balancing with content-based routing',
-        factory: this.createLoadBalancer
-      },
-      {
-        type: 'compute',
-        name: 'Elastic Compute Cloud (EC2)',
-        description: 'Scalable virtual servers with burstable performance',
-        factory: this.createCompute
-      },
-      {
-        type: 'cache',
-        name: 'ElastiCache',
-        description: 'In-memory caching with Redis and Memcached support',
-        factory: this.createCache
-      },
-      {
-        type: 'database',
-        name: 'Relational Database Service (RDS)',
-        description: 'Managed relational databases with Multi-AZ support',
-        factory: this.createDatabase
-      },
-      {
-        type: 'queue',
-        name: 'Simple Queue Service (SQS)',
-        description: 'Fully managed message queuing with FIFO support',
-        factory: this.createQueue
-      },
-      {
-        type: 'waf',
-        name: 'Web Application Firewall (WAF)',
-        description: 'Advanced web application protection with managed rules',
-        factory: this.createWAF
-      }
-    ];
+    return Object.entries(AWS_SERVICE_TYPES).map(([type, definition]) => ({
+      type,
+      name: definition.name,
+      description: definition.description,
+      aliases: definition.aliases,
+      className: definition.serviceClass.name,
+      configSchema: definition.configSchema,
+      factory: (config = {}) => this[definition.factory](config)
+    }));
   }
   
   /**
-   * Create service by type
+   * Resolve a service type or alias (e.g. 'ec2') to its canonical type, or null
+   */
+  static resolveType(type) {
+    return resolveServiceType(AWS_SERVICE_TYPES, type);
+  }
+  
+  /**
+   * Get the config schema for a service type or alias
+   */
+  static getConfigSchema(type) {
+    const canonical = this.resolveType(type);
+    return canonical ? AWS_SERVICE_TYPES[canonical].configSchema : null;
+  }
+  
+  /**
+   * Validate config against a service type's schema
+   */
+  static validateConfig(type, config = {}) {
+    const schema = this.getConfigSchema(type);
+    if (!schema) {
+      return [`Unknown AWS service type: ${type}`];
+    }
+    
+    return validateConfigSchema(schema, config);
+  }
+  
+  /**
+   * Create service by type or alias
    */
   static createService(type, config = {}) {
-    switch (type.toLowerCase()) {
-      case 'loadbalancer':
-      case 'alb':
-        return this.createLoadBalancer(config);
-      case 'compute':
-      case 'ec2':
-        return this.createCompute(config);
-      case 'cache':
-      case 'elasticache':
-        return this.createCache(config);
-      case 'database':
-      case 'rds':
-        return this.createDatabase(config);
-      case 'queue':
-      case 'sqs':
-        return this.createQueue(config);
-      case 'waf':
-        return this.createWAF(config);
-      default:
-        throw new Error(`Unknown AWS service type: ${type}`);
+    const canonical = this.resolveType(type);
+    if (!canonical) {
+      throw new Error(`Unknown AWS service type: ${type}`);
     }
+    
+    const errors = this.validateConfig(canonical, config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${canonical} config: ${errors.join('; ')}`);
+    }
+    
+    return this[AWS_SERVICE_TYPES[canonical].factory](config);
   }
 }
 
+/**
+ * AWS service type registry
+ * Canonical type -> display info, aliases, service class, factory method and config schema
+ * The schema lists the player-facing factory options (used by the build palette)
+ */
+export const AWS_SERVICE_TYPES = {
+  loadbalancer: {
+    name: 'Application Load Balancer (ALB)',
+    description: 'Advanced Layer 7 load balancing with content-based routing',
+    aliases: ['alb', 'elb'],
+    serviceClass: AWSLoadBalancer,
+    factory: 'createLoadBalancer',
+    configSchema: [
+      { key: 'algorithm', label: 'Algorithm', type: 'select', options: ['round_robin', 'least_outstanding_requests'], default: 'round_robin' },
+      { key: 'stickySessions', label: 'Sticky sessions', type: 'checkbox', default: false }
+    ]
+  },
+  compute: {
+    name: 'Elastic Compute Cloud (EC2)',
+    description: 'Scalable virtual servers with burstable performance',
+    aliases: ['ec2'],
+    serviceClass: AWSCompute,
+    factory: 'createCompute',
+    configSchema: [
+      { key: 'instanceType', label: 'Instance type', type: 'select', options: ['t3.nano', 't3.micro', 't3.small', 't3.medium', 't3.large', 't3.xlarge', 'm5.large', 'm5.xlarge', 'c5.large', 'c5.xlarge'], default: 't3.medium' },
+      { key: 'capacity', label: 'Capacity (req/s)', type: 'number', min: 1, default: 500 },
+      { key: 'spotInstance', label: 'Spot instance', type: 'checkbox', default: false }
+    ]
+  },
+  cache: {
+    name: 'ElastiCache',
+    description: 'In-memory caching with Redis and Memcached support',
+    aliases: ['elasticache'],
+    serviceClass: AWSCache,
+    factory: 'createCache',
+    configSchema: [
+      { key: 'engine', label: 'Engine', type: 'select', options: ['redis', 'memcached'], default: 'redis' },
+      { key: 'nodeType', label: 'Node type', type: 'select', options: ['cache.t3.micro', 'cache.t3.small', 'cache.t3.medium', 'cache.m5.large', 'cache.m5.xlarge', 'cache.r5.large', 'cache.r5.xlarge'], default: 'cache.t3.micro' },
+      { key: 'multiAZ', label: 'Multi-AZ', type: 'checkbox', default: false }
+    ]
+  },
+  database: {
+    name: 'Relational Database Service (RDS)',
+    description: 'Managed relational databases with Multi-AZ support',
+    aliases: ['rds'],
+    serviceClass: AWSDatabase,
+    factory: 'createDatabase',
+    configSchema: [
+      { key: 'engine', label: 'Engine', type: 'select', options: ['mysql', 'postgresql', 'mariadb', 'oracle-ee', 'sqlserver-ex'], default: 'mysql' },
+      { key: 'instanceClass', label: 'Instance class', type: 'select', options: ['db.t3.micro', 'db.t3.small', 'db.t3.medium', 'db.t3.large', 'db.m5.large', 'db.m5.xlarge', 'db.r5.large', 'db.r5.xlarge'], default: 'db.t3.micro' },
+      { key: 'storageType', label: 'Storage', type: 'select', options: ['gp2', 'gp3', 'io1', 'io2'], default: 'gp2' },
+      { key: 'multiAZ', label: 'Multi-AZ', type: 'checkbox', default: false }
+    ]
+  },
+  queue: {
+    name: 'Simple Queue Service (SQS)',
+    description: 'Fully managed message queuing with FIFO support',
+    aliases: ['sqs'],
+    serviceClass: AWSQueue,
+    factory: 'createQueue',
+    configSchema: [
+      { key: 'queueType', label: 'Queue type', type: 'select', options: ['standard', 'fifo'], default: 'standard' },
+      { key: 'visibilityTimeout', label: 'Visibility timeout (s)', type: 'number', min: 0, default: 30 }
+    ]
+  },
+  waf: {
+    name: 'Web Application Firewall (WAF)',
+    description: 'Advanced web application protection with managed rules',
+    aliases: [],
+    serviceClass: AWSWAF,
+    factory: 'createWAF',
+    configSchema: [
+      { key: 'defaultAction', label: 'Default action', type: 'select', options: ['ALLOW', 'BLOCK'], default: 'ALLOW' },
+      {
+        key: 'enabledManagedRules',
+        label: 'Managed rules',
+        type: 'multiselect',
+        options: [
+          'AWSManagedRulesCommonRuleSet',
+          'AWSManagedRulesKnownBadInputsRuleSet',
+          'AWSManagedRulesAmazonIpReputationList',
+          'AWSManagedRulesBotControlRuleSet'
+        ],
+        default: [
+          'AWSManagedRulesCommonRuleSet',
+          'AWSManagedRulesKnownBadInputsRuleSet',
+          'AWSManagedRulesAmazonIpReputationList'
+        ]
+      }
+    ]
+  }
+};
+
 /**
  * AWS Provider Configuration
  */
@@ -202,6 +286,8 @@ export const AWSProvider = {
     warning: '#ffb000',
     error: '#d13212'
   },
+  factory: AWSServiceFactory,
+  serviceTypes: AWS_SERVICE_TYPES,
   services: AWSServiceFactory.getAvailableServices(),
   
   /**
@@ -218,6 +304,13 @@ export const AWSProvider = {
     return 0.15; // 15% latency penalty for cross-provider communication
   },
   
+  /**
+   * Get the price per GB for traffic leaving this provider
+   */
+  getEgressPricePerGb() {
+    return 0.09; // Data transfer out to the internet, first 10 TB tier
+  },
+  
   /**
    * Validate provider configuration
    */
@@ -10,9 +10,13 @@ export class AWSLoadBalancer extends BaseService {
       config.name || 'AWS-ALB',
       'aws',
       config.capacity || 1000, // requests per second
-      config.baseCost || 0.025 // $0.025 per minute
+      config.baseCost || 0.025, // $0.025 per minute
+      config.random
     );
     
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
     // AWS ALB specific configuration
     this.type = 'loadbalancer';
     this.scheme = config.scheme || 'internet-facing'; // internet-facing or internal
@@ -26,7 +30,7 @@ export class AWSLoadBalancer extends BaseService {
     
     // Health check configuration
     this.healthCheck = {
-      enabled: config.healthCheck?.enabled || true,
+      enabled: config.healthCheck?.enabled ?? true,
       path: config.healthCheck?.path || '/health',
       interval: config.healthCheck?.interval || 30, // seconds
       timeout: config.healthCheck?.timeout || 5, // seconds
@@ -52,16 +56,26 @@ export class AWSLoadBalancer extends BaseService {
     this.certificateArn = config.certificateArn || null;
     
     // Cross-zone load balancing
-    this.crossZoneEnabled = config.crossZoneEnabled || true;
+    this.crossZoneEnabled = config.crossZoneEnabled ?? true;
     
     // Request routing algorithm
     this.algorithm = config.algorithm || 'round_robin'; // round_robin, least_outstanding_requests
     
     // Connection draining
     this.connectionDraining = {
-      enabled: config.connectionDraining?.enabled || true,
-      timeout: config.connectionDraining?.timeout || 300 // seconds
+      enabled: config.connectionDraining?.enabled ?? true,
+      timeout: config.connectionDraining?.timeout || 300 // seconds (one tick each)
     };
+    
+    // Sticky session bindings
+    this.sessionBindings = new Map(); // sessionAffinity -> target service ID
+    
+    // Resolves target service IDs to live services (set by the registry)
+    this.targetResolver = () => null;
+    
+    // Target groups from config, or a default group for connected targets
+    const targetGroups = config.targetGroups || [{ id: 'default', name: 'default' }];
+    targetGroups.forEach(targetGroup => this.addTargetGroup(targetGroup.id, targetGroup));
   }
   
   /**
@@ -86,6 +100,11 @@ export class AWSLoadBalancer extends BaseService {
     // Apply health checks to connected services
     this.performHealthChecks();
     
+    // Outstanding requests are counted per tick
+    for (const targetGroup of this.targetGroups.values()) {
+      targetGroup.targets.forEach(target => target.outstandingRequests = 0);
+    }
+    
     // Process each request with advanced routing
     for (const request of requests) {
       if (this.shouldDropRequest(loadRatio)) {
@@ -96,6 +115,15 @@ export class AWSLoadBalancer extends BaseService {
       // Apply AWS-specific routing logic
       const routedRequest = this.applyRoutingRules(request);
       
+      // Forward to a target, or reject when no target can take it (HTTP 503)
+      const target = this.selectTarget(routedRequest);
+      if (!target) {
+        dropped.push(routedRequest);
+        continue;
+      }
+      target.outstandingRequests++;
+      routedRequest.targetServiceId = target.id;
+      
       // Calculate latency with AWS optimizations
       const latency = this.calculateAWSLatency(loadRatio, routedRequest);
       routedRequest.latency += latency;
@@ -142,8 +170,8 @@ export class AWSLoadBalancer extends BaseService {
    * Apply advanced routing rules
    */
   applyRoutingRules(request) {
-    // Clone request to avoid mutation
-    const routedRequest = { ...request };
+    // Annotate the request itself so it keeps flowing to the next hop
+    const routedRequest = request;
     
     // Apply path-based routing
     for (const [ruleId, rule] of this.rules) {
@@ -192,14 +220,18 @@ export class AWSLoadBalancer extends BaseService {
    * Perform health checks on target groups
    */
   performHealthChecks() {
-    if (!this.healthCheck.enabled) {
-      return;
-    }
+    const now = this.now();
     
-    // Simulate health check results
-    for (const [targetGroupId, targetGroup] of this.targetGroups) {
-      const healthyTargets = this.checkTargetHealth(targetGroup);
-      targetGroup.healthyTargets = healthyTargets;
+    for (const targetGroup of this.targetGroups.values()) {
+      // Deregister targets that are gone or have finished draining
+      targetGroup.targets = targetGroup.targets.filter(target =>
+        this.targetResolver(target.id) &&
+        (target.drainingUntil === null || now < target.drainingUntil)
+      );
+      
+      if (this.healthCheck.enabled) {
+        targetGroup.healthyTargets = this.checkTargetHealth(targetGroup);
+      }
     }
   }
   
@@ -207,17 +239,121 @@ export class AWSLoadBalancer extends BaseService {
    * Check health of targets in a target group
    */
   checkTargetHealth(targetGroup) {
-    // Simulate health check logic
-    // In a real implementation, this would make HTTP requests to targets
-    const totalTargets = targetGroup.targets?.length || 0;
+    let healthyTargets = 0;
     
-    if (totalTargets === 0) {
-      return 0;
+    for (const target of targetGroup.targets) {
+      const service = this.targetResolver(target.id);
+      target.health = service ? service.health : 'failed';
+      
+      if (this.isTargetAvailable(target)) {
+        healthyTargets++;
+      }
     }
     
-    // Simulate some targets being unhealthy under high load
-    const healthyRatio = this.currentLoad > 0.8 ? 0.8 : 0.95;
-    return Math.floor(totalTargets * healthyRatio);
+    return healthyTargets;
+  }
+  
+  /**
+   * Check whether a target can receive new requests
+   * Health is the target's own from its last tick; targets that get no traffic
+   * still settle every tick, so a failed target is offered requests again once
+   * it recovers
+   */
+  isTargetAvailable(target) {
+    return target.drainingUntil === null && target.health !== 'failed';
+  }
+  
+  /**
+   * Select the target for a request using sticky sessions and the routing algorithm
+   */
+  selectTarget(request) {
+    const targetGroup = this.targetGroups.get(request.targetGroup) || this.targetGroups.values().next().value;
+    if (!targetGroup) {
+      return null;
+    }
+    
+    // Sticky sessions stay on their target while it takes new requests; sessions
+    // bound to a draining or failed target are re-bound below
+    if (this.stickySessions && this.sessionBindings.has(request.sessionAffinity)) {
+      const boundId = this.sessionBindings.get(request.sessionAffinity);
+      const bound = targetGroup.targets.find(target => target.id === boundId);
+      if (bound && this.isTargetAvailable(bound)) {
+        return bound;
+      }
+      this.sessionBindings.delete(request.sessionAffinity);
+    }
+    
+    const available = targetGroup.targets.filter(target => this.isTargetAvailable(target));
+    if (available.length === 0) {
+      return null;
+    }
+    
+    let selected;
+    if (this.algorithm === 'least_outstanding_requests') {
+      // Fewest requests in flight relative to the target's capacity
+      const outstandingRatio = (target) => target.outstandingRequests / (this.targetResolver(target.id)?.capacity || 1);
+      selected = available.reduce((best, target) => outstandingRatio(target) < outstandingRatio(best) ? target : best);
+    } else {
+      selected = available[targetGroup.nextTargetIndex % available.length];
+      targetGroup.nextTargetIndex++;
+    }
+    
+    if (this.stickySessions) {
+      this.sessionBindings.set(request.sessionAffinity, selected.id);
+    }
+    
+    return selected;
+  }
+  
+  /**
+   * Register a service as a target (defaults to the first target group)
+   */
+  registerTarget(service, targetGroupId = this.targetGroups.keys().next().value) {
+    const targetGroup = this.targetGroups.get(targetGroupId);
+    if (!targetGroup) {
+      throw new Error(`Unknown target group: ${targetGroupId}`);
+    }
+    
+    const existing = targetGroup.targets.find(target => target.id === service.id);
+    if (existing) {
+      existing.drainingUntil = null; // Re-registering cancels draining
+      return;
+    }
+    
+    targetGroup.targets.push({
+      id: service.id,
+      provider: service.provider,
+      availabilityZone: service.availabilityZone || null,
+      health: service.health,
+      outstandingRequests: 0,
+      drainingUntil: null
+    });
+  }
+  
+  /**
+   * Deregister a target - it stops receiving new requests and drains
+   * over connectionDraining.timeout ticks before it is removed
+   */
+  deregisterTarget(serviceId) {
+    for (const targetGroup of this.targetGroups.values()) {
+      const target = targetGroup.targets.find(target => target.id === serviceId);
+      if (!target) {
+        continue;
+      }
+      
+      if (this.connectionDraining.enabled) {
+        target.drainingUntil = this.now() + this.connectionDraining.timeout * 1000;
+      } else {
+        targetGroup.targets = targetGroup.targets.filter(other => other !== target);
+      }
+    }
+  }
+  
+  /**
+   * Set the lookup used to resolve target IDs to live services
+   */
+  setTargetResolver(resolver) {
+    this.targetResolver = resolver;
   }
   
   /**
@@ -269,6 +405,7 @@ export class AWSLoadBalancer extends BaseService {
       port: config.port || 80,
       targets: config.targets || [],
       healthyTargets: 0,
+      nextTargetIndex: 0, // Round-robin position
       healthCheck: { ...this.healthCheck, ...config.healthCheck }
     });
   }
@@ -3,6 +3,7 @@
  * Provides standard and FIFO queues with AWS-specific features
  */
 import { BaseService } from '../baseService.js';
+import { encodeValue, decodeValue } from '../../engine/serialization.js';
 
 export class AWSQueue extends BaseService {
   constructor(config = {}) {
@@ -10,9 +11,13 @@ export class AWSQueue extends BaseService {
       config.name || 'AWS-SQS',
       'aws',
       config.capacity || 3000, // messages per second
-      config.baseCost || 0.0004 // $0.0004 per 1M requests
+      config.baseCost || 0.0004, // $0.0004 per 1M requests
+      config.random
     );
     
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
     // AWS SQS specific configuration
     this.type = 'queue';
     this.queueType = config.queueType || 'standard'; // standard or fifo
@@ -212,7 +217,7 @@ export class AWSQueue extends BaseService {
       body: messageBody,
       attributes: request.messageAttributes || {},
       systemAttributes: {
-        sentTimestamp: Date.now(),
+        sentTimestamp: this.now(),
         senderId: request.senderId || 'anonymous',
         approximateReceiveCount: 0,
         approximateFirstReceiveTimestamp: null
@@ -267,7 +272,7 @@ export class AWSQueue extends BaseService {
       const receiptHandle = this.generateReceiptHandle();
       message.receiptHandle = receiptHandle;
       message.systemAttributes.approximateReceiveCount++;
-      message.systemAttributes.approximateFirstReceiveTimestamp = message.systemAttributes.approximateFirstReceiveTimestamp || Date.now();
+      message.systemAttributes.approximateFirstReceiveTimestamp = message.systemAttributes.approximateFirstReceiveTimestamp || this.now();
       
       // Move to in-flight
       this.inFlightMessages.set(message.messageId, message);
@@ -343,7 +348,7 @@ export class AWSQueue extends BaseService {
     }
     
     messageToUpdate.visibilityTimeout = visibilityTimeout;
-    messageToUpdate.visibilityStartTime = Date.now();
+    messageToUpdate.visibilityStartTime = this.now();
     
     return { operation: 'changeMessageVisibility', success: true };
   }
@@ -371,7 +376,7 @@ export class AWSQueue extends BaseService {
       return true;
     }
     
-    const now = Date.now();
+    const now = this.now();
     const visibilityEnd = message.visibilityStartTime + (message.visibilityTimeout * 1000);
     
     return now > visibilityEnd;
@@ -381,14 +386,14 @@ export class AWSQueue extends BaseService {
    * Generate unique message ID
    */
   generateMessageId() {
-    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    return `msg-${this.random.id(12)}`;
   }
   
   /**
    * Generate receipt handle
    */
   generateReceiptHandle() {
-    return `receipt-${Date.now()}-${Math.random().toString(36).substr(2, 16)}`;
+    return `receipt-${this.random.id(16)}`;
   }
   
   /**
@@ -398,7 +403,7 @@ export class AWSQueue extends BaseService {
     if (this.contentBasedDeduplication) {
       return this.calculateMD5(messageBody);
     }
-    return `dedup-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    return `dedup-${this.random.id(12)}`;
   }
   
   /**
@@ -463,7 +468,7 @@ export class AWSQueue extends BaseService {
     this.queueMetrics.approximateNumberOfMessagesNotVisible = this.inFlightMessages.size;
     
     // Calculate oldest message age
-    let oldestTimestamp = Date.now();
+    let oldestTimestamp = this.now();
     for (const message of this.messages.values()) {
       if (message.systemAttributes.sentTimestamp < oldestTimestamp) {
         oldestTimestamp = message.systemAttributes.sentTimestamp;
@@ -471,14 +476,14 @@ export class AWSQueue extends BaseService {
     }
     
     this.queueMetrics.oldestMessageAge = this.messages.size > 0 ? 
-      Math.floor((Date.now() - oldestTimestamp) / 1000) : 0;
+      Math.floor((this.now() - oldestTimestamp) / 1000) : 0;
   }
   
   /**
    * Clean up expired data
    */
   cleanupExpiredData() {
-    const now = Date.now();
+    const now = this.now();
     
     // Remove expired messages
     for (const [messageId, message] of this.messages) {
@@ -509,6 +514,34 @@ export class AWSQueue extends BaseService {
     }
   }
   
+  /**
+   * Serialize queue state, keeping in-flight messages linked to stored messages
+   */
+  serialize() {
+    const data = super.serialize();
+    
+    data.state.inFlightMessages = Array.from(this.inFlightMessages.entries()).map(([messageId, message]) => (
+      this.messages.get(messageId) === message
+        ? { messageId }
+        : { messageId, message: encodeValue(message) }
+    ));
+    
+    return data;
+  }
+  
+  /**
+   * Restore queue state produced by serialize()
+   */
+  restoreState(state) {
+    const { inFlightMessages, ...rest } = state;
+    super.restoreState(rest);
+    
+    this.inFlightMessages = new Map(inFlightMessages.map(({ messageId, message }) => [
+      messageId,
+      message ? decodeValue(message) : this.messages.get(messageId)
+    ]));
+  }
+  
   /**
    * Get AWS SQS-specific cost calculation
    */
@@ -537,6 +570,16 @@ export class AWSQueue extends BaseService {
     return cost;
   }
   
+  /**
+   * Add SQS metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      queueDepth: this.queueMetrics.approximateNumberOfMessages
+    };
+  }
+  
   /**
    * Get SQS-specific status
    */
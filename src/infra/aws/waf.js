@@ -3,6 +3,7 @@
  * Provides rule-based filtering and AWS-specific security features
  */
 import { BaseService } from '../baseService.js';
+import { EVENTS } from '../../engine/eventBus.js';
 
 export class AWSWAF extends BaseService {
   constructor(config = {}) {
@@ -10,17 +11,21 @@ export class AWSWAF extends BaseService {
       config.name || 'AWS-WAF',
       'aws',
       config.capacity || 25000, // requests per second
-      config.baseCost || 0.60 // $0.60 per month base + per-request costs
+      config.baseCost || 0.60, // $0.60 per month base + per-request costs
+      config.random
     );
     
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
     // AWS WAF specific configuration
     this.type = 'waf';
     this.scope = config.scope || 'CLOUDFRONT'; // CLOUDFRONT or REGIONAL
     this.defaultAction = config.defaultAction || 'ALLOW'; // ALLOW or BLOCK
     
     // Web ACL configuration
-    this.webAclId = config.webAclId || this.generateWebAclId();
-    this.webAclArn = config.webAclArn || this.generateWebAclArn();
+    this.webAclId = config.webAclId || null; // Drawn from the simulation RNG when deployed
+    this.webAclArn = config.webAclArn || null;
     
     // Rules configuration
     this.rules = new Map(); // ruleId -> rule configuration
@@ -57,8 +62,9 @@ export class AWSWAF extends BaseService {
       captchaRequests: 0,
       challengeRequests: 0,
       ruleMatches: new Map(), // ruleId -> match count
-      falsePositives: 0,
-      truePositives: 0
+      falsePositives: 0, // Legitimate users blocked
+      truePositives: 0, // Bots and attacks blocked
+      falsePositiveRate: 0
     };
     
     // Request inspection capabilities
@@ -127,6 +133,7 @@ export class AWSWAF extends BaseService {
     // Calculate current load ratio
     const loadRatio = requests.length / this.capacity;
     this.currentLoad = loadRatio;
+    const matchesBefore = new Map(this.wafMetrics.ruleMatches);
     
     // Update health based on load
     this.updateHealth(loadRatio);
@@ -160,6 +167,13 @@ export class AWSWAF extends BaseService {
           break;
         case 'BLOCK':
           this.wafMetrics.blockedRequests++;
+          // Blocking a real user is a false positive; bots and attacks are fair game
+          if (request.type === 'user') {
+            this.wafMetrics.falsePositives++;
+            request.falsePositive = true;
+          } else {
+            this.wafMetrics.truePositives++;
+          }
           blocked.push(request);
           break;
         case 'COUNT':
@@ -182,12 +196,26 @@ export class AWSWAF extends BaseService {
     // Update WAF metrics
     this.updateWAFMetrics(processed.length, dropped.length, blocked.length);
     
+    this.emitRuleMatches(matchesBefore);
+    
     // Update base metrics
     this.updateMetrics(processed.length, dropped.length, totalLatency);
     
     return { processed, dropped, blocked };
   }
   
+  /**
+   * Queue one rule match event per rule that matched this tick
+   */
+  emitRuleMatches(matchesBefore) {
+    for (const [rule, count] of this.wafMetrics.ruleMatches) {
+      const matches = count - (matchesBefore.get(rule) || 0);
+      if (matches > 0) {
+        this.emitEvent(EVENTS.WAF_RULE_MATCHED, { rule, matches });
+      }
+    }
+  }
+  
   /**
    * Inspect request through WAF rules
    */
@@ -378,12 +406,12 @@ export class AWSWAF extends BaseService {
   evaluateRateBasedRule(request, rule) {
     // Simplified rate limiting simulation
     const key = this.getRateLimitKey(request, rule.aggregateKeyType);
-    const now = Date.now();
+    const now = this.now();
     const windowStart = now - (rule.rateLimit.windowSize * 1000);
     
     // In a real implementation, this would use a sliding window counter
     // For simulation, we'll use a simple random check
-    return Math.random() < 0.1; // 10% chance of rate limit hit
+    return this.random.next() < 0.1; // 10% chance of rate limit hit
   }
   
   /**
@@ -597,20 +625,30 @@ export class AWSWAF extends BaseService {
    * Update WAF metrics
    */
   updateWAFMetrics(processedCount, droppedCount, blockedCount) {
-    // Calculate false positive rate (simplified)
+    // False positive rate across all blocked requests
     const totalBlocked = this.wafMetrics.blockedRequests;
-    if (totalBlocked > 0) {
-      // Assume 5% false positive rate for simulation
-      this.wafMetrics.falsePositives = Math.floor(totalBlocked * 0.05);
-      this.wafMetrics.truePositives = totalBlocked - this.wafMetrics.falsePositives;
-    }
+    this.wafMetrics.falsePositiveRate = totalBlocked > 0
+      ? this.wafMetrics.falsePositives / totalBlocked
+      : 0;
   }
   
   /**
    * Generate Web ACL ID
    */
   generateWebAclId() {
-    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    return this.random.id(12);
+  }
+  
+  /**
+   * Bind the WAF to the simulation RNG and draw its Web ACL ID from it
+   */
+  setRandom(random) {
+    super.setRandom(random);
+    
+    if (!this.webAclId) {
+      this.webAclId = this.generateWebAclId();
+      this.webAclArn = this.webAclArn || this.generateWebAclArn();
+    }
   }
   
   /**
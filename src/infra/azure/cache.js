@@ -0,0 +1,380 @@
+/**
+ * Azure Cache for Redis implementation
+ * Provides Basic, Standard and Premium tiers with fixed cache sizes
+ */
+import { BaseService } from '../baseService.js';
+
+// Cache sizes per tier: memory (GB), throughput (operations per second) and price per hour
+const CACHE_SIZES = {
+  Basic: {
+    C0: { memoryGb: 0.25, operations: 2000, hourlyPrice: 0.022 },
+    C1: { memoryGb: 1, operations: 12000, hourlyPrice: 0.055 },
+    C2: { memoryGb: 2.5, operations: 24000, hourlyPrice: 0.09 },
+    C3: { memoryGb: 6, operations: 48000, hourlyPrice: 0.18 },
+    C4: { memoryGb: 13, operations: 60000, hourlyPrice: 0.21 },
+    C5: { memoryGb: 26, operations: 100000, hourlyPrice: 0.42 },
+    C6: { memoryGb: 53, operations: 150000, hourlyPrice: 0.84 }
+  },
+  Standard: {
+    C0: { memoryGb: 0.25, operations: 2000, hourlyPrice: 0.055 },
+    C1: { memoryGb: 1, operations: 12000, hourlyPrice: 0.138 },
+    C2: { memoryGb: 2.5, operations: 24000, hourlyPrice: 0.224 },
+    C3: { memoryGb: 6, operations: 48000, hourlyPrice: 0.449 },
+    C4: { memoryGb: 13, operations: 60000, hourlyPrice: 0.525 },
+    C5: { memoryGb: 26, operations: 100000, hourlyPrice: 1.05 },
+    C6: { memoryGb: 53, operations: 150000, hourlyPrice: 2.1 }
+  },
+  Premium: {
+    P1: { memoryGb: 6, operations: 70000, hourlyPrice: 0.554 },
+    P2: { memoryGb: 13, operations: 130000, hourlyPrice: 1.109 },
+    P3: { memoryGb: 26, operations: 220000, hourlyPrice: 2.219 },
+    P4: { memoryGb: 53, operations: 250000, hourlyPrice: 2.774 },
+    P5: { memoryGb: 120, operations: 300000, hourlyPrice: 6.174 }
+  }
+};
+
+export class AzureCache extends BaseService {
+  constructor(config = {}) {
+    super(
+      config.name || 'Azure-Redis',
+      'azure',
+      config.capacity || 12000, // operations per second
+      config.baseCost || 0.03, // $0.03 per minute
+      config.random
+    );
+    
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
+    // Azure Cache for Redis specific configuration
+    this.type = 'cache';
+    this.engine = 'redis';
+    this.redisVersion = config.redisVersion || '6';
+    this.tier = config.tier || 'Standard'; // Basic, Standard or Premium
+    this.size = config.size || (this.tier === 'Premium' ? 'P1' : 'C1');
+    this.nonSslPortEnabled = config.nonSslPortEnabled || false;
+    
+    // Premium tier clustering multiplies memory and throughput per shard
+    this.shardCount = this.tier === 'Premium' ? (config.shardCount || 1) : 1;
+    this.replicasPerPrimary = this.tier === 'Basic' ? 0 : (config.replicasPerPrimary || 1);
+    this.persistence = this.tier === 'Premium' ? (config.persistence || 'none') : 'none'; // none, rdb or aof
+    
+    // Cache size sets memory and throughput unless capacity was given explicitly
+    const sizeSpec = CACHE_SIZES[this.tier]?.[this.size];
+    if (sizeSpec && !config.capacity) {
+      this.capacity = sizeSpec.operations * this.shardCount;
+    }
+    this.maxMemory = (sizeSpec?.memoryGb || 1) * this.shardCount;
+    this.maxmemoryPolicy = config.maxmemoryPolicy || 'volatile-lru';
+    
+    // Basic tier runs on a single node: patching takes the cache offline
+    this.patchingRisk = this.tier === 'Basic' ? 0.02 : 0; // 2% chance per hour
+    this.patchingUntil = null; // Simulated time the current patch completes
+    
+    // Cache-specific metrics
+    this.cacheMetrics = {
+      hitRate: 0,
+      missRate: 0,
+      evictions: 0,
+      memoryUsage: 0,
+      serverLoad: 0,
+      cacheWrite: 0
+    };
+    
+    // Cache storage
+    this.cacheData = new Map(); // Simplified in-memory cache simulation
+    this.cacheStats = {
+      gets: 0,
+      sets: 0,
+      hits: 0,
+      misses: 0,
+      evictions: 0
+    };
+    
+    // Azure-specific performance characteristics
+    this.latencyBase = 1; // Very low latency for cache operations
+    this.latencyMultiplier = 0.4; // Excellent scaling
+    this.degradationThreshold = 0.8; // Degrades when server load is high
+    this.failureThreshold = 1.5; // Can handle significant overload
+  }
+  
+  /**
+   * Process cache requests with Azure Cache for Redis performance
+   */
+  processRequests(requests) {
+    if (!requests || requests.length === 0) {
+      return { processed: [], dropped: [] };
+    }
+    
+    // Basic tier has no replica to fail over to while it is patched
+    if (this.checkPatching()) {
+      return { processed: [], dropped: requests };
+    }
+    
+    const processed = [];
+    const dropped = [];
+    let totalLatency = 0;
+    
+    // Calculate current load ratio
+    const loadRatio = requests.length / this.capacity;
+    this.currentLoad = loadRatio;
+    this.cacheMetrics.serverLoad = Math.min(100, loadRatio * 100);
+    
+    // Update health based on load
+    this.updateHealth(loadRatio);
+    
+    // Process each cache request
+    for (const request of requests) {
+      if (this.shouldDropRequest(loadRatio)) {
+        dropped.push(request);
+        continue;
+      }
+      
+      // Simulate cache operation
+      const cacheResult = this.simulateCacheOperation(request);
+      
+      const latency = this.calculateCacheLatency(loadRatio, cacheResult);
+      request.latency += latency;
+      totalLatency += latency;
+      
+      // Mark request as processed by Azure Cache for Redis
+      request.provider = 'azure';
+      request.service = 'azure-cache-for-redis';
+      request.engine = this.engine;
+      request.cacheHit = cacheResult.hit;
+      
+      processed.push(request);
+    }
+    
+    // Update cache metrics
+    this.updateCacheMetrics();
+    
+    // Update base metrics
+    this.updateMetrics(processed.length, dropped.length, totalLatency);
+    
+    return { processed, dropped };
+  }
+  
+  /**
+   * Check whether a Basic tier cache is down for patching
+   */
+  checkPatching() {
+    const now = this.now();
+    
+    if (this.patchingUntil !== null) {
+      if (now < this.patchingUntil) {
+        return true;
+      }
+      this.patchingUntil = null;
+    }
+    
+    if (this.patchingRisk > 0 && this.random.next() < this.patchingRisk / 60) {
+      this.patchingUntil = now + 30 * 1000; // Node reboot takes about 30 seconds
+      return true;
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Simulate cache operation (get/set/delete)
+   */
+  simulateCacheOperation(request) {
+    const operation = request.cacheOperation || 'get';
+    const key = request.cacheKey || request.path || 'default';
+    
+    let hit = false;
+    
+    switch (operation) {
+      case 'get':
+        this.cacheStats.gets++;
+        if (this.cacheData.has(key)) {
+          hit = true;
+          this.cacheStats.hits++;
+          this.cacheData.get(key).lastAccess = this.now();
+        } else {
+          this.cacheStats.misses++;
+        }
+        break;
+      
+      case 'set':
+        this.cacheStats.sets++;
+        this.setCacheValue(key, request.cacheValue || 'data');
+        hit = true; // Set operations always "hit"
+        break;
+      
+      case 'delete':
+        hit = this.cacheData.delete(key);
+        break;
+    }
+    
+    return { hit, operation, key };
+  }
+  
+  /**
+   * Set cache value, evicting the least recently used entry when full
+   */
+  setCacheValue(key, value) {
+    const now = this.now();
+    
+    if (!this.cacheData.has(key) && this.cacheData.size >= this.getMaxCacheSize()) {
+      // noeviction rejects writes once memory is full
+      if (this.maxmemoryPolicy === 'noeviction') {
+        return;
+      }
+      this.evictCacheEntry();
+    }
+    
+    this.cacheData.set(key, {
+      value: value,
+      createdAt: now,
+      lastAccess: now
+    });
+    this.cacheMetrics.cacheWrite++;
+  }
+  
+  /**
+   * Evict the least recently used cache entry
+   */
+  evictCacheEntry() {
+    let keyToEvict = null;
+    let oldestAccess = Infinity;
+    for (const [key, entry] of this.cacheData) {
+      if (entry.lastAccess < oldestAccess) {
+        oldestAccess = entry.lastAccess;
+        keyToEvict = key;
+      }
+    }
+    
+    if (keyToEvict !== null) {
+      this.cacheData.delete(keyToEvict);
+      this.cacheStats.evictions++;
+    }
+  }
+  
+  /**
+   * Get maximum cache size based on memory
+   */
+  getMaxCacheSize() {
+    // Simplified: assume average 1KB per entry
+    return Math.floor(this.maxMemory * 1024 * 1024);
+  }
+  
+  /**
+   * Calculate cache-specific latency
+   */
+  calculateCacheLatency(loadRatio, cacheResult) {
+    let latency = this.calculateLatency(loadRatio);
+    
+    // Cache hits are faster than misses
+    latency *= cacheResult.hit ? 0.5 : 1.2;
+    
+    // Premium runs on dedicated hardware with better networking
+    if (this.tier === 'Premium') {
+      latency *= 0.85;
+    }
+    
+    // AOF persistence writes every operation to disk
+    if (this.persistence === 'aof' && cacheResult.operation === 'set') {
+      latency *= 1.2;
+    }
+    
+    return Math.round(latency);
+  }
+  
+  /**
+   * Update cache-specific metrics
+   */
+  updateCacheMetrics() {
+    const totalOps = this.cacheStats.gets + this.cacheStats.sets;
+    
+    if (totalOps > 0) {
+      this.cacheMetrics.hitRate = (this.cacheStats.hits / totalOps) * 100;
+      this.cacheMetrics.missRate = (this.cacheStats.misses / totalOps) * 100;
+    }
+    
+    this.cacheMetrics.evictions = this.cacheStats.evictions;
+    this.cacheMetrics.memoryUsage = (this.cacheData.size / this.getMaxCacheSize()) * 100;
+  }
+  
+  /**
+   * Get Azure Cache for Redis cost calculation
+   */
+  getCost() {
+    const sizeSpec = CACHE_SIZES[this.tier]?.[this.size];
+    let cost = sizeSpec ? sizeSpec.hourlyPrice / 60 : this.baseCost;
+    
+    // Each Premium shard is a full primary/replica pair; extra replicas are billed per node
+    cost *= this.shardCount;
+    if (this.replicasPerPrimary > 1) {
+      cost += cost * 0.5 * (this.replicasPerPrimary - 1);
+    }
+    
+    return cost;
+  }
+  
+  /**
+   * Add Azure Cache for Redis metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      hitRate: this.cacheMetrics.hitRate
+    };
+  }
+  
+  /**
+   * Get Azure Cache for Redis-specific status
+   */
+  getStatus() {
+    const baseStatus = super.getStatus();
+    
+    return {
+      ...baseStatus,
+      type: this.type,
+      engine: this.engine,
+      redisVersion: this.redisVersion,
+      tier: this.tier,
+      size: this.size,
+      memorySizeGb: this.maxMemory,
+      shardCount: this.shardCount,
+      replicasPerPrimary: this.replicasPerPrimary,
+      persistence: this.persistence,
+      patching: this.patchingUntil !== null,
+      cacheMetrics: { ...this.cacheMetrics },
+      cacheStats: { ...this.cacheStats },
+      maxmemoryPolicy: this.maxmemoryPolicy
+    };
+  }
+  
+  /**
+   * Validate Azure Cache for Redis configuration
+   */
+  validate() {
+    const errors = super.validate();
+    
+    if (!CACHE_SIZES[this.tier]) {
+      errors.push('Invalid tier - must be Basic, Standard or Premium');
+    } else if (!CACHE_SIZES[this.tier][this.size]) {
+      errors.push(`Invalid cache size ${this.size} for ${this.tier} tier`);
+    }
+    
+    if (this.shardCount < 1 || this.shardCount > 10) {
+      errors.push('Shard count must be between 1 and 10');
+    }
+    
+    if (this.tier !== 'Basic' && (this.replicasPerPrimary < 1 || this.replicasPerPrimary > 3)) {
+      errors.push('Replicas per primary must be between 1 and 3');
+    }
+    
+    if (!['none', 'rdb', 'aof'].includes(this.persistence)) {
+      errors.push('Invalid persistence - must be none, rdb or aof');
+    }
+    
+    if (!['volatile-lru', 'allkeys-lru', 'noeviction'].includes(this.maxmemoryPolicy)) {
+      errors.push(`Invalid maxmemory policy: ${this.maxmemoryPolicy}`);
+    }
+    
+    return errors;
+  }
+}
\ No newline at end of file
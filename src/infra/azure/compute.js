@@ -0,0 +1,322 @@
+/**
+ * Azure Virtual Machines implementation
+ * Provides VM Scale Sets autoscaling, reserved instances and Spot VMs
+ */
+import { BaseService } from '../baseService.js';
+import { EVENTS } from '../../engine/eventBus.js';
+
+// Pay-as-you-go Linux prices per VM hour (East US)
+const VM_SIZE_PRICES = {
+  'Standard_B1s': 0.0104,
+  'Standard_B2s': 0.0416,
+  'Standard_B2ms': 0.0832,
+  'Standard_D2s_v5': 0.096,
+  'Standard_D4s_v5': 0.192,
+  'Standard_F2s_v2': 0.0846,
+  'Standard_F4s_v2': 0.169,
+  'Standard_E2s_v5': 0.126
+};
+
+// Reserved VM instance discounts off pay-as-you-go by term
+const RESERVATION_DISCOUNTS = {
+  '1yr': 0.41,
+  '3yr': 0.62
+};
+
+// Managed disk prices per disk per month
+const MANAGED_DISK_PRICES = {
+  'Standard_LRS': 1.54, // S4 HDD, 32 GB
+  'StandardSSD_LRS': 2.40, // E4 SSD, 32 GB
+  'Premium_LRS': 5.28 // P4 SSD, 32 GB
+};
+
+export class AzureCompute extends BaseService {
+  constructor(config = {}) {
+    super(
+      config.name || 'Azure-VM',
+      'azure',
+      config.capacity || 500, // requests per second per VM
+      config.baseCost || 0.05, // $0.05 per minute
+      config.random
+    );
+    
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
+    // Virtual Machines specific configuration
+    this.type = 'compute';
+    this.vmSize = config.vmSize || 'Standard_B2s';
+    this.osType = config.osType || 'Linux'; // Linux or Windows
+    this.availabilityZone = config.availabilityZone || '1';
+    
+    // VM Scale Sets autoscale: metric-threshold rules that add or remove a fixed number of instances
+    this.capacityPerInstance = this.capacity;
+    this.scaleSet = {
+      enabled: config.scaleSet?.enabled || false,
+      minInstances: config.scaleSet?.minInstances || 1,
+      maxInstances: config.scaleSet?.maxInstances || 10,
+      instances: config.scaleSet?.instances || 1,
+      scaleOutCpuThreshold: config.scaleSet?.scaleOutCpuThreshold || 75, // percent
+      scaleInCpuThreshold: config.scaleSet?.scaleInCpuThreshold || 25, // percent
+      changeCount: config.scaleSet?.changeCount || 1, // instances added or removed per action
+      cooldownMinutes: config.scaleSet?.cooldownMinutes || 5
+    };
+    this.capacity = this.capacityPerInstance * this.scaleSet.instances;
+    this.lastScalingAction = null; // Simulated time of last scaling action
+    
+    // Reserved instances: a fixed number of VMs is prepaid whether or not they run
+    const term = config.reservation?.term || 'none'; // none, 1yr or 3yr
+    this.reservation = {
+      term,
+      quantity: term === 'none' ? 0 : (config.reservation?.quantity ?? this.scaleSet.instances)
+    };
+    
+    // Spot VMs are deeply discounted but can be evicted when Azure needs the capacity
+    this.spotVm = config.spotVm || false;
+    this.evictionPolicy = config.evictionPolicy || 'Deallocate'; // Deallocate or Delete
+    this.evictionRisk = this.spotVm ? 0.05 : 0; // 5% chance per hour
+    
+    // OS disk
+    this.osDisk = {
+      type: config.osDisk?.type || 'StandardSSD_LRS'
+    };
+    
+    // Azure-specific performance characteristics
+    this.latencyBase = 5; // Base processing latency
+    this.latencyMultiplier = 1.15; // Moderate scaling
+    this.degradationThreshold = 0.75; // Starts degrading at 75% load
+    this.failureThreshold = 1.3; // Can handle 30% overload
+    
+    this.powerState = 'running'; // running, deallocated, stopped
+    this.currentCpuUtilization = 0;
+  }
+  
+  /**
+   * Process requests on the VM or scale set
+   */
+  processRequests(requests) {
+    if (!requests || requests.length === 0) {
+      return { processed: [], dropped: [] };
+    }
+    
+    const processed = [];
+    const dropped = [];
+    let totalLatency = 0;
+    
+    // Calculate current load ratio
+    const loadRatio = requests.length / this.capacity;
+    this.currentLoad = loadRatio;
+    this.currentCpuUtilization = Math.min(100, loadRatio * 100);
+    
+    // Spot eviction loses the whole tick
+    if (this.spotVm && this.checkEviction()) {
+      return { processed: [], dropped: requests };
+    }
+    
+    // Update health based on load
+    this.updateHealth(loadRatio);
+    
+    // Apply scale set autoscale rules
+    this.evaluateAutoscale();
+    
+    // Process each request
+    for (const request of requests) {
+      if (this.shouldDropRequest(loadRatio)) {
+        dropped.push(request);
+        continue;
+      }
+      
+      const latency = this.calculateLatency(loadRatio);
+      request.latency += latency;
+      totalLatency += latency;
+      
+      // Mark request as processed by Virtual Machines
+      request.provider = 'azure';
+      request.service = 'virtual-machines';
+      request.vmSize = this.vmSize;
+      
+      processed.push(request);
+    }
+    
+    // Update metrics
+    this.updateMetrics(processed.length, dropped.length, totalLatency);
+    
+    return { processed, dropped };
+  }
+  
+  /**
+   * Check for Spot VM eviction
+   */
+  checkEviction() {
+    const minutelyRisk = this.evictionRisk / 60;
+    if (this.random.next() < minutelyRisk) {
+      this.emitEvent(EVENTS.SPOT_INTERRUPTED);
+      return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Apply scale-out and scale-in rules after the cooldown
+   */
+  evaluateAutoscale() {
+    if (!this.scaleSet.enabled) {
+      return;
+    }
+    
+    const now = this.now();
+    if (this.lastScalingAction !== null &&
+        (now - this.lastScalingAction) / 1000 < this.scaleSet.cooldownMinutes * 60) {
+      return;
+    }
+    
+    let instances = this.scaleSet.instances;
+    if (this.currentCpuUtilization > this.scaleSet.scaleOutCpuThreshold) {
+      instances = Math.min(this.scaleSet.maxInstances, instances + this.scaleSet.changeCount);
+    } else if (this.currentCpuUtilization < this.scaleSet.scaleInCpuThreshold) {
+      instances = Math.max(this.scaleSet.minInstances, instances - this.scaleSet.changeCount);
+    }
+    
+    if (instances !== this.scaleSet.instances) {
+      this.emitEvent(EVENTS.SERVICE_SCALED, { from: this.scaleSet.instances, to: instances });
+      this.scaleSet.instances = instances;
+      this.capacity = this.capacityPerInstance * instances;
+      this.lastScalingAction = now;
+    }
+  }
+  
+  /**
+   * Get the per-minute price of one VM at pay-as-you-go rates
+   */
+  getInstancePrice() {
+    const hourlyPrice = VM_SIZE_PRICES[this.vmSize];
+    let price = hourlyPrice ? hourlyPrice / 60 : this.baseCost;
+    
+    // Windows licence (without Azure Hybrid Benefit)
+    if (this.osType === 'Windows') {
+      price *= 1.45;
+    }
+    
+    return price;
+  }
+  
+  /**
+   * Get Virtual Machines cost calculation
+   */
+  getCost() {
+    const instancePrice = this.getInstancePrice();
+    let cost = 0;
+    
+    if (this.spotVm) {
+      // Spot VMs are billed at the spot price
+      cost += instancePrice * 0.2 * this.scaleSet.instances; // Typically up to 90% off
+    } else if (this.reservation.term !== 'none') {
+      // Reserved capacity is paid whether used or not; overflow runs at pay-as-you-go
+      const discount = RESERVATION_DISCOUNTS[this.reservation.term] || 0;
+      cost += instancePrice * (1 - discount) * this.reservation.quantity;
+      cost += instancePrice * Math.max(0, this.scaleSet.instances - this.reservation.quantity);
+    } else {
+      cost += instancePrice * this.scaleSet.instances;
+    }
+    
+    // Managed OS disk cost
+    const diskPrice = MANAGED_DISK_PRICES[this.osDisk.type] || MANAGED_DISK_PRICES.StandardSSD_LRS;
+    cost += diskPrice / (30 * 24 * 60) * this.scaleSet.instances;
+    
+    // Bandwidth (simplified)
+    cost += this.metrics.requestsPerSecond * 0.0000087; // $0.0000087 per request
+    
+    return cost;
+  }
+  
+  /**
+   * Get the share of reserved capacity actually running
+   */
+  getReservationUtilization() {
+    if (this.reservation.quantity === 0) {
+      return 0;
+    }
+    return Math.min(1, this.scaleSet.instances / this.reservation.quantity) * 100;
+  }
+  
+  /**
+   * Add Virtual Machines metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      cpuUtilization: this.currentCpuUtilization,
+      instances: this.scaleSet.instances
+    };
+  }
+  
+  /**
+   * Get Virtual Machines-specific status
+   */
+  getStatus() {
+    const baseStatus = super.getStatus();
+    
+    return {
+      ...baseStatus,
+      type: this.type,
+      vmSize: this.vmSize,
+      osType: this.osType,
+      availabilityZone: this.availabilityZone,
+      powerState: this.powerState,
+      cpuUtilization: this.currentCpuUtilization,
+      scaleSet: { ...this.scaleSet },
+      reservation: {
+        ...this.reservation,
+        utilization: this.getReservationUtilization()
+      },
+      spotVm: this.spotVm,
+      evictionPolicy: this.spotVm ? this.evictionPolicy : null,
+      osDisk: { ...this.osDisk }
+    };
+  }
+  
+  /**
+   * Validate Virtual Machines configuration
+   */
+  validate() {
+    const errors = super.validate();
+    
+    if (!VM_SIZE_PRICES[this.vmSize]) {
+      errors.push(`Invalid VM size: ${this.vmSize}`);
+    }
+    
+    if (!['Linux', 'Windows'].includes(this.osType)) {
+      errors.push('Invalid OS type - must be Linux or Windows');
+    }
+    
+    if (this.scaleSet.minInstances > this.scaleSet.maxInstances) {
+      errors.push('Scale set minimum instances cannot exceed maximum instances');
+    }
+    
+    if (this.scaleSet.maxInstances > 1000) {
+      errors.push('Scale set cannot exceed 1000 instances');
+    }
+    
+    if (this.scaleSet.scaleInCpuThreshold >= this.scaleSet.scaleOutCpuThreshold) {
+      errors.push('Scale-in CPU threshold must be below the scale-out threshold');
+    }
+    
+    if (this.reservation.term !== 'none' && !RESERVATION_DISCOUNTS[this.reservation.term]) {
+      errors.push('Invalid reservation term - must be none, 1yr or 3yr');
+    }
+    
+    if (this.spotVm && this.reservation.term !== 'none') {
+      errors.push('Spot VMs cannot use reserved instance pricing');
+    }
+    
+    if (this.spotVm && !['Deallocate', 'Delete'].includes(this.evictionPolicy)) {
+      errors.push('Invalid eviction policy - must be Deallocate or Delete');
+    }
+    
+    if (!MANAGED_DISK_PRICES[this.osDisk.type]) {
+      errors.push(`Invalid OS disk type: ${this.osDisk.type}`);
+    }
+    
+    return errors;
+  }
+}
\ No newline at end of file
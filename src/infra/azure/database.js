@@ -0,0 +1,394 @@
+/**
+ * Azure SQL Database implementation
+ * Provides vCore service tiers with provisioned or serverless compute
+ */
+import { BaseService } from '../baseService.js';
+
+// Price per vCore-hour by service tier and compute tier
+const VCORE_PRICES = {
+  GeneralPurpose: { Provisioned: 0.505, Serverless: 0.5218 },
+  BusinessCritical: { Provisioned: 1.36 },
+  Hyperscale: { Provisioned: 0.365 }
+};
+
+// Data storage prices per GB per month
+const STORAGE_PRICES = {
+  GeneralPurpose: 0.115,
+  BusinessCritical: 0.25,
+  Hyperscale: 0.1
+};
+
+// Connections per second each vCore sustains
+const CONNECTIONS_PER_VCORE = 250;
+
+export class AzureDatabase extends BaseService {
+  constructor(config = {}) {
+    super(
+      config.name || 'Azure-SQL',
+      'azure',
+      config.capacity || 1000, // connections per second
+      config.baseCost || 0.015, // $0.015 per minute
+      config.random
+    );
+    
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
+    // Azure SQL Database specific configuration
+    this.type = 'database';
+    this.engine = 'sqlserver';
+    this.serviceTier = config.serviceTier || 'GeneralPurpose'; // GeneralPurpose, BusinessCritical or Hyperscale
+    this.computeTier = config.computeTier || 'Provisioned'; // Provisioned or Serverless
+    this.maxSizeGb = config.maxSizeGb || 32;
+    this.zoneRedundant = config.zoneRedundant || false;
+    
+    // Business Critical and Hyperscale can serve reads from a secondary replica
+    this.readScaleOut = this.serviceTier !== 'GeneralPurpose' && (config.readScaleOut ?? true);
+    
+    // Provisioned compute is a fixed vCore count; serverless scales between min and max
+    this.vCores = config.vCores || 2;
+    this.serverless = {
+      minVCores: config.serverless?.minVCores || 0.5,
+      maxVCores: config.serverless?.maxVCores || 4,
+      autoPauseDelay: config.serverless?.autoPauseDelay ?? 60, // minutes of inactivity, -1 disables
+      resumeSeconds: config.serverless?.resumeSeconds || 30 // Cold start after auto-pause
+    };
+    this.currentVCores = this.computeTier === 'Serverless' ? this.serverless.minVCores : this.vCores;
+    
+    // Capacity scales with the vCores that can be allocated
+    const maxVCores = this.computeTier === 'Serverless' ? this.serverless.maxVCores : this.vCores;
+    if (!config.capacity) {
+      this.capacity = maxVCores * CONNECTIONS_PER_VCORE;
+    }
+    this.maxConnections = this.capacity;
+    
+    // Serverless auto-pause state
+    this.databaseStatus = 'Online'; // Online, Paused or Resuming
+    this.lastActivityAt = null; // Simulated time of the last request
+    this.resumeCompletesAt = null; // Simulated time an in-progress resume ends
+    
+    // Database-specific metrics
+    this.dbMetrics = {
+      activeConnections: 0,
+      queuedConnections: 0,
+      cpuUtilization: 0,
+      readLatency: 0,
+      writeLatency: 0,
+      storageUtilization: 0,
+      pauseCount: 0,
+      coldStarts: 0
+    };
+    
+    // Query simulation
+    this.queryStats = {
+      selects: 0,
+      inserts: 0,
+      updates: 0,
+      deletes: 0,
+      slowQueries: 0
+    };
+    
+    // Azure-specific performance characteristics
+    this.latencyBase = 3; // Base database latency
+    this.latencyMultiplier = 1.4; // Database operations scale with load
+    this.degradationThreshold = 0.8; // Starts degrading at 80% connections
+    this.failureThreshold = 1.2; // Fails at 120% of max connections
+  }
+  
+  /**
+   * Advance the simulated clock and auto-pause an idle serverless database
+   */
+  setSimulationTime(time) {
+    super.setSimulationTime(time);
+    
+    if (this.lastActivityAt === null) {
+      this.lastActivityAt = time;
+    }
+    
+    if (this.databaseStatus === 'Resuming' && time >= this.resumeCompletesAt) {
+      this.databaseStatus = 'Online';
+      this.resumeCompletesAt = null;
+    }
+    
+    // Idle serverless compute drops back to min vCores
+    if (this.computeTier === 'Serverless' && this.databaseStatus === 'Online' && time - this.lastActivityAt > 1000) {
+      this.currentVCores = this.serverless.minVCores;
+    }
+    
+    if (this.isAutoPauseEnabled() && this.databaseStatus === 'Online' &&
+        time - this.lastActivityAt >= this.serverless.autoPauseDelay * 60 * 1000) {
+      this.databaseStatus = 'Paused';
+      this.currentVCores = 0;
+      this.dbMetrics.pauseCount++;
+    }
+  }
+  
+  /**
+   * Check whether the database pauses when idle
+   */
+  isAutoPauseEnabled() {
+    return this.computeTier === 'Serverless' && this.serverless.autoPauseDelay !== -1;
+  }
+  
+  /**
+   * Process database requests with Azure SQL performance characteristics
+   */
+  processRequests(requests) {
+    if (!requests || requests.length === 0) {
+      return { processed: [], dropped: [] };
+    }
+    
+    const processed = [];
+    const dropped = [];
+    let totalLatency = 0;
+    const now = this.now();
+    this.lastActivityAt = now;
+    
+    // The first connection to a paused database triggers a resume
+    if (this.databaseStatus === 'Paused') {
+      this.resume();
+    }
+    
+    // Callers wait out the rest of the cold start
+    const coldStartLatency = this.databaseStatus === 'Resuming' ? this.resumeCompletesAt - now : 0;
+    
+    // Calculate current load ratio based on connections
+    const loadRatio = requests.length / this.maxConnections;
+    this.currentLoad = loadRatio;
+    
+    // Serverless compute follows the load between min and max vCores
+    if (this.computeTier === 'Serverless') {
+      this.scaleServerlessCompute(loadRatio);
+    }
+    
+    // Update health based on load
+    this.updateHealth(loadRatio);
+    
+    // Process each database request
+    for (const request of requests) {
+      if (this.shouldDropRequest(loadRatio)) {
+        dropped.push(request);
+        continue;
+      }
+      
+      // Simulate database operation
+      const dbResult = this.simulateDatabaseOperation(request);
+      
+      const latency = this.calculateDatabaseLatency(loadRatio, dbResult) + coldStartLatency;
+      request.latency += latency;
+      totalLatency += latency;
+      
+      // Mark request as processed by Azure SQL Database
+      request.provider = 'azure';
+      request.service = 'azure-sql';
+      request.engine = this.engine;
+      request.queryType = dbResult.queryType;
+      
+      processed.push(request);
+    }
+    
+    // Update database metrics
+    this.updateDatabaseMetrics(processed.length, dropped.length, totalLatency);
+    
+    // Update base metrics
+    this.updateMetrics(processed.length, dropped.length, totalLatency);
+    
+    return { processed, dropped };
+  }
+  
+  /**
+   * Start resuming a paused serverless database
+   */
+  resume() {
+    this.databaseStatus = 'Resuming';
+    this.resumeCompletesAt = this.now() + this.serverless.resumeSeconds * 1000;
+    this.currentVCores = this.serverless.minVCores;
+    this.dbMetrics.coldStarts++;
+  }
+  
+  /**
+   * Allocate serverless vCores in half-vCore steps to match the load
+   */
+  scaleServerlessCompute(loadRatio) {
+    const needed = Math.ceil(loadRatio * this.serverless.maxVCores * 2) / 2;
+    this.currentVCores = Math.min(this.serverless.maxVCores, Math.max(this.serverless.minVCores, needed));
+  }
+  
+  /**
+   * Simulate database operation
+   */
+  simulateDatabaseOperation(request) {
+    const queryTypes = ['SELECT', 'INSERT', 'UPDATE', 'DELETE'];
+    const queryType = request.queryType || queryTypes[Math.floor(this.random.next() * queryTypes.length)];
+    
+    switch (queryType) {
+      case 'SELECT':
+        this.queryStats.selects++;
+        break;
+      case 'INSERT':
+        this.queryStats.inserts++;
+        break;
+      case 'UPDATE':
+        this.queryStats.updates++;
+        break;
+      case 'DELETE':
+        this.queryStats.deletes++;
+        break;
+    }
+    
+    // Simulate slow query
+    const isSlowQuery = this.random.next() < 0.05; // 5% of queries are slow
+    if (isSlowQuery) {
+      this.queryStats.slowQueries++;
+    }
+    
+    return { queryType, isSlowQuery };
+  }
+  
+  /**
+   * Calculate database-specific latency
+   */
+  calculateDatabaseLatency(loadRatio, dbResult) {
+    let latency = this.calculateLatency(loadRatio);
+    const isWrite = dbResult.queryType !== 'SELECT';
+    
+    // Writes are slower than reads
+    latency *= isWrite ? 1.3 : 0.8;
+    
+    // Slow queries take much longer
+    if (dbResult.isSlowQuery) {
+      latency *= 10;
+    }
+    
+    // Business Critical runs on local SSD; General Purpose uses remote storage
+    if (this.serviceTier === 'BusinessCritical') {
+      latency *= 0.7;
+    } else if (this.serviceTier === 'GeneralPurpose') {
+      latency *= 1.1;
+    }
+    
+    // Read scale-out serves reads from a secondary replica
+    if (this.readScaleOut && !isWrite) {
+      latency *= 0.8;
+    }
+    
+    // Zone-redundant databases commit writes across availability zones
+    if (this.zoneRedundant && isWrite) {
+      latency += 2;
+    }
+    
+    return Math.round(latency);
+  }
+  
+  /**
+   * Update database-specific metrics
+   */
+  updateDatabaseMetrics(processedCount, droppedCount, totalLatency) {
+    this.dbMetrics.activeConnections = processedCount;
+    this.dbMetrics.queuedConnections = droppedCount;
+    this.dbMetrics.cpuUtilization = Math.min(100, this.currentLoad * 100);
+    
+    const avgLatency = processedCount > 0 ? totalLatency / processedCount : 0;
+    this.dbMetrics.readLatency = avgLatency * 0.8;
+    this.dbMetrics.writeLatency = avgLatency * 1.3;
+    
+    // Storage grows with writes (100 bytes per insert/update)
+    const usedBytes = (this.queryStats.inserts + this.queryStats.updates) * 100;
+    this.dbMetrics.storageUtilization = Math.min(100, (usedBytes / (this.maxSizeGb * 1024 ** 3)) * 100);
+  }
+  
+  /**
+   * Get Azure SQL Database cost calculation
+   */
+  getCost() {
+    const prices = VCORE_PRICES[this.serviceTier] || VCORE_PRICES.GeneralPurpose;
+    const vCoreHour = prices[this.computeTier] || prices.Provisioned;
+    
+    // Compute: serverless bills the vCores in use (nothing while paused)
+    let cost = vCoreHour / 60 * this.currentVCores;
+    
+    // Zone redundancy adds a premium on General Purpose
+    if (this.zoneRedundant && this.serviceTier === 'GeneralPurpose') {
+      cost *= 1.2;
+    }
+    
+    // Storage is billed even while paused
+    const storagePrice = STORAGE_PRICES[this.serviceTier] || STORAGE_PRICES.GeneralPurpose;
+    cost += storagePrice / (30 * 24 * 60) * this.maxSizeGb;
+    
+    return cost;
+  }
+  
+  /**
+   * Add Azure SQL Database metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      cpuUtilization: this.dbMetrics.cpuUtilization,
+      vCores: this.currentVCores
+    };
+  }
+  
+  /**
+   * Get Azure SQL Database-specific status
+   */
+  getStatus() {
+    const baseStatus = super.getStatus();
+    
+    return {
+      ...baseStatus,
+      type: this.type,
+      engine: this.engine,
+      serviceTier: this.serviceTier,
+      computeTier: this.computeTier,
+      vCores: this.currentVCores,
+      serverless: this.computeTier === 'Serverless' ? { ...this.serverless } : null,
+      databaseStatus: this.databaseStatus,
+      maxSizeGb: this.maxSizeGb,
+      zoneRedundant: this.zoneRedundant,
+      readScaleOut: this.readScaleOut,
+      maxConnections: this.maxConnections,
+      dbMetrics: { ...this.dbMetrics },
+      queryStats: { ...this.queryStats }
+    };
+  }
+  
+  /**
+   * Validate Azure SQL Database configuration
+   */
+  validate() {
+    const errors = super.validate();
+    
+    if (!VCORE_PRICES[this.serviceTier]) {
+      errors.push('Invalid service tier - must be GeneralPurpose, BusinessCritical or Hyperscale');
+    } else if (!VCORE_PRICES[this.serviceTier][this.computeTier]) {
+      errors.push(`${this.computeTier} compute is not available in the ${this.serviceTier} tier`);
+    }
+    
+    if (this.computeTier === 'Provisioned' && ![2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 24, 32, 40, 80].includes(this.vCores)) {
+      errors.push(`Invalid vCore count: ${this.vCores}`);
+    }
+    
+    if (this.computeTier === 'Serverless') {
+      if (this.serverless.minVCores < 0.5 || this.serverless.minVCores > this.serverless.maxVCores) {
+        errors.push('Serverless min vCores must be at least 0.5 and no more than max vCores');
+      }
+      
+      if (this.serverless.maxVCores > 80) {
+        errors.push('Serverless max vCores cannot exceed 80');
+      }
+      
+      const autoPauseDelay = this.serverless.autoPauseDelay;
+      if (autoPauseDelay !== -1 && (autoPauseDelay < 15 || autoPauseDelay > 10080)) {
+        errors.push('Auto-pause delay must be between 15 and 10080 minutes, or -1 to disable');
+      }
+    }
+    
+    if (this.maxSizeGb < 1 || this.maxSizeGb > 4096) {
+      errors.push('Max size must be between 1 and 4096 GB');
+    }
+    
+    return errors;
+  }
+}
\ No newline at end of file
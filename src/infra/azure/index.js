@@ -0,0 +1,318 @@
+/**
+ * Azure Infrastructure Services
+ * Exports all Azure-specific service implementations
+ */
+
+import { AzureLoadBalancer } from './loadBalancer.js';
+import { AzureCompute } from './compute.js';
+import { AzureCache } from './cache.js';
+import { AzureDatabase } from './database.js';
+import { AzureQueue } from './queue.js';
+import { AzureWAF } from './waf.js';
+import { resolveServiceType, validateConfigSchema } from '../configSchema.js';
+
+export { AzureLoadBalancer, AzureCompute, AzureCache, AzureDatabase, AzureQueue, AzureWAF };
+
+/**
+ * Azure Service Factory
+ * Creates Azure services with provider-specific configurations
+ */
+export class AzureServiceFactory {
+  /**
+   * Create Azure Load Balancer (Application Gateway)
+   */
+  static createLoadBalancer(config = {}) {
+    return new AzureLoadBalancer({
+      name: config.name || 'Azure-AppGW',
+      sku: config.sku || 'Standard_v2',
+      capacity: config.capacity || 500,
+      baseCost: config.baseCost || 0.004,
+      ...config
+    });
+  }
+  
+  /**
+   * Create Azure Compute (Virtual Machines)
+   */
+  static createCompute(config = {}) {
+    return new AzureCompute({
+      name: config.name || 'Azure-VM',
+      vmSize: config.vmSize || 'Standard_B2s',
+      capacity: config.capacity || 500,
+      baseCost: config.baseCost || 0.05,
+      scaleSet: config.scaleSet || { enabled: config.scaleSetEnabled || false },
+      reservation: config.reservation || { term: config.reservationTerm || 'none' },
+      spotVm: config.spotVm || false,
+      ...config
+    });
+  }
+  
+  /**
+   * Create Azure Cache (Azure Cache for Redis)
+   */
+  static createCache(config = {}) {
+    return new AzureCache({
+      name: config.name || 'Azure-Redis',
+      tier: config.tier || 'Standard',
+      baseCost: config.baseCost || 0.03,
+      ...config
+    });
+  }
+  
+  /**
+   * Create Azure Database (Azure SQL Database)
+   */
+  static createDatabase(config = {}) {
+    return new AzureDatabase({
+      name: config.name || 'Azure-SQL',
+      serviceTier: config.serviceTier || 'GeneralPurpose',
+      computeTier: config.computeTier || 'Provisioned',
+      vCores: config.vCores || 2,
+      baseCost: config.baseCost || 0.015,
+      ...config
+    });
+  }
+  
+  /**
+   * Create Azure Queue (Service Bus)
+   */
+  static createQueue(config = {}) {
+    return new AzureQueue({
+      name: config.name || 'Azure-ServiceBus',
+      tier: config.tier || 'Standard',
+      baseCost: config.baseCost || 0.0005,
+      requiresSession: config.requiresSession || false,
+      ...config
+    });
+  }
+  
+  /**
+   * Create Azure WAF (Azure Web Application Firewall)
+   */
+  static createWAF(config = {}) {
+    return new AzureWAF({
+      name: config.name || 'Azure-WAF',
+      capacity: config.capacity || 25000,
+      baseCost: config.baseCost || 0.0002,
+      mode: config.mode || 'Prevention',
+      managedRuleSet: config.managedRuleSet || 'DRS_2.1',
+      threatIntel: config.threatIntel || { mode: config.threatIntelMode || 'Deny' },
+      ...config
+    });
+  }
+  
+  /**
+   * Get all available Azure service types
+   */
+  static getAvailableServices() {
+    return Object.entries(AZURE_SERVICE_TYPES).map(([type, definition]) => ({
+      type,
+      name: definition.name,
+      description: definition.description,
+      aliases: definition.aliases,
+      className: definition.serviceClass.name,
+      configSchema: definition.configSchema,
+      factory: (config = {}) => this[definition.factory](config)
+    }));
+  }
+  
+  /**
+   * Resolve a service type or alias (e.g. 'servicebus') to its canonical type, or null
+   */
+  static resolveType(type) {
+    return resolveServiceType(AZURE_SERVICE_TYPES, type);
+  }
+  
+  /**
+   * Get the config schema for a service type or alias
+   */
+  static getConfigSchema(type) {
+    const canonical = this.resolveType(type);
+    return canonical ? AZURE_SERVICE_TYPES[canonical].configSchema : null;
+  }
+  
+  /**
+   * Validate config against a service type's schema
+   */
+  static validateConfig(type, config = {}) {
+    const schema = this.getConfigSchema(type);
+    if (!schema) {
+      return [`Unknown Azure service type: ${type}`];
+    }
+    
+    return validateConfigSchema(schema, config);
+  }
+  
+  /**
+   * Create service by type or alias
+   */
+  static createService(type, config = {}) {
+    const canonical = this.resolveType(type);
+    if (!canonical) {
+      throw new Error(`Unknown Azure service type: ${type}`);
+    }
+    
+    const errors = this.validateConfig(canonical, config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${canonical} config: ${errors.join('; ')}`);
+    }
+    
+    return this[AZURE_SERVICE_TYPES[canonical].factory](config);
+  }
+}
+
+/**
+ * Azure service type registry
+ * Canonical type -> display info, aliases, service class, factory method and config schema
+ */
+export const AZURE_SERVICE_TYPES = {
+  loadbalancer: {
+    name: 'Application Gateway',
+    description: 'Layer 7 load balancing with v2 autoscaling billed in capacity units',
+    aliases: ['appgw', 'application-gateway'],
+    serviceClass: AzureLoadBalancer,
+    factory: 'createLoadBalancer',
+    configSchema: [
+      { key: 'sku', label: 'SKU', type: 'select', options: ['Standard_v2', 'WAF_v2'], default: 'Standard_v2' },
+      { key: 'cookieBasedAffinity', label: 'Cookie affinity', type: 'select', options: ['Disabled', 'Enabled'], default: 'Disabled' }
+    ]
+  },
+  compute: {
+    name: 'Virtual Machines',
+    description: 'VMs with Scale Sets autoscaling, reserved instances and Spot pricing',
+    aliases: ['vm', 'vmss', 'virtual-machines'],
+    serviceClass: AzureCompute,
+    factory: 'createCompute',
+    configSchema: [
+      { key: 'vmSize', label: 'VM size', type: 'select', options: ['Standard_B1s', 'Standard_B2s', 'Standard_B2ms', 'Standard_D2s_v5', 'Standard_D4s_v5', 'Standard_F2s_v2', 'Standard_F4s_v2', 'Standard_E2s_v5'], default: 'Standard_B2s' },
+      { key: 'capacity', label: 'Capacity per VM (req/s)', type: 'number', min: 1, default: 500 },
+      { key: 'scaleSetEnabled', label: 'Scale set autoscale', type: 'checkbox', default: false },
+      { key: 'reservationTerm', label: 'Reservation', type: 'select', options: ['none', '1yr', '3yr'], default: 'none' },
+      { key: 'spotVm', label: 'Spot VM', type: 'checkbox', default: false }
+    ]
+  },
+  cache: {
+    name: 'Azure Cache for Redis',
+    description: 'Managed Redis in Basic, Standard and Premium tiers',
+    aliases: ['redis', 'azure-cache'],
+    serviceClass: AzureCache,
+    factory: 'createCache',
+    configSchema: [
+      { key: 'tier', label: 'Tier', type: 'select', options: ['Basic', 'Standard', 'Premium'], default: 'Standard' },
+      {
+        key: 'size',
+        label: 'Size',
+        type: 'select',
+        options: ['C0', 'C1', 'C2', 'C3', 'C4', 'C5', 'C6', 'P1', 'P2', 'P3', 'P4', 'P5'],
+        optionsBy: {
+          field: 'tier',
+          options: {
+            Basic: ['C0', 'C1', 'C2', 'C3', 'C4', 'C5', 'C6'],
+            Standard: ['C0', 'C1', 'C2', 'C3', 'C4', 'C5', 'C6'],
+            Premium: ['P1', 'P2', 'P3', 'P4', 'P5']
+          }
+        },
+        default: 'C1'
+      }
+    ]
+  },
+  database: {
+    name: 'Azure SQL Database',
+    description: 'Managed SQL Server with provisioned or auto-pausing serverless compute',
+    aliases: ['azuresql', 'sql-database'],
+    serviceClass: AzureDatabase,
+    factory: 'createDatabase',
+    configSchema: [
+      { key: 'serviceTier', label: 'Service tier', type: 'select', options: ['GeneralPurpose', 'BusinessCritical', 'Hyperscale'], default: 'GeneralPurpose' },
+      { key: 'computeTier', label: 'Compute tier', type: 'select', options: ['Provisioned', 'Serverless'], default: 'Provisioned' },
+      { key: 'vCores', label: 'vCores (provisioned)', type: 'number', min: 2, max: 80, default: 2 }
+    ]
+  },
+  queue: {
+    name: 'Service Bus',
+    description: 'Enterprise message queues with sessions and dead-lettering',
+    aliases: ['servicebus', 'service-bus'],
+    serviceClass: AzureQueue,
+    factory: 'createQueue',
+    configSchema: [
+      { key: 'tier', label: 'Tier', type: 'select', options: ['Basic', 'Standard', 'Premium'], default: 'Standard' },
+      { key: 'requiresSession', label: 'Sessions', type: 'checkbox', default: false },
+      { key: 'maxDeliveryCount', label: 'Max delivery count', type: 'number', min: 1, max: 2000, default: 10 }
+    ]
+  },
+  waf: {
+    name: 'Web Application Firewall',
+    description: 'Managed rule sets with anomaly scoring and Microsoft Threat Intelligence',
+    aliases: ['azure-waf'],
+    serviceClass: AzureWAF,
+    factory: 'createWAF',
+    configSchema: [
+      { key: 'mode', label: 'Mode', type: 'select', options: ['Prevention', 'Detection'], default: 'Prevention' },
+      { key: 'managedRuleSet', label: 'Managed rule set', type: 'select', options: ['DRS_2.1', 'OWASP_3.2'], default: 'DRS_2.1' },
+      { key: 'threatIntelMode', label: 'Threat intelligence', type: 'select', options: ['Deny', 'Alert', 'Off'], default: 'Deny' }
+    ]
+  }
+};
+
+/**
+ * Azure Provider Configuration
+ */
+export const AzureProvider = {
+  name: 'azure',
+  displayName: 'Microsoft Azure',
+  region: 'eastus',
+  colors: {
+    primary: '#0078d4',
+    secondary: '#243a5e',
+    success: '#107c10',
+    warning: '#ffb900',
+    error: '#d13438'
+  },
+  factory: AzureServiceFactory,
+  serviceTypes: AZURE_SERVICE_TYPES,
+  services: AzureServiceFactory.getAvailableServices(),
+  
+  /**
+   * Get provider-specific integration bonuses
+   */
+  getIntegrationBonus() {
+    return 0.1; // 10% performance bonus for same-provider services
+  },
+  
+  /**
+   * Get cross-provider penalty
+   */
+  getCrossProviderPenalty() {
+    return 0.15; // 15% penalty for cross-provider communication
+  },
+  
+  /**
+   * Get the price per GB for traffic leaving this provider
+   */
+  getEgressPricePerGb() {
+    return 0.087; // Internet egress from North America, first 10 TB tier
+  },
+  
+  /**
+   * Validate provider configuration
+   */
+  validate(config) {
+    const errors = [];
+    
+    if (!config.region) {
+      errors.push('Azure region is required');
+    }
+    
+    const validRegions = [
+      'eastus', 'eastus2', 'centralus', 'westus2', 'westus3',
+      'northeurope', 'westeurope', 'uksouth',
+      'southeastasia', 'japaneast', 'australiaeast'
+    ];
+    
+    if (config.region && !validRegions.includes(config.region)) {
+      errors.push(`Invalid Azure region: ${config.region}`);
+    }
+    
+    return errors;
+  }
+};
\ No newline at end of file
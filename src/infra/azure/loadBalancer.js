@@ -0,0 +1,451 @@
+/**
+ * Azure Application Gateway implementation
+ * Layer 7 load balancing with v2 autoscaling and capacity-unit billing
+ */
+import { BaseService } from '../baseService.js';
+import { EVENTS } from '../../engine/eventBus.js';
+
+// v2 SKU prices: fixed gateway-hour plus capacity-unit-hour
+const SKU_PRICES = {
+  Standard_v2: { gatewayHour: 0.246, capacityUnitHour: 0.008 },
+  WAF_v2: { gatewayHour: 0.443, capacityUnitHour: 0.0144 }
+};
+
+// Requests per second one capacity unit handles (simplified compute unit)
+const REQUESTS_PER_CAPACITY_UNIT = 50;
+
+// Each gateway instance provides ten capacity units
+const CAPACITY_UNITS_PER_INSTANCE = 10;
+
+export class AzureLoadBalancer extends BaseService {
+  constructor(config = {}) {
+    super(
+      config.name || 'Azure-AppGW',
+      'azure',
+      config.capacity || 500, // requests per second per instance
+      config.baseCost || 0.004, // $0.004 per minute
+      config.random
+    );
+    
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
+    // Application Gateway specific configuration
+    this.type = 'loadbalancer';
+    this.sku = config.sku || 'Standard_v2'; // Standard_v2 or WAF_v2
+    this.frontendType = config.frontendType || 'public'; // public or private
+    this.http2Enabled = config.http2Enabled ?? true;
+    
+    // v2 autoscaling: instances are added when capacity units run short, and take time to warm up
+    this.capacityPerInstance = this.capacity;
+    this.autoscale = {
+      minCapacity: config.autoscale?.minCapacity ?? 1,
+      maxCapacity: config.autoscale?.maxCapacity || 10,
+      instances: Math.max(config.autoscale?.minCapacity ?? 1, 1),
+      warmUpSeconds: config.autoscale?.warmUpSeconds || 60 // New instances take a minute to serve traffic
+    };
+    this.pendingInstances = []; // Simulated times scaling-out instances become ready
+    this.capacity = this.capacityPerInstance * this.autoscale.instances;
+    
+    // Backend pools and request routing rules
+    this.backendPools = new Map(); // poolId -> backend pool config
+    this.routingRules = new Map(); // ruleId -> path-based routing rule
+    
+    // Health probe configuration
+    this.healthProbe = {
+      enabled: config.healthProbe?.enabled ?? true,
+      path: config.healthProbe?.path || '/',
+      interval: config.healthProbe?.interval || 30, // seconds
+      timeout: config.healthProbe?.timeout || 30, // seconds
+      unhealthyThreshold: config.healthProbe?.unhealthyThreshold || 3
+    };
+    
+    // Azure-specific performance characteristics
+    this.latencyBase = 3; // Base gateway latency
+    this.latencyMultiplier = 0.6; // Good scaling
+    this.degradationThreshold = 0.85; // Degrades before scale-out completes
+    this.failureThreshold = 1.4; // Limited headroom while instances warm up
+    
+    // Cookie-based affinity (ApplicationGatewayAffinity cookie)
+    this.cookieBasedAffinity = config.cookieBasedAffinity || 'Disabled'; // Enabled or Disabled
+    this.sessionBindings = new Map(); // session -> target service ID
+    
+    // Connection draining
+    this.connectionDraining = {
+      enabled: config.connectionDraining?.enabled ?? true,
+      drainTimeoutInSec: config.connectionDraining?.drainTimeoutInSec || 60 // seconds (one tick each)
+    };
+    
+    // Capacity units consumed in the last tick
+    this.capacityUnits = 0;
+    
+    // Resolves target service IDs to live services (set by the registry)
+    this.targetResolver = () => null;
+    
+    // Backend pools from config, or a default pool for connected targets
+    const backendPools = config.backendPools || [{ id: 'default', name: 'default' }];
+    backendPools.forEach(pool => this.addBackendPool(pool.id, pool));
+  }
+  
+  /**
+   * Process requests through the gateway
+   */
+  processRequests(requests) {
+    // Instances finish warming up even when idle
+    this.activatePendingInstances();
+    
+    if (!requests || requests.length === 0) {
+      this.capacityUnits = 0;
+      return { processed: [], dropped: [] };
+    }
+    
+    const processed = [];
+    const dropped = [];
+    let totalLatency = 0;
+    
+    // Calculate current load ratio
+    const loadRatio = requests.length / this.capacity;
+    this.currentLoad = loadRatio;
+    this.capacityUnits = Math.ceil(requests.length / REQUESTS_PER_CAPACITY_UNIT);
+    
+    // Update health based on load
+    this.updateHealth(loadRatio);
+    
+    // Scale out or in on capacity units
+    this.evaluateAutoscale();
+    
+    // Apply health probes to backend pools
+    this.performHealthProbes();
+    
+    // Process each request
+    for (const request of requests) {
+      if (this.shouldDropRequest(loadRatio)) {
+        dropped.push(request);
+        continue;
+      }
+      
+      // Path-based routing picks the backend pool
+      this.applyRoutingRules(request);
+      
+      // Forward to a backend, or reject when none can take it (HTTP 502)
+      const target = this.selectTarget(request);
+      if (!target) {
+        dropped.push(request);
+        continue;
+      }
+      request.targetServiceId = target.id;
+      
+      const latency = this.calculateGatewayLatency(loadRatio);
+      request.latency += latency;
+      totalLatency += latency;
+      
+      // Mark request as processed by Application Gateway
+      request.provider = 'azure';
+      request.service = 'application-gateway';
+      
+      processed.push(request);
+    }
+    
+    // Update metrics
+    this.updateMetrics(processed.length, dropped.length, totalLatency);
+    
+    return { processed, dropped };
+  }
+  
+  /**
+   * Calculate gateway latency
+   */
+  calculateGatewayLatency(loadRatio) {
+    let latency = this.calculateLatency(loadRatio);
+    
+    // The WAF_v2 SKU inspects every request
+    if (this.sku === 'WAF_v2') {
+      latency += 1;
+    }
+    
+    // HTTP/2 multiplexing to clients saves connection setup
+    if (this.http2Enabled) {
+      latency *= 0.95;
+    }
+    
+    return Math.round(latency);
+  }
+  
+  /**
+   * Add or remove instances to match capacity unit demand
+   */
+  evaluateAutoscale() {
+    const needed = Math.ceil(this.capacityUnits / CAPACITY_UNITS_PER_INSTANCE);
+    const target = Math.min(this.autoscale.maxCapacity, Math.max(this.autoscale.minCapacity, needed, 1));
+    const provisioned = this.autoscale.instances + this.pendingInstances.length;
+    
+    if (target > provisioned) {
+      const readyAt = this.now() + this.autoscale.warmUpSeconds * 1000;
+      for (let i = provisioned; i < target; i++) {
+        this.pendingInstances.push(readyAt);
+      }
+    } else if (target < this.autoscale.instances && this.pendingInstances.length === 0) {
+      // Scale in one instance at a time
+      this.setInstances(this.autoscale.instances - 1);
+    }
+  }
+  
+  /**
+   * Bring warmed-up instances into service
+   */
+  activatePendingInstances() {
+    const now = this.now();
+    const ready = this.pendingInstances.filter(readyAt => readyAt <= now).length;
+    if (ready > 0) {
+      this.pendingInstances = this.pendingInstances.filter(readyAt => readyAt > now);
+      this.setInstances(this.autoscale.instances + ready);
+    }
+  }
+  
+  /**
+   * Set the number of serving instances
+   */
+  setInstances(instances) {
+    this.emitEvent(EVENTS.SERVICE_SCALED, { from: this.autoscale.instances, to: instances });
+    this.autoscale.instances = instances;
+    this.capacity = this.capacityPerInstance * instances;
+  }
+  
+  /**
+   * Route a request to a backend pool using path-based rules
+   */
+  applyRoutingRules(request) {
+    for (const [ruleId, rule] of this.routingRules) {
+      if (rule.paths.some(path => request.path?.startsWith(path))) {
+        request.targetGroup = rule.backendPool;
+        request.routingRule = ruleId;
+        break;
+      }
+    }
+    
+    return request;
+  }
+  
+  /**
+   * Probe backend health
+   */
+  performHealthProbes() {
+    const now = this.now();
+    
+    for (const pool of this.backendPools.values()) {
+      // Remove backends that are gone or have finished draining
+      pool.backends = pool.backends.filter(target =>
+        this.targetResolver(target.id) &&
+        (target.drainingUntil === null || now < target.drainingUntil)
+      );
+      
+      if (this.healthProbe.enabled) {
+        for (const target of pool.backends) {
+          const service = this.targetResolver(target.id);
+          target.health = service ? service.health : 'failed';
+        }
+        pool.healthyBackends = pool.backends.filter(target => this.isTargetAvailable(target)).length;
+      }
+    }
+  }
+  
+  /**
+   * Check whether a backend can receive new requests
+   */
+  isTargetAvailable(target) {
+    return target.drainingUntil === null && target.health !== 'failed';
+  }
+  
+  /**
+   * Select the backend for a request (round robin with optional cookie affinity)
+   */
+  selectTarget(request) {
+    const pool = this.backendPools.get(request.targetGroup) || this.backendPools.values().next().value;
+    if (!pool) {
+      return null;
+    }
+    
+    // Affinity holds while the backend takes new requests; draining backends lose it
+    const affinity = this.cookieBasedAffinity === 'Enabled' ? (request.sessionId || 'default') : null;
+    if (affinity !== null && this.sessionBindings.has(affinity)) {
+      const bound = pool.backends.find(target => target.id === this.sessionBindings.get(affinity));
+      if (bound && this.isTargetAvailable(bound)) {
+        return bound;
+      }
+      this.sessionBindings.delete(affinity);
+    }
+    
+    const available = pool.backends.filter(target => this.isTargetAvailable(target));
+    if (available.length === 0) {
+      return null;
+    }
+    
+    const selected = available[pool.nextBackendIndex % available.length];
+    pool.nextBackendIndex++;
+    
+    if (affinity !== null) {
+      this.sessionBindings.set(affinity, selected.id);
+    }
+    
+    return selected;
+  }
+  
+  /**
+   * Register a service as a backend (defaults to the first backend pool)
+   */
+  registerTarget(service, poolId = this.backendPools.keys().next().value) {
+    const pool = this.backendPools.get(poolId);
+    if (!pool) {
+      throw new Error(`Unknown backend pool: ${poolId}`);
+    }
+    
+    const existing = pool.backends.find(target => target.id === service.id);
+    if (existing) {
+      existing.drainingUntil = null; // Re-registering cancels draining
+      return;
+    }
+    
+    pool.backends.push({
+      id: service.id,
+      provider: service.provider,
+      health: service.health,
+      drainingUntil: null
+    });
+  }
+  
+  /**
+   * Deregister a backend - it stops receiving new requests and drains
+   * over drainTimeoutInSec ticks before it is removed
+   */
+  deregisterTarget(serviceId) {
+    for (const pool of this.backendPools.values()) {
+      const target = pool.backends.find(target => target.id === serviceId);
+      if (!target) {
+        continue;
+      }
+      
+      if (this.connectionDraining.enabled) {
+        target.drainingUntil = this.now() + this.connectionDraining.drainTimeoutInSec * 1000;
+      } else {
+        pool.backends = pool.backends.filter(other => other !== target);
+      }
+    }
+  }
+  
+  /**
+   * Set the lookup used to resolve target IDs to live services
+   */
+  setTargetResolver(resolver) {
+    this.targetResolver = resolver;
+  }
+  
+  /**
+   * Add backend pool
+   */
+  addBackendPool(poolId, config) {
+    this.backendPools.set(poolId, {
+      id: poolId,
+      name: config.name,
+      protocol: config.protocol || 'Http',
+      port: config.port || 80,
+      backends: config.backends || [],
+      healthyBackends: 0,
+      nextBackendIndex: 0 // Round-robin position
+    });
+  }
+  
+  /**
+   * Add path-based routing rule
+   */
+  addRoutingRule(ruleId, config) {
+    this.routingRules.set(ruleId, {
+      id: ruleId,
+      paths: config.paths || [],
+      backendPool: config.backendPool
+    });
+  }
+  
+  /**
+   * Get Application Gateway cost calculation
+   */
+  getCost() {
+    const prices = SKU_PRICES[this.sku] || SKU_PRICES.Standard_v2;
+    
+    // Fixed gateway price
+    let cost = prices.gatewayHour / 60;
+    
+    // Capacity units: the larger of consumed units and the reserved minimum instances
+    const billedUnits = Math.max(this.capacityUnits, this.autoscale.minCapacity * CAPACITY_UNITS_PER_INSTANCE);
+    cost += billedUnits * prices.capacityUnitHour / 60;
+    
+    return cost;
+  }
+  
+  /**
+   * Add Application Gateway metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      capacityUnits: this.capacityUnits,
+      instances: this.autoscale.instances
+    };
+  }
+  
+  /**
+   * Get Application Gateway-specific status
+   */
+  getStatus() {
+    const baseStatus = super.getStatus();
+    
+    return {
+      ...baseStatus,
+      type: this.type,
+      sku: this.sku,
+      frontendType: this.frontendType,
+      autoscale: {
+        ...this.autoscale,
+        warmingUp: this.pendingInstances.length
+      },
+      capacityUnits: this.capacityUnits,
+      backendPools: Array.from(this.backendPools.values()),
+      routingRules: Array.from(this.routingRules.values()),
+      healthProbe: this.healthProbe,
+      cookieBasedAffinity: this.cookieBasedAffinity
+    };
+  }
+  
+  /**
+   * Validate Application Gateway configuration
+   */
+  validate() {
+    const errors = super.validate();
+    
+    if (!SKU_PRICES[this.sku]) {
+      errors.push('Invalid SKU - must be Standard_v2 or WAF_v2');
+    }
+    
+    if (!['public', 'private'].includes(this.frontendType)) {
+      errors.push('Invalid frontend type - must be public or private');
+    }
+    
+    if (this.autoscale.minCapacity < 0 || this.autoscale.maxCapacity > 125 ||
+        this.autoscale.minCapacity > this.autoscale.maxCapacity) {
+      errors.push('Autoscale capacity must satisfy 0 <= min <= max <= 125');
+    }
+    
+    if (!['Enabled', 'Disabled'].includes(this.cookieBasedAffinity)) {
+      errors.push('Cookie-based affinity must be Enabled or Disabled');
+    }
+    
+    if (this.healthProbe.interval < 1 || this.healthProbe.interval > 86400) {
+      errors.push('Health probe interval must be between 1 and 86400 seconds');
+    }
+    
+    if (this.backendPools.size === 0) {
+      errors.push('At least one backend pool is required');
+    }
+    
+    return errors;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,501 @@
+/**
+ * Azure Service Bus implementation
+ * A queue with peek-lock delivery, message sessions and a dead-letter subqueue
+ */
+import { BaseService } from '../baseService.js';
+
+// Pricing: per million operations (Basic/Standard) or per messaging unit hour (Premium)
+const OPERATION_PRICES = {
+  Basic: 0.05,
+  Standard: 0.80
+};
+const STANDARD_BASE_HOURLY = 0.0135; // ~$10 per month
+const PREMIUM_MESSAGING_UNIT_HOURLY = 0.928;
+
+// Messages per second a Premium messaging unit sustains
+const MESSAGES_PER_MESSAGING_UNIT = 4000;
+
+export class AzureQueue extends BaseService {
+  constructor(config = {}) {
+    super(
+      config.name || 'Azure-ServiceBus',
+      'azure',
+      config.capacity || 2000, // messages sent per second
+      config.baseCost || 0.0005, // $0.0005 per minute
+      config.random
+    );
+    
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
+    // Service Bus specific configuration
+    this.type = 'queue';
+    this.tier = config.tier || 'Standard'; // Basic, Standard or Premium
+    this.queueName = config.queueName || this.name.toLowerCase();
+    
+    // Premium namespaces get dedicated capacity per messaging unit
+    this.messagingUnits = this.tier === 'Premium' ? (config.messagingUnits || 1) : 0;
+    if (this.tier === 'Premium' && !config.capacity) {
+      this.capacity = this.messagingUnits * MESSAGES_PER_MESSAGING_UNIT;
+    }
+    
+    // Queue properties
+    this.lockDuration = config.lockDuration || 60; // seconds a received message stays locked
+    this.maxDeliveryCount = config.maxDeliveryCount || 10; // then the message is dead-lettered
+    this.defaultMessageTimeToLive = config.defaultMessageTimeToLive || 1209600; // 14 days in seconds
+    this.deadLetteringOnMessageExpiration = config.deadLetteringOnMessageExpiration || false;
+    this.maxSizeInMegabytes = config.maxSizeInMegabytes || 1024; // Entity quota, including dead letters
+    
+    // Sessions give FIFO per session ID; each session is locked to one receiver at a time
+    this.requiresSession = config.requiresSession || false;
+    
+    // Receivers draining the queue in peek-lock mode
+    this.receiver = {
+      throughput: config.receiver?.throughput || 1000, // messages per second
+      completionProbability: config.receiver?.completionProbability ?? 0.99, // Chance a message is completed
+      maxConcurrentSessions: config.receiver?.maxConcurrentSessions || 8
+    };
+    
+    // Message state
+    this.activeMessages = []; // Non-session batches: { enqueuedAt, count, deliveryCount }
+    this.lockedMessages = []; // Received, not completed: { enqueuedAt, count, deliveryCount, lockedUntil }
+    this.sessions = new Map(); // sessionId -> { batches, deliveryCount, lockedUntil }
+    this.deadLetterCount = 0; // Messages in the dead-letter subqueue
+    
+    // Operations in the last tick (send, receive, complete) for billing
+    this.operations = 0;
+    
+    // Service Bus metrics
+    this.serviceBusMetrics = {
+      incomingMessages: 0,
+      completedMessages: 0,
+      lockExpiredMessages: 0,
+      deadLetteredMessages: 0,
+      expiredMessages: 0,
+      activeMessages: 0,
+      activeSessions: 0,
+      quotaExceeded: 0
+    };
+    
+    // Azure-specific performance characteristics
+    this.latencyBase = this.tier === 'Premium' ? 5 : 10; // Base send latency
+    this.latencyMultiplier = 0.8; // Good scaling for send operations
+    this.degradationThreshold = 0.85; // Throttles near capacity
+    this.failureThreshold = 1.5; // Server busy beyond this
+  }
+  
+  /**
+   * Send requests to the queue and run receivers
+   */
+  processRequests(requests) {
+    if (!requests || requests.length === 0) {
+      this.operations = this.receiveMessages();
+      return { processed: [], dropped: [] };
+    }
+    
+    const processed = [];
+    const dropped = [];
+    let totalLatency = 0;
+    const now = this.now();
+    
+    // Calculate current load ratio
+    const loadRatio = requests.length / this.capacity;
+    this.currentLoad = loadRatio;
+    
+    // Update health based on load
+    this.updateHealth(loadRatio);
+    
+    // Entity quota in messages (assuming 1 KB per message)
+    let room = this.maxSizeInMegabytes * 1024 - this.getMessageCount() - this.deadLetterCount;
+    
+    // Send each request as a message
+    for (const request of requests) {
+      if (this.shouldDropRequest(loadRatio)) {
+        dropped.push(request);
+        continue;
+      }
+      
+      // A full entity rejects sends (QuotaExceededException)
+      if (room <= 0) {
+        this.serviceBusMetrics.quotaExceeded++;
+        dropped.push(request);
+        continue;
+      }
+      room--;
+      
+      const latency = this.calculateLatency(loadRatio);
+      request.latency += latency;
+      totalLatency += latency;
+      
+      this.enqueue(request, now);
+      
+      // Mark request as processed by Service Bus
+      request.provider = 'azure';
+      request.service = 'service-bus';
+      request.operation = 'send';
+      
+      processed.push(request);
+    }
+    
+    this.serviceBusMetrics.incomingMessages += processed.length;
+    this.operations = processed.length + this.receiveMessages();
+    
+    // Update base metrics
+    this.updateMetrics(processed.length, dropped.length, totalLatency);
+    
+    return { processed, dropped };
+  }
+  
+  /**
+   * Enqueue a sent message, in its session when sessions are required
+   */
+  enqueue(request, now) {
+    if (!this.requiresSession) {
+      const last = this.activeMessages[this.activeMessages.length - 1];
+      if (last && last.enqueuedAt === now && last.deliveryCount === 0) {
+        last.count++;
+      } else {
+        this.activeMessages.push({ enqueuedAt: now, count: 1, deliveryCount: 0 });
+      }
+      return;
+    }
+    
+    const sessionId = request.sessionId || 'default';
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, { batches: [], deliveryCount: 0, lockedUntil: 0 });
+    }
+    
+    const session = this.sessions.get(sessionId);
+    const last = session.batches[session.batches.length - 1];
+    if (last && last.enqueuedAt === now) {
+      last.count++;
+    } else {
+      session.batches.push({ enqueuedAt: now, count: 1 });
+    }
+  }
+  
+  /**
+   * Expire and unlock messages, then let receivers drain the queue
+   * Returns the number of receive and complete operations
+   */
+  receiveMessages() {
+    const now = this.now();
+    
+    this.expireMessages(now);
+    
+    const operations = this.requiresSession
+      ? this.receiveSessionMessages(now)
+      : this.receiveQueueMessages(now);
+    
+    this.updateServiceBusMetrics();
+    
+    return operations;
+  }
+  
+  /**
+   * Peek-lock receive from a queue without sessions
+   */
+  receiveQueueMessages(now) {
+    // Messages whose lock expired become available again, or are dead-lettered
+    const stillLocked = [];
+    for (const batch of this.lockedMessages) {
+      if (batch.lockedUntil > now) {
+        stillLocked.push(batch);
+      } else if (batch.deliveryCount >= this.maxDeliveryCount) {
+        this.deadLetter(batch.count); // MaxDeliveryCountExceeded
+      } else {
+        this.activeMessages.push({ enqueuedAt: batch.enqueuedAt, count: batch.count, deliveryCount: batch.deliveryCount });
+      }
+    }
+    this.lockedMessages = stillLocked;
+    this.activeMessages.sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+    
+    let received = 0;
+    let completed = 0;
+    while (this.activeMessages.length > 0 && received < this.receiver.throughput) {
+      const batch = this.activeMessages[0];
+      const count = Math.min(batch.count, this.receiver.throughput - received);
+      
+      batch.count -= count;
+      if (batch.count === 0) {
+        this.activeMessages.shift();
+      }
+      received += count;
+      
+      // Messages the receiver fails to complete stay locked until the lock expires
+      const failed = this.countFailed(count);
+      if (failed > 0) {
+        this.lockedMessages.push({
+          enqueuedAt: batch.enqueuedAt,
+          count: failed,
+          deliveryCount: batch.deliveryCount + 1,
+          lockedUntil: now + this.lockDuration * 1000
+        });
+      }
+      completed += count - failed;
+      this.serviceBusMetrics.lockExpiredMessages += failed;
+    }
+    
+    this.serviceBusMetrics.completedMessages += completed;
+    return received + completed;
+  }
+  
+  /**
+   * Session receive: each accepted session is drained in order by one receiver,
+   * and a failing message holds its session until the lock expires
+   */
+  receiveSessionMessages(now) {
+    const perSessionLimit = Math.max(1, Math.floor(this.receiver.throughput / this.receiver.maxConcurrentSessions));
+    const accepted = [];
+    
+    for (const [sessionId, session] of this.sessions) {
+      if (accepted.length >= this.receiver.maxConcurrentSessions) {
+        break;
+      }
+      if (session.lockedUntil <= now) {
+        accepted.push(sessionId);
+      }
+    }
+    
+    let received = 0;
+    let completed = 0;
+    for (const sessionId of accepted) {
+      const session = this.sessions.get(sessionId);
+      const available = session.batches.reduce((sum, batch) => sum + batch.count, 0);
+      const limit = Math.min(available, perSessionLimit);
+      
+      // Messages completed in order before the first failure
+      const successes = Math.min(limit, this.countSuccessesBeforeFailure());
+      this.removeFromSession(session, successes);
+      if (successes > 0) {
+        session.deliveryCount = 0; // A new message is at the head
+      }
+      completed += successes;
+      received += successes;
+      
+      if (successes < limit) {
+        // The head message failed: the session stays locked and the message is retried or dead-lettered
+        received++;
+        session.deliveryCount++;
+        session.lockedUntil = now + this.lockDuration * 1000;
+        this.serviceBusMetrics.lockExpiredMessages++;
+        
+        if (session.deliveryCount >= this.maxDeliveryCount) {
+          this.removeFromSession(session, 1);
+          this.deadLetter(1); // MaxDeliveryCountExceeded
+          session.deliveryCount = 0;
+        }
+      }
+      
+      // Move the session to the back so other sessions get receivers next tick
+      this.sessions.delete(sessionId);
+      if (session.batches.length > 0) {
+        this.sessions.set(sessionId, session);
+      }
+    }
+    
+    this.serviceBusMetrics.completedMessages += completed;
+    return received + completed;
+  }
+  
+  /**
+   * Remove messages from the head of a session
+   */
+  removeFromSession(session, count) {
+    let remaining = count;
+    while (remaining > 0 && session.batches.length > 0) {
+      const batch = session.batches[0];
+      const taken = Math.min(batch.count, remaining);
+      batch.count -= taken;
+      remaining -= taken;
+      if (batch.count === 0) {
+        session.batches.shift();
+      }
+    }
+  }
+  
+  /**
+   * Count how many of a received batch the receiver fails to complete
+   */
+  countFailed(count) {
+    const expected = count * (1 - this.receiver.completionProbability);
+    const jitter = 0.5 + this.random.next(); // 0.5x - 1.5x of the expected failures
+    return Math.min(count, Math.round(expected * jitter));
+  }
+  
+  /**
+   * Sample how many messages in a row complete before one fails
+   */
+  countSuccessesBeforeFailure() {
+    const probability = this.receiver.completionProbability;
+    if (probability >= 1) {
+      return Infinity;
+    }
+    if (probability <= 0) {
+      return 0;
+    }
+    return Math.floor(Math.log(1 - this.random.next()) / Math.log(probability));
+  }
+  
+  /**
+   * Expire messages older than their time to live
+   */
+  expireMessages(now) {
+    const oldestKept = now - this.defaultMessageTimeToLive * 1000;
+    let expired = 0;
+    
+    const keep = (batch) => {
+      if (batch.enqueuedAt >= oldestKept) {
+        return true;
+      }
+      expired += batch.count;
+      return false;
+    };
+    
+    this.activeMessages = this.activeMessages.filter(keep);
+    for (const [sessionId, session] of this.sessions) {
+      session.batches = session.batches.filter(keep);
+      if (session.batches.length === 0) {
+        this.sessions.delete(sessionId);
+      }
+    }
+    
+    if (expired > 0) {
+      this.serviceBusMetrics.expiredMessages += expired;
+      if (this.deadLetteringOnMessageExpiration) {
+        this.deadLetter(expired); // TTLExpiredException
+      }
+    }
+  }
+  
+  /**
+   * Move messages to the dead-letter subqueue
+   */
+  deadLetter(count) {
+    this.deadLetterCount += count;
+    this.serviceBusMetrics.deadLetteredMessages += count;
+  }
+  
+  /**
+   * Drain the dead-letter subqueue (messages resubmitted or discarded)
+   */
+  purgeDeadLetters() {
+    const purged = this.deadLetterCount;
+    this.deadLetterCount = 0;
+    return purged;
+  }
+  
+  /**
+   * Get the number of messages waiting in the queue, including locked ones
+   */
+  getMessageCount() {
+    const countBatches = (batches) => batches.reduce((sum, batch) => sum + batch.count, 0);
+    let count = countBatches(this.activeMessages) + countBatches(this.lockedMessages);
+    for (const session of this.sessions.values()) {
+      count += countBatches(session.batches);
+    }
+    return count;
+  }
+  
+  /**
+   * Update Service Bus metrics
+   */
+  updateServiceBusMetrics() {
+    this.serviceBusMetrics.activeMessages = this.getMessageCount();
+    this.serviceBusMetrics.activeSessions = this.sessions.size;
+  }
+  
+  /**
+   * Get Service Bus cost calculation
+   */
+  getCost() {
+    // Premium is billed per messaging unit with no operation charges
+    if (this.tier === 'Premium') {
+      return PREMIUM_MESSAGING_UNIT_HOURLY / 60 * this.messagingUnits;
+    }
+    
+    let cost = 0;
+    
+    // Standard namespaces have a base charge
+    if (this.tier === 'Standard') {
+      cost += STANDARD_BASE_HOURLY / 60;
+    }
+    
+    // Operations: last tick's count extrapolated to a minute
+    const operationsPerMinute = this.operations * 60;
+    cost += (operationsPerMinute / 1000000) * (OPERATION_PRICES[this.tier] || OPERATION_PRICES.Standard);
+    
+    return cost;
+  }
+  
+  /**
+   * Add Service Bus metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      backlog: this.serviceBusMetrics.activeMessages,
+      deadLetters: this.deadLetterCount
+    };
+  }
+  
+  /**
+   * Get Service Bus-specific status
+   */
+  getStatus() {
+    const baseStatus = super.getStatus();
+    
+    return {
+      ...baseStatus,
+      type: this.type,
+      tier: this.tier,
+      queueName: this.queueName,
+      messagingUnits: this.tier === 'Premium' ? this.messagingUnits : null,
+      requiresSession: this.requiresSession,
+      lockDuration: this.lockDuration,
+      maxDeliveryCount: this.maxDeliveryCount,
+      defaultMessageTimeToLive: this.defaultMessageTimeToLive,
+      deadLetteringOnMessageExpiration: this.deadLetteringOnMessageExpiration,
+      deadLetterCount: this.deadLetterCount,
+      receiver: { ...this.receiver },
+      serviceBusMetrics: { ...this.serviceBusMetrics }
+    };
+  }
+  
+  /**
+   * Validate Service Bus configuration
+   */
+  validate() {
+    const errors = super.validate();
+    
+    if (!['Basic', 'Standard', 'Premium'].includes(this.tier)) {
+      errors.push('Invalid tier - must be Basic, Standard or Premium');
+    }
+    
+    if (this.tier === 'Premium' && ![1, 2, 4, 8, 16].includes(this.messagingUnits)) {
+      errors.push('Premium messaging units must be 1, 2, 4, 8 or 16');
+    }
+    
+    if (this.tier === 'Basic' && this.requiresSession) {
+      errors.push('Sessions are not available in the Basic tier');
+    }
+    
+    if (this.lockDuration < 5 || this.lockDuration > 300) {
+      errors.push('Lock duration must be between 5 seconds and 5 minutes');
+    }
+    
+    if (this.maxDeliveryCount < 1 || this.maxDeliveryCount > 2000) {
+      errors.push('Max delivery count must be between 1 and 2000');
+    }
+    
+    if (this.maxSizeInMegabytes < 1024 || this.maxSizeInMegabytes > 81920) {
+      errors.push('Max queue size must be between 1024 and 81920 MB');
+    }
+    
+    if (this.receiver.maxConcurrentSessions < 1) {
+      errors.push('Receivers must accept at least one session at a time');
+    }
+    
+    return errors;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,351 @@
+/**
+ * Azure Web Application Firewall implementation
+ * Managed rule sets with anomaly scoring and Microsoft Threat Intelligence IP reputation
+ */
+import { BaseService } from '../baseService.js';
+import { EVENTS } from '../../engine/eventBus.js';
+
+// Managed rule groups: the anomaly score a match adds and the request content it matches
+const RULE_GROUPS = {
+  'SQLI': { severity: 5, patterns: [/union.*select/i, /'\s*or\s*'/i, /;\s*drop\s+table/i] },
+  'XSS': { severity: 5, patterns: [/<script.*>/i, /javascript:/i, /on\w+\s*=/i] },
+  'LFI': { severity: 5, patterns: [/\.\.\//, /\/etc\/passwd/] },
+  'RCE': { severity: 5, patterns: [/cmd\.exe/i, /powershell/i, /;\s*(cat|wget|curl)\s/i] },
+  'PHP': { severity: 3, patterns: [/\.php$/i, /phpmyadmin/i] },
+  'SCANNER-DETECTION': { severity: 3, patterns: [/wp-admin/i, /phpmyadmin/i, /\/\.env$/] },
+  'PROTOCOL-ENFORCEMENT': { severity: 2, patterns: [/%00/, /\/\.env$/] },
+  'MS-ThreatIntel-WebShells': { severity: 5, patterns: [/\/(admin|shell|cmd|c99|r57|wso)\.php$/i] },
+  'MS-ThreatIntel-AppSec': { severity: 5, patterns: [/wp-admin/i, /phpmyadmin/i, /\/\.env$/] },
+  'MS-ThreatIntel-SQLI': { severity: 5, patterns: [/sleep\(\d+\)/i, /waitfor\s+delay/i] }
+};
+
+// Rule groups in each managed rule set; DRS adds Microsoft Threat Intelligence groups
+const MANAGED_RULE_SETS = {
+  'DRS_2.1': ['SQLI', 'XSS', 'LFI', 'RCE', 'PHP', 'MS-ThreatIntel-WebShells', 'MS-ThreatIntel-AppSec', 'MS-ThreatIntel-SQLI'],
+  'OWASP_3.2': ['SQLI', 'XSS', 'LFI', 'RCE', 'PHP', 'SCANNER-DETECTION', 'PROTOCOL-ENFORCEMENT']
+};
+
+// Share of each kind of client the threat intelligence feed knows to be malicious
+const FEED_COVERAGE = {
+  attack: 0.6,
+  scraping: 0.5,
+  user: 0.005 // Shared NAT and VPN addresses flagged for someone else's abuse
+};
+
+// Known malicious addresses the feed keeps from this policy's own detections
+const MAX_REPORTED_INDICATORS = 1000;
+
+/**
+ * Hash a string to a stable number in [0, 1) (FNV-1a with a murmur3 finalizer,
+ * so near-identical addresses spread evenly)
+ */
+function hashToUnit(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return (hash >>> 0) / 0x100000000;
+}
+
+export class AzureWAF extends BaseService {
+  constructor(config = {}) {
+    super(
+      config.name || 'Azure-WAF',
+      'azure',
+      config.capacity || 25000, // requests per second
+      config.baseCost || 0.0002, // $0.0002 per minute
+      config.random
+    );
+    
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
+    // Azure WAF specific configuration
+    this.type = 'waf';
+    this.mode = config.mode || 'Prevention'; // Prevention blocks, Detection only logs
+    this.managedRuleSet = config.managedRuleSet || 'DRS_2.1'; // DRS_2.1 or OWASP_3.2
+    this.anomalyScoreThreshold = config.anomalyScoreThreshold || 5; // Block at or above this score
+    this.disabledRuleGroups = config.disabledRuleGroups || [];
+    
+    // Microsoft Threat Intelligence: IP reputation checked before managed rules
+    this.threatIntel = {
+      mode: config.threatIntel?.mode || 'Deny', // Off, Alert or Deny
+      shareIndicators: config.threatIntel?.shareIndicators ?? true // Report clients blocked by managed rules to the feed
+    };
+    this.reportedIndicators = new Set(); // Client addresses this policy added to the feed
+    
+    // Azure WAF metrics
+    this.wafMetrics = {
+      allowedRequests: 0,
+      blockedRequests: 0,
+      detectedRequests: 0, // Matched in Detection mode or threat intel Alert mode
+      threatIntelMatches: 0,
+      ruleMatches: new Map(), // rule group -> match count
+      falsePositives: 0, // Legitimate users blocked
+      truePositives: 0, // Bots and attacks blocked
+      falsePositiveRate: 0
+    };
+    
+    // Requests evaluated in the last tick (per-request billing)
+    this.lastTickRequests = 0;
+    
+    // Azure-specific performance characteristics
+    this.latencyBase = 2; // Inspection latency
+    this.latencyMultiplier = 0.45; // Excellent scaling
+    this.degradationThreshold = 0.9; // High capacity before degradation
+    this.failureThreshold = 2.0; // Can handle significant overload
+  }
+  
+  /**
+   * Process requests through the WAF policy
+   */
+  processRequests(requests) {
+    if (!requests || requests.length === 0) {
+      this.lastTickRequests = 0;
+      return { processed: [], dropped: [], blocked: [] };
+    }
+    
+    const processed = [];
+    const dropped = [];
+    const blocked = [];
+    let totalLatency = 0;
+    
+    // Calculate current load ratio
+    const loadRatio = requests.length / this.capacity;
+    this.currentLoad = loadRatio;
+    this.lastTickRequests = requests.length;
+    const matchesBefore = new Map(this.wafMetrics.ruleMatches);
+    
+    // Update health based on load
+    this.updateHealth(loadRatio);
+    
+    const activeRuleGroups = this.getActiveRuleGroups();
+    
+    for (const request of requests) {
+      if (this.shouldDropRequest(loadRatio)) {
+        dropped.push(request);
+        continue;
+      }
+      
+      const action = this.evaluatePolicy(request, activeRuleGroups);
+      
+      const latency = Math.round(this.calculateLatency(loadRatio) + activeRuleGroups.length * 0.1);
+      request.latency += latency;
+      totalLatency += latency;
+      
+      // Mark request as processed by Azure WAF
+      request.provider = 'azure';
+      request.service = 'azure-waf';
+      request.wafAction = action;
+      
+      if (action !== 'Block') {
+        this.wafMetrics.allowedRequests++;
+        processed.push(request);
+        continue;
+      }
+      
+      this.wafMetrics.blockedRequests++;
+      // Blocking a real user is a false positive; bots and attacks are fair game
+      if (request.type === 'user') {
+        this.wafMetrics.falsePositives++;
+        request.falsePositive = true;
+      } else {
+        this.wafMetrics.truePositives++;
+      }
+      blocked.push(request);
+    }
+    
+    this.wafMetrics.falsePositiveRate = this.wafMetrics.blockedRequests > 0
+      ? this.wafMetrics.falsePositives / this.wafMetrics.blockedRequests
+      : 0;
+    
+    this.emitRuleMatches(matchesBefore);
+    
+    // Update base metrics
+    this.updateMetrics(processed.length, dropped.length, totalLatency);
+    
+    return { processed, dropped, blocked };
+  }
+  
+  /**
+   * Get the managed rule groups currently enforced
+   */
+  getActiveRuleGroups() {
+    const ruleGroups = MANAGED_RULE_SETS[this.managedRuleSet] || [];
+    return ruleGroups.filter(group => !this.disabledRuleGroups.includes(group));
+  }
+  
+  /**
+   * Evaluate threat intelligence, then managed rules, and return the action taken
+   */
+  evaluatePolicy(request, activeRuleGroups) {
+    // Threat intelligence: requests from known malicious addresses
+    if (this.threatIntel.mode !== 'Off' && this.isKnownMalicious(request)) {
+      this.wafMetrics.threatIntelMatches++;
+      this.recordRuleMatch('ThreatIntel');
+      if (this.threatIntel.mode === 'Deny' && this.mode === 'Prevention') {
+        return 'Block';
+      }
+      this.wafMetrics.detectedRequests++;
+    }
+    
+    // Managed rules add to the request's anomaly score
+    const content = [request.path, request.queryString, request.userAgent, request.body].join(' ');
+    let anomalyScore = 0;
+    for (const group of activeRuleGroups) {
+      if (RULE_GROUPS[group].patterns.some(pattern => pattern.test(content))) {
+        this.recordRuleMatch(group);
+        anomalyScore += RULE_GROUPS[group].severity;
+      }
+    }
+    
+    if (anomalyScore < this.anomalyScoreThreshold) {
+      return 'Allow';
+    }
+    
+    if (this.mode === 'Detection') {
+      this.wafMetrics.detectedRequests++;
+      return 'Log';
+    }
+    
+    this.reportIndicator(request);
+    return 'Block';
+  }
+  
+  /**
+   * Check the client address against the threat intelligence feed
+   * (the session stands in for the client IP)
+   */
+  isKnownMalicious(request) {
+    const clientIp = request.sessionId || 'unknown';
+    if (this.reportedIndicators.has(clientIp)) {
+      return true;
+    }
+    
+    const kind = request.type === 'bot' ? request.source : request.type;
+    const coverage = FEED_COVERAGE[kind] || 0;
+    return hashToUnit(clientIp) < coverage;
+  }
+  
+  /**
+   * Add a client blocked by managed rules to the threat intelligence feed
+   */
+  reportIndicator(request) {
+    if (!this.threatIntel.shareIndicators || !request.sessionId) {
+      return;
+    }
+    
+    if (this.reportedIndicators.size >= MAX_REPORTED_INDICATORS) {
+      const oldest = this.reportedIndicators.values().next().value;
+      this.reportedIndicators.delete(oldest);
+    }
+    this.reportedIndicators.add(request.sessionId);
+  }
+  
+  /**
+   * Queue one rule match event per rule that matched this tick
+   */
+  emitRuleMatches(matchesBefore) {
+    for (const [rule, count] of this.wafMetrics.ruleMatches) {
+      const matches = count - (matchesBefore.get(rule) || 0);
+      if (matches > 0) {
+        this.emitEvent(EVENTS.WAF_RULE_MATCHED, { rule, matches });
+      }
+    }
+  }
+  
+  /**
+   * Record a rule match
+   */
+  recordRuleMatch(rule) {
+    this.wafMetrics.ruleMatches.set(rule, (this.wafMetrics.ruleMatches.get(rule) || 0) + 1);
+  }
+  
+  /**
+   * Get Azure WAF cost calculation
+   */
+  getCost() {
+    let cost = 0;
+    
+    // $5 per policy and $20 per managed rule set each month
+    cost += 5 / (30 * 24 * 60);
+    cost += 20 / (30 * 24 * 60);
+    
+    // $1 per million requests evaluated, last tick extrapolated to a minute
+    cost += (this.lastTickRequests * 60 / 1000000) * 1;
+    
+    return cost;
+  }
+  
+  /**
+   * Add Azure WAF metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      blockedRequests: this.wafMetrics.blockedRequests,
+      threatIntelMatches: this.wafMetrics.threatIntelMatches
+    };
+  }
+  
+  /**
+   * Get Azure WAF-specific status
+   */
+  getStatus() {
+    const baseStatus = super.getStatus();
+    
+    return {
+      ...baseStatus,
+      type: this.type,
+      mode: this.mode,
+      managedRuleSet: this.managedRuleSet,
+      activeRuleGroups: this.getActiveRuleGroups(),
+      anomalyScoreThreshold: this.anomalyScoreThreshold,
+      threatIntel: {
+        ...this.threatIntel,
+        reportedIndicators: this.reportedIndicators.size
+      },
+      wafMetrics: {
+        ...this.wafMetrics,
+        ruleMatches: Object.fromEntries(this.wafMetrics.ruleMatches)
+      }
+    };
+  }
+  
+  /**
+   * Validate Azure WAF configuration
+   */
+  validate() {
+    const errors = super.validate();
+    
+    if (!['Prevention', 'Detection'].includes(this.mode)) {
+      errors.push('Invalid mode - must be Prevention or Detection');
+    }
+    
+    if (!MANAGED_RULE_SETS[this.managedRuleSet]) {
+      errors.push('Invalid managed rule set - must be DRS_2.1 or OWASP_3.2');
+    }
+    
+    for (const group of this.disabledRuleGroups) {
+      if (!MANAGED_RULE_SETS[this.managedRuleSet]?.includes(group)) {
+        errors.push(`Rule group ${group} is not part of ${this.managedRuleSet}`);
+      }
+    }
+    
+    if (this.anomalyScoreThreshold < 1) {
+      errors.push('Anomaly score threshold must be at least 1');
+    }
+    
+    if (!['Off', 'Alert', 'Deny'].includes(this.threatIntel.mode)) {
+      errors.push('Invalid threat intelligence mode - must be Off, Alert or Deny');
+    }
+    
+    return errors;
+  }
+}
\ No newline at end of file
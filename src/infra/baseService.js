@@ -2,12 +2,16 @@
  * Base service class for all infrastructure components
  * Provides provider-agnostic interface and common functionality
  */
+import { defaultRandom } from '../engine/random.js';
+import { encodeValue, decodeValue } from '../engine/serialization.js';
+import { getProvider, getProviderNames } from './providerRegistry.js';
 
 export class BaseService {
-  constructor(name, provider, capacity, baseCost) {
-    this.id = this.generateId();
+  constructor(name, provider, capacity, baseCost, random = defaultRandom) {
+    this.random = random; // Seeded RNG for all stochastic behaviour
+    this.id = null; // Drawn from the simulation RNG when deployed (see ServiceRegistry.deployService)
     this.name = name;
-    this.provider = provider; // 'aws', 'gcp', 'azure'
+    this.provider = provider; // Registered provider name, e.g. 'aws'
     this.capacity = capacity; // requests per second
     this.baseCost = baseCost; // cost per minute
     this.currentLoad = 0;
@@ -22,22 +26,80 @@ export class BaseService {
       uptime: 100
     };
     
+    // Bounded per-tick metrics history (for inspector sparklines)
+    this.metricsHistory = [];
+    this.maxMetricsHistory = 60; // ticks kept
+    
     // Service connections
     this.connections = []; // Connected service IDs
     this.position = { x: 0, y: 0 }; // For UI rendering
     
+    // Simulated game time in milliseconds, advanced by the registry each tick
+    this.simulationTime = 0;
+    
+    // Events waiting for the registry to publish on the event bus
+    this.pendingEvents = [];
+    
     // Performance characteristics (override in subclasses)
     this.latencyBase = 10; // Base latency in ms
     this.latencyMultiplier = 1.0; // How latency scales with load
     this.degradationThreshold = 0.8; // When performance starts degrading
     this.failureThreshold = 1.2; // When service starts dropping requests
+    
+    // Configuration the service was created with
+    this.config = {};
   }
   
   /**
-   * Generate unique service ID
+   * Generate unique service ID from the service's RNG
    */
   generateId() {
-    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    return `svc-${this.random.id(12)}`;
+  }
+  
+  /**
+   * Remember creation config (minus the injected RNG) for replay
+   */
+  setConfig(config) {
+    const { random, ...serviceConfig } = config;
+    this.config = serviceConfig;
+  }
+  
+  /**
+   * Bind the service to the simulation's random number generator
+   */
+  setRandom(random) {
+    this.random = random;
+  }
+  
+  /**
+   * Advance the service's simulated clock
+   */
+  setSimulationTime(time) {
+    this.simulationTime = time;
+  }
+  
+  /**
+   * Get current simulated time in milliseconds (use instead of Date.now())
+   */
+  now() {
+    return this.simulationTime;
+  }
+  
+  /**
+   * Queue an event (an EVENTS type) for the registry to publish at the end of the tick
+   */
+  emitEvent(type, payload = {}) {
+    this.pendingEvents.push({ type, payload });
+  }
+  
+  /**
+   * Take the events queued since the last call
+   */
+  takeEvents() {
+    const events = this.pendingEvents;
+    this.pendingEvents = [];
+    return events;
   }
   
   /**
@@ -76,6 +138,15 @@ export class BaseService {
     return { processed, dropped };
   }
   
+  /**
+   * Settle a tick in which no requests arrived: load drops to zero and health recovers
+   */
+  processIdleTick() {
+    this.currentLoad = 0;
+    this.updateHealth(0);
+    this.updateMetrics(0, 0, 0);
+  }
+  
   /**
    * Calculate latency based on current load
    */
@@ -97,7 +168,7 @@ export class BaseService {
     if (loadRatio > this.failureThreshold) {
       // Drop probability increases with overload
       const dropProbability = (loadRatio - this.failureThreshold) / this.failureThreshold;
-      return Math.random() < dropProbability;
+      return this.random.next() < dropProbability;
     }
     
     return false;
@@ -135,6 +206,37 @@ export class BaseService {
     }
   }
   
+  /**
+   * Get the values recorded into metrics history each tick (extend in subclasses)
+   */
+  getHistorySample() {
+    return {
+      load: this.currentLoad,
+      requestsPerSecond: this.metrics.requestsPerSecond,
+      averageLatency: this.metrics.averageLatency,
+      errorRate: this.metrics.errorRate,
+      cost: this.metrics.cost
+    };
+  }
+  
+  /**
+   * Append this tick's metrics to the bounded history
+   */
+  recordMetrics(tick) {
+    this.metricsHistory.push({ tick, health: this.health, ...this.getHistorySample() });
+    
+    if (this.metricsHistory.length > this.maxMetricsHistory) {
+      this.metricsHistory.splice(0, this.metricsHistory.length - this.maxMetricsHistory);
+    }
+  }
+  
+  /**
+   * Get recorded metrics history, oldest first
+   */
+  getMetricsHistory(ticks = this.maxMetricsHistory) {
+    return this.metricsHistory.slice(-ticks);
+  }
+  
   /**
    * Get current service cost (override in provider-specific implementations)
    */
@@ -206,6 +308,36 @@ export class BaseService {
       cost: 0,
       uptime: 100
     };
+    this.metricsHistory = [];
+  }
+  
+  /**
+   * Serialize full service state for save games
+   */
+  serialize() {
+    const state = {};
+    for (const [key, value] of Object.entries(this)) {
+      // The RNG and lookups are re-bound on deploy; config is passed to the constructor
+      if (key === 'random' || key === 'config' || typeof value === 'function') {
+        continue;
+      }
+      state[key] = encodeValue(value);
+    }
+    
+    return {
+      className: this.constructor.name,
+      config: encodeValue(this.config),
+      state
+    };
+  }
+  
+  /**
+   * Restore state produced by serialize()
+   */
+  restoreState(state) {
+    for (const [key, value] of Object.entries(state)) {
+      this[key] = decodeValue(value);
+    }
   }
   
   /**
@@ -218,8 +350,8 @@ export class BaseService {
       errors.push('Service name is required');
     }
     
-    if (!['aws', 'gcp', 'azure'].includes(this.provider)) {
-      errors.push('Invalid provider - must be aws, gcp, or azure');
+    if (!getProvider(this.provider)) {
+      errors.push(`Invalid provider - must be one of ${getProviderNames().join(', ')}`);
     }
     
     if (this.capacity <= 0) {
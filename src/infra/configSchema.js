@@ -0,0 +1,80 @@
+/**
+ * Service type registry helpers shared by the provider factories
+ * Resolves type aliases and validates config against a type's schema
+ */
+
+/**
+ * Resolve a service type or alias to its canonical type in a registry, or null
+ */
+export function resolveServiceType(serviceTypes, type) {
+  const key = String(type).toLowerCase();
+  if (serviceTypes[key]) {
+    return key;
+  }
+
+  for (const [canonical, definition] of Object.entries(serviceTypes)) {
+    if (definition.aliases.includes(key)) {
+      return canonical;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the options a select field offers for a config
+ * A field with optionsBy narrows its options by the value of another field
+ * (falling back to that field's default), e.g. cache sizes by tier
+ */
+export function getFieldOptions(schema, field, config = {}) {
+  if (!field.optionsBy) {
+    return field.options;
+  }
+
+  const controller = schema.find(other => other.key === field.optionsBy.field);
+  const controllerValue = config[field.optionsBy.field] ?? controller?.default;
+  return field.optionsBy.options[controllerValue] || field.options;
+}
+
+/**
+ * Validate config against a schema
+ * Keys outside the schema are passed through unchecked
+ */
+export function validateConfigSchema(schema, config = {}) {
+  const errors = [];
+
+  for (const field of schema) {
+    const value = config[field.key];
+    if (value === undefined) {
+      continue;
+    }
+
+    switch (field.type) {
+      case 'select': {
+        const options = getFieldOptions(schema, field, config);
+        if (!options.includes(value)) {
+          errors.push(`${field.label} must be one of: ${options.join(', ')}`);
+        }
+        break;
+      }
+      case 'multiselect':
+        if (!Array.isArray(value) || value.some(option => !field.options.includes(option))) {
+          errors.push(`${field.label} must be a list of: ${field.options.join(', ')}`);
+        }
+        break;
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value) ||
+            value < (field.min ?? 0) || value > (field.max ?? Infinity)) {
+          errors.push(`${field.label} must be a number between ${field.min ?? 0} and ${field.max ?? 'unlimited'}`);
+        }
+        break;
+      case 'checkbox':
+        if (typeof value !== 'boolean') {
+          errors.push(`${field.label} must be true or false`);
+        }
+        break;
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,335 @@
+/**
+ * GCP Compute Engine implementation
+ * Provides managed instance group autoscaling, Spot VMs and Google Cloud billing
+ */
+import { BaseService } from '../baseService.js';
+import { EVENTS } from '../../engine/eventBus.js';
+import { hourlyToPerMinute, monthlyToPerMinute, getSustainedUseMultiplier, MINIMUM_BILLED_SECONDS } from './pricing.js';
+
+// On-demand list prices per VM hour (us-central1)
+const MACHINE_TYPE_PRICES = {
+  'e2-micro': 0.0084,
+  'e2-small': 0.0168,
+  'e2-medium': 0.0335,
+  'e2-standard-2': 0.067,
+  'e2-standard-4': 0.134,
+  'n1-standard-1': 0.0475,
+  'n1-standard-2': 0.095,
+  'n2-standard-2': 0.0971,
+  'n2-standard-4': 0.1942,
+  'c2-standard-4': 0.2088
+};
+
+// Persistent disk prices per GB per month
+const DISK_PRICES = {
+  'pd-standard': 0.04,
+  'pd-balanced': 0.10,
+  'pd-ssd': 0.17
+};
+
+export class GCPCompute extends BaseService {
+  constructor(config = {}) {
+    super(
+      config.name || 'GCP-GCE',
+      'gcp',
+      config.capacity || 500, // requests per second per VM
+      config.baseCost || 0.05, // $0.05 per minute
+      config.random
+    );
+    
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
+    // Compute Engine specific configuration
+    this.type = 'compute';
+    this.machineType = config.machineType || 'e2-medium';
+    this.machineFamily = this.machineType.split('-')[0];
+    this.zone = config.zone || 'us-central1-a';
+    this.onHostMaintenance = config.onHostMaintenance || (config.spotVm ? 'TERMINATE' : 'MIGRATE'); // MIGRATE (live migration) or TERMINATE
+    
+    // Managed instance group autoscaler (scales in proportion to CPU utilization)
+    this.capacityPerReplica = this.capacity;
+    this.autoscaler = {
+      enabled: config.autoscaler?.enabled || false,
+      minReplicas: config.autoscaler?.minReplicas || 1,
+      maxReplicas: config.autoscaler?.maxReplicas || 10,
+      replicas: config.autoscaler?.replicas || 1,
+      targetCpuUtilization: config.autoscaler?.targetCpuUtilization || 0.6,
+      coolDownPeriodSec: config.autoscaler?.coolDownPeriodSec || 60
+    };
+    this.capacity = this.capacityPerReplica * this.autoscaler.replicas;
+    this.lastScalingAction = null; // Simulated time of last scaling action
+    
+    // Boot disk
+    this.bootDisk = {
+      type: config.bootDisk?.type || 'pd-balanced',
+      sizeGb: config.bootDisk?.sizeGb || 10
+    };
+    
+    // Spot VMs are deeply discounted but can be preempted at any time
+    this.spotVm = config.spotVm || false;
+    this.preemptionRisk = this.spotVm ? 0.05 : 0; // 5% chance per hour
+    
+    // Billing: per second after a one-minute minimum for each VM start
+    this.launchedAt = null; // Simulated time the group first ran (for sustained use)
+    this.replicaStartTimes = []; // Simulated start time of each running replica
+    this.billedUntil = []; // Scaled-in replicas still inside their minimum billing period
+    
+    // GCP-specific performance characteristics
+    this.latencyBase = 5; // Base processing latency
+    this.latencyMultiplier = 1.1; // Moderate scaling
+    this.degradationThreshold = 0.75; // Starts degrading at 75% load
+    this.failureThreshold = 1.3; // Can handle 30% overload
+    
+    this.instanceStatus = 'RUNNING'; // PROVISIONING, RUNNING, STOPPING, TERMINATED
+    this.currentCpuUtilization = 0;
+  }
+  
+  /**
+   * Advance the simulated clock, starting the billing clock on first run
+   */
+  setSimulationTime(time) {
+    super.setSimulationTime(time);
+    
+    if (this.launchedAt === null) {
+      this.launchedAt = time;
+      this.replicaStartTimes = Array(this.autoscaler.replicas).fill(time);
+    }
+  }
+  
+  /**
+   * Process requests on the instance group
+   */
+  processRequests(requests) {
+    if (!requests || requests.length === 0) {
+      return { processed: [], dropped: [] };
+    }
+    
+    const processed = [];
+    const dropped = [];
+    let totalLatency = 0;
+    
+    // Calculate current load ratio
+    const loadRatio = requests.length / this.capacity;
+    this.currentLoad = loadRatio;
+    this.currentCpuUtilization = Math.min(100, loadRatio * 100);
+    
+    // Spot VMs get no warning in game terms - the whole tick is lost
+    if (this.spotVm && this.checkPreemption()) {
+      this.emitEvent(EVENTS.SPOT_INTERRUPTED);
+      return { processed: [], dropped: requests };
+    }
+    
+    // Update health based on load
+    this.updateHealth(loadRatio);
+    
+    // Let the autoscaler resize the group
+    this.evaluateAutoscaler();
+    
+    // Process each request
+    for (const request of requests) {
+      if (this.shouldDropRequest(loadRatio)) {
+        dropped.push(request);
+        continue;
+      }
+      
+      const latency = this.calculateLatency(loadRatio);
+      request.latency += latency;
+      totalLatency += latency;
+      
+      // Mark request as processed by Compute Engine
+      request.provider = 'gcp';
+      request.service = 'compute-engine';
+      request.machineType = this.machineType;
+      
+      processed.push(request);
+    }
+    
+    // Update metrics
+    this.updateMetrics(processed.length, dropped.length, totalLatency);
+    
+    return { processed, dropped };
+  }
+  
+  /**
+   * Check for Spot VM preemption
+   */
+  checkPreemption() {
+    const minutelyRisk = this.preemptionRisk / 60;
+    return this.random.next() < minutelyRisk;
+  }
+  
+  /**
+   * Resize the group towards the target CPU utilization
+   */
+  evaluateAutoscaler() {
+    if (!this.autoscaler.enabled) {
+      return;
+    }
+    
+    const now = this.now();
+    if (this.lastScalingAction !== null &&
+        (now - this.lastScalingAction) / 1000 < this.autoscaler.coolDownPeriodSec) {
+      return;
+    }
+    
+    // Recommended size keeps utilization at the target (may jump several replicas at once)
+    const utilization = this.currentCpuUtilization / 100;
+    const recommended = Math.min(
+      this.autoscaler.maxReplicas,
+      Math.max(
+        this.autoscaler.minReplicas,
+        Math.ceil(this.autoscaler.replicas * utilization / this.autoscaler.targetCpuUtilization)
+      )
+    );
+    
+    if (recommended !== this.autoscaler.replicas) {
+      this.resize(recommended);
+      this.lastScalingAction = now;
+    }
+  }
+  
+  /**
+   * Resize the managed instance group
+   */
+  resize(replicas) {
+    const now = this.now();
+    
+    while (this.replicaStartTimes.length < replicas) {
+      this.replicaStartTimes.push(now);
+    }
+    
+    // Replicas removed before their first minute are still billed for it
+    while (this.replicaStartTimes.length > replicas) {
+      const startedAt = this.replicaStartTimes.pop();
+      const minimumEnd = startedAt + MINIMUM_BILLED_SECONDS * 1000;
+      if (minimumEnd > now) {
+        this.billedUntil.push(minimumEnd);
+      }
+    }
+    
+    this.emitEvent(EVENTS.SERVICE_SCALED, { from: this.autoscaler.replicas, to: replicas });
+    this.autoscaler.replicas = replicas;
+    this.capacity = this.capacityPerReplica * replicas;
+  }
+  
+  /**
+   * Get the number of VMs currently being billed
+   */
+  getBilledReplicas() {
+    const now = this.now();
+    this.billedUntil = this.billedUntil.filter(until => until > now);
+    return this.autoscaler.replicas + this.billedUntil.length;
+  }
+  
+  /**
+   * Get the sustained-use price multiplier earned so far
+   */
+  getSustainedUseMultiplier() {
+    // Spot VMs are already discounted and do not earn sustained use
+    if (this.spotVm || this.launchedAt === null) {
+      return 1;
+    }
+    
+    return getSustainedUseMultiplier(this.machineFamily, (this.now() - this.launchedAt) / 1000);
+  }
+  
+  /**
+   * Get Compute Engine cost calculation
+   */
+  getCost() {
+    let cost = 0;
+    
+    // VM cost, billed per second, with sustained-use discount
+    const hourlyPrice = MACHINE_TYPE_PRICES[this.machineType];
+    const vmCost = hourlyPrice ? hourlyToPerMinute(hourlyPrice) : this.baseCost;
+    cost += vmCost * this.getSustainedUseMultiplier() * this.getBilledReplicas();
+    
+    // Spot VM discount
+    if (this.spotVm) {
+      cost *= 0.3; // Typically 60-91% off
+    }
+    
+    // Persistent disk cost
+    const diskPrice = DISK_PRICES[this.bootDisk.type] || DISK_PRICES['pd-balanced'];
+    cost += monthlyToPerMinute(diskPrice) * this.bootDisk.sizeGb * this.autoscaler.replicas;
+    
+    // Network egress (simplified)
+    cost += this.metrics.requestsPerSecond * 0.000008; // $0.000008 per request
+    
+    return cost;
+  }
+  
+  /**
+   * Add Compute Engine metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      cpuUtilization: this.currentCpuUtilization,
+      replicas: this.autoscaler.replicas
+    };
+  }
+  
+  /**
+   * Get Compute Engine-specific status
+   */
+  getStatus() {
+    const baseStatus = super.getStatus();
+    
+    return {
+      ...baseStatus,
+      type: this.type,
+      machineType: this.machineType,
+      machineFamily: this.machineFamily,
+      zone: this.zone,
+      instanceStatus: this.instanceStatus,
+      onHostMaintenance: this.onHostMaintenance,
+      cpuUtilization: this.currentCpuUtilization,
+      autoscaler: { ...this.autoscaler },
+      bootDisk: { ...this.bootDisk },
+      spotVm: this.spotVm,
+      billing: {
+        billedReplicas: this.getBilledReplicas(),
+        sustainedUseDiscount: 1 - this.getSustainedUseMultiplier()
+      }
+    };
+  }
+  
+  /**
+   * Validate Compute Engine configuration
+   */
+  validate() {
+    const errors = super.validate();
+    
+    if (!MACHINE_TYPE_PRICES[this.machineType]) {
+      errors.push(`Invalid machine type: ${this.machineType}`);
+    }
+    
+    if (!['MIGRATE', 'TERMINATE'].includes(this.onHostMaintenance)) {
+      errors.push('Invalid host maintenance policy - must be MIGRATE or TERMINATE');
+    }
+    
+    if (this.spotVm && this.onHostMaintenance === 'MIGRATE') {
+      errors.push('Spot VMs cannot live migrate - use TERMINATE host maintenance');
+    }
+    
+    if (this.autoscaler.minReplicas > this.autoscaler.maxReplicas) {
+      errors.push('Autoscaler min replicas cannot exceed max replicas');
+    }
+    
+    if (this.autoscaler.targetCpuUtilization <= 0 || this.autoscaler.targetCpuUtilization > 1) {
+      errors.push('Autoscaler target CPU utilization must be between 0 and 1');
+    }
+    
+    if (!DISK_PRICES[this.bootDisk.type]) {
+      errors.push(`Invalid boot disk type: ${this.bootDisk.type}`);
+    }
+    
+    if (this.bootDisk.sizeGb < 10 || this.bootDisk.sizeGb > 65536) {
+      errors.push('Boot disk size must be between 10 and 65536 GB');
+    }
+    
+    return errors;
+  }
+}
\ No newline at end of file
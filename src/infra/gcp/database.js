@@ -0,0 +1,450 @@
+/**
+ * GCP Cloud SQL implementation
+ * Provides regional high availability, read replicas and Cloud SQL pricing
+ */
+import { BaseService } from '../baseService.js';
+import { EVENTS } from '../../engine/eventBus.js';
+import { hourlyToPerMinute, monthlyToPerMinute, getSustainedUseMultiplier } from './pricing.js';
+
+// Machine tiers: shared-core tiers have a flat hourly price, custom tiers are priced per vCPU and GB
+const MACHINE_TIERS = {
+  'db-f1-micro': { vCpus: 0.2, memoryGb: 0.6, hourlyPrice: 0.0105, maxConnections: 25 },
+  'db-g1-small': { vCpus: 0.5, memoryGb: 1.7, hourlyPrice: 0.035, maxConnections: 50 },
+  'db-custom-1-3840': { vCpus: 1, memoryGb: 3.75, maxConnections: 250 },
+  'db-custom-2-7680': { vCpus: 2, memoryGb: 7.5, maxConnections: 500 },
+  'db-custom-4-15360': { vCpus: 4, memoryGb: 15, maxConnections: 1000 },
+  'db-custom-8-30720': { vCpus: 8, memoryGb: 30, maxConnections: 2000 }
+};
+
+const VCPU_HOUR = 0.0413;
+const MEMORY_GB_HOUR = 0.007;
+
+// Storage prices per GB per month
+const DISK_PRICES = {
+  PD_SSD: 0.17,
+  PD_HDD: 0.09
+};
+
+const DATABASE_VERSIONS = ['MYSQL_8_0', 'MYSQL_5_7', 'POSTGRES_15', 'POSTGRES_14', 'SQLSERVER_2019_STANDARD'];
+
+export class GCPDatabase extends BaseService {
+  constructor(config = {}) {
+    super(
+      config.name || 'GCP-CloudSQL',
+      'gcp',
+      config.capacity || 1000, // connections per second
+      config.baseCost || 0.015, // $0.015 per minute
+      config.random
+    );
+    
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
+    // Cloud SQL specific configuration
+    this.type = 'database';
+    this.databaseVersion = config.databaseVersion || 'MYSQL_8_0';
+    this.tier = config.tier || 'db-custom-1-3840';
+    this.dataDiskType = config.dataDiskType || 'PD_SSD'; // PD_SSD or PD_HDD
+    this.dataDiskSizeGb = config.dataDiskSizeGb || 10;
+    this.storageAutoResize = config.storageAutoResize ?? true;
+    
+    // High availability: REGIONAL keeps a standby in a second zone with synchronous replication
+    this.availabilityType = config.availabilityType || 'ZONAL'; // ZONAL or REGIONAL
+    this.zone = config.zone || 'us-central1-a';
+    this.secondaryZone = config.secondaryZone || 'us-central1-b';
+    this.failoverCompletesAt = null; // Simulated time when an in-progress failover ends
+    this.launchedAt = null; // Simulated time the instance first ran (for sustained use)
+    
+    // Read replicas
+    this.readReplicas = config.readReplicas || [];
+    this.maxReadReplicas = 10;
+    
+    // Backups and point-in-time recovery
+    this.backupConfiguration = {
+      enabled: config.backupConfiguration?.enabled ?? true,
+      retainedBackups: config.backupConfiguration?.retainedBackups || 7,
+      pointInTimeRecoveryEnabled: config.backupConfiguration?.pointInTimeRecoveryEnabled || false
+    };
+    
+    // Query Insights
+    this.queryInsightsEnabled = config.queryInsightsEnabled || false;
+    
+    this.maxConnections = MACHINE_TIERS[this.tier]?.maxConnections || 100;
+    
+    // Database-specific metrics
+    this.dbMetrics = {
+      activeConnections: 0,
+      queuedConnections: 0,
+      cpuUtilization: 0,
+      readLatency: 0,
+      writeLatency: 0,
+      diskUtilization: 0,
+      replicationLag: 0
+    };
+    
+    // Query simulation
+    this.queryStats = {
+      selects: 0,
+      inserts: 0,
+      updates: 0,
+      deletes: 0,
+      slowQueries: 0
+    };
+    
+    // GCP-specific performance characteristics
+    this.latencyBase = 3; // Base database latency
+    this.latencyMultiplier = 1.4; // Database operations scale with load
+    this.degradationThreshold = 0.8; // Starts degrading at 80% connections
+    this.failureThreshold = 1.2; // Fails at 120% of max connections
+  }
+  
+  /**
+   * Advance the simulated clock, starting the billing clock on first run
+   */
+  setSimulationTime(time) {
+    super.setSimulationTime(time);
+    
+    if (this.launchedAt === null) {
+      this.launchedAt = time;
+    }
+  }
+  
+  /**
+   * Process database requests with Cloud SQL performance characteristics
+   */
+  processRequests(requests) {
+    if (!requests || requests.length === 0) {
+      return { processed: [], dropped: [] };
+    }
+    
+    const processed = [];
+    const dropped = [];
+    let totalLatency = 0;
+    
+    // Finish any failover whose duration has elapsed
+    this.completeFailover();
+    
+    // Calculate current load ratio based on connections
+    const loadRatio = requests.length / this.maxConnections;
+    this.currentLoad = loadRatio;
+    
+    // Update health based on load
+    this.updateHealth(loadRatio);
+    
+    // Requests are lost while the standby is being promoted
+    if (this.failoverCompletesAt !== null) {
+      return { processed: [], dropped: requests };
+    }
+    
+    // Zonal outages take a regional instance through failover
+    if (this.availabilityType === 'REGIONAL' && this.shouldSimulateFailover()) {
+      return this.handleFailover(requests);
+    }
+    
+    // Process each database request
+    for (const request of requests) {
+      if (this.shouldDropRequest(loadRatio)) {
+        dropped.push(request);
+        continue;
+      }
+      
+      // Simulate database operation
+      const dbResult = this.simulateDatabaseOperation(request);
+      
+      const latency = this.calculateDatabaseLatency(loadRatio, dbResult);
+      request.latency += latency;
+      totalLatency += latency;
+      
+      // Mark request as processed by Cloud SQL
+      request.provider = 'gcp';
+      request.service = 'cloud-sql';
+      request.engine = this.databaseVersion;
+      request.queryType = dbResult.queryType;
+      
+      processed.push(request);
+    }
+    
+    // Update database metrics
+    this.updateDatabaseMetrics(processed.length, dropped.length, totalLatency);
+    
+    // Update base metrics
+    this.updateMetrics(processed.length, dropped.length, totalLatency);
+    
+    return { processed, dropped };
+  }
+  
+  /**
+   * Simulate database operation
+   */
+  simulateDatabaseOperation(request) {
+    const queryTypes = ['SELECT', 'INSERT', 'UPDATE', 'DELETE'];
+    const queryType = request.queryType || queryTypes[Math.floor(this.random.next() * queryTypes.length)];
+    
+    switch (queryType) {
+      case 'SELECT':
+        this.queryStats.selects++;
+        break;
+      case 'INSERT':
+        this.queryStats.inserts++;
+        break;
+      case 'UPDATE':
+        this.queryStats.updates++;
+        break;
+      case 'DELETE':
+        this.queryStats.deletes++;
+        break;
+    }
+    
+    // Simulate slow query
+    const isSlowQuery = this.random.next() < 0.05; // 5% of queries are slow
+    if (isSlowQuery) {
+      this.queryStats.slowQueries++;
+    }
+    
+    return { queryType, isSlowQuery };
+  }
+  
+  /**
+   * Calculate database-specific latency
+   */
+  calculateDatabaseLatency(loadRatio, dbResult) {
+    let latency = this.calculateLatency(loadRatio);
+    const isWrite = dbResult.queryType !== 'SELECT';
+    
+    // Writes are slower than reads
+    latency *= isWrite ? 1.3 : 0.8;
+    
+    // Slow queries take much longer
+    if (dbResult.isSlowQuery) {
+      latency *= 10;
+    }
+    
+    // Regional instances replicate writes synchronously to the standby zone
+    if (this.availabilityType === 'REGIONAL' && isWrite) {
+      latency += 2;
+    }
+    
+    // Read replicas can serve read queries faster
+    if (this.readReplicas.length > 0 && !isWrite) {
+      latency *= 0.7;
+    }
+    
+    // HDD storage is much slower for random I/O
+    if (this.dataDiskType === 'PD_HDD') {
+      latency *= 1.5;
+    }
+    
+    // Shared-core tiers are throttled
+    if (MACHINE_TIERS[this.tier]?.hourlyPrice) {
+      latency *= 1.5;
+    }
+    
+    return Math.round(latency);
+  }
+  
+  /**
+   * Check if a zonal failover should be simulated
+   */
+  shouldSimulateFailover() {
+    // Very rare event - 0.01% chance per minute
+    return this.random.next() < 0.0001;
+  }
+  
+  /**
+   * Handle regional failover to the standby zone
+   */
+  handleFailover(requests) {
+    this.emitEvent(EVENTS.DATABASE_FAILOVER, { stage: 'started' });
+    
+    // Promoting the standby takes about a minute
+    this.failoverCompletesAt = this.now() + 60000;
+    
+    return { processed: [], dropped: requests };
+  }
+  
+  /**
+   * Complete failover once its duration has elapsed in game time
+   */
+  completeFailover() {
+    if (this.failoverCompletesAt === null || this.now() < this.failoverCompletesAt) {
+      return;
+    }
+    
+    this.emitEvent(EVENTS.DATABASE_FAILOVER, { stage: 'completed' });
+    const temp = this.zone;
+    this.zone = this.secondaryZone;
+    this.secondaryZone = temp;
+    this.failoverCompletesAt = null;
+  }
+  
+  /**
+   * Update database-specific metrics
+   */
+  updateDatabaseMetrics(processedCount, droppedCount, totalLatency) {
+    this.dbMetrics.activeConnections = processedCount;
+    this.dbMetrics.queuedConnections = droppedCount;
+    this.dbMetrics.cpuUtilization = Math.min(100, this.currentLoad * 100);
+    
+    const avgLatency = processedCount > 0 ? totalLatency / processedCount : 0;
+    this.dbMetrics.readLatency = avgLatency * 0.8;
+    this.dbMetrics.writeLatency = avgLatency * 1.3;
+    
+    // Storage grows with writes (100 bytes per insert/update)
+    const usedBytes = (this.queryStats.inserts + this.queryStats.updates) * 100;
+    this.dbMetrics.diskUtilization = Math.min(100, (usedBytes / (this.dataDiskSizeGb * 1024 ** 3)) * 100);
+    
+    if (this.readReplicas.length > 0) {
+      this.dbMetrics.replicationLag = this.random.next() * 100; // 0-100ms
+    }
+  }
+  
+  /**
+   * Add read replica
+   */
+  addReadReplica(config = {}) {
+    if (this.readReplicas.length >= this.maxReadReplicas) {
+      throw new Error(`Maximum ${this.maxReadReplicas} read replicas allowed`);
+    }
+    
+    const replica = {
+      id: `${this.id}-replica-${this.readReplicas.length + 1}`,
+      tier: config.tier || this.tier,
+      zone: config.zone || 'us-central1-c'
+    };
+    
+    this.readReplicas.push(replica);
+    return replica;
+  }
+  
+  /**
+   * Remove read replica
+   */
+  removeReadReplica(replicaId) {
+    const index = this.readReplicas.findIndex(replica => replica.id === replicaId);
+    if (index > -1) {
+      this.readReplicas.splice(index, 1);
+      return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Get the per-minute instance price for a machine tier
+   */
+  getTierCost(tier) {
+    const machine = MACHINE_TIERS[tier];
+    if (!machine) {
+      return this.baseCost;
+    }
+    
+    // Shared-core tiers have a flat price and earn no sustained-use discount
+    if (machine.hourlyPrice) {
+      return hourlyToPerMinute(machine.hourlyPrice);
+    }
+    
+    const hourlyPrice = machine.vCpus * VCPU_HOUR + machine.memoryGb * MEMORY_GB_HOUR;
+    const runningSeconds = this.launchedAt === null ? 0 : (this.now() - this.launchedAt) / 1000;
+    return hourlyToPerMinute(hourlyPrice) * getSustainedUseMultiplier('n1', runningSeconds);
+  }
+  
+  /**
+   * Get Cloud SQL cost calculation
+   */
+  getCost() {
+    let cost = this.getTierCost(this.tier);
+    
+    // Regional instances pay for the standby
+    if (this.availabilityType === 'REGIONAL') {
+      cost *= 2;
+    }
+    
+    // Read replicas are billed as standalone instances
+    for (const replica of this.readReplicas) {
+      cost += this.getTierCost(replica.tier);
+    }
+    
+    // Storage (doubled for the regional standby)
+    const storageCost = monthlyToPerMinute(DISK_PRICES[this.dataDiskType] || DISK_PRICES.PD_SSD) * this.dataDiskSizeGb;
+    cost += this.availabilityType === 'REGIONAL' ? storageCost * 2 : storageCost;
+    
+    // Backup storage: $0.08 per GB per month, assume 30% of the disk
+    if (this.backupConfiguration.enabled) {
+      cost += monthlyToPerMinute(0.08) * this.dataDiskSizeGb * 0.3;
+    }
+    
+    return cost;
+  }
+  
+  /**
+   * Add Cloud SQL metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      cpuUtilization: this.dbMetrics.cpuUtilization,
+      activeConnections: this.dbMetrics.activeConnections
+    };
+  }
+  
+  /**
+   * Get Cloud SQL-specific status
+   */
+  getStatus() {
+    const baseStatus = super.getStatus();
+    
+    return {
+      ...baseStatus,
+      type: this.type,
+      databaseVersion: this.databaseVersion,
+      tier: this.tier,
+      dataDiskType: this.dataDiskType,
+      dataDiskSizeGb: this.dataDiskSizeGb,
+      availabilityType: this.availabilityType,
+      zone: this.zone,
+      failoverInProgress: this.failoverCompletesAt !== null,
+      readReplicas: [...this.readReplicas],
+      maxConnections: this.maxConnections,
+      dbMetrics: { ...this.dbMetrics },
+      queryStats: { ...this.queryStats },
+      backupConfiguration: { ...this.backupConfiguration },
+      queryInsightsEnabled: this.queryInsightsEnabled
+    };
+  }
+  
+  /**
+   * Validate Cloud SQL configuration
+   */
+  validate() {
+    const errors = super.validate();
+    
+    if (!DATABASE_VERSIONS.includes(this.databaseVersion)) {
+      errors.push(`Invalid database version: ${this.databaseVersion}`);
+    }
+    
+    if (!MACHINE_TIERS[this.tier]) {
+      errors.push(`Invalid machine tier: ${this.tier}`);
+    }
+    
+    if (this.databaseVersion.startsWith('SQLSERVER') && MACHINE_TIERS[this.tier]?.hourlyPrice) {
+      errors.push('SQL Server does not support shared-core machine tiers');
+    }
+    
+    if (!['ZONAL', 'REGIONAL'].includes(this.availabilityType)) {
+      errors.push('Invalid availability type - must be ZONAL or REGIONAL');
+    }
+    
+    if (!DISK_PRICES[this.dataDiskType]) {
+      errors.push('Invalid data disk type - must be PD_SSD or PD_HDD');
+    }
+    
+    if (this.dataDiskSizeGb < 10 || this.dataDiskSizeGb > 65536) {
+      errors.push('Data disk size must be between 10 and 65536 GB');
+    }
+    
+    if (this.readReplicas.length > this.maxReadReplicas) {
+      errors.push(`Cannot have more than ${this.maxReadReplicas} read replicas`);
+    }
+    
+    return errors;
+  }
+}
\ No newline at end of file
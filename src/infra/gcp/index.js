@@ -0,0 +1,316 @@
+/**
+ * GCP Infrastructure Services
+ * Exports all GCP-specific service implementations
+ */
+
+import { GCPLoadBalancer } from './loadBalancer.js';
+import { GCPCompute } from './compute.js';
+import { GCPCache } from './cache.js';
+import { GCPDatabase } from './database.js';
+import { GCPQueue } from './queue.js';
+import { GCPWAF } from './waf.js';
+import { resolveServiceType, validateConfigSchema } from '../configSchema.js';
+
+export { GCPLoadBalancer, GCPCompute, GCPCache, GCPDatabase, GCPQueue, GCPWAF };
+
+/**
+ * GCP Service Factory
+ * Creates GCP services with provider-specific configurations
+ */
+export class GCPServiceFactory {
+  /**
+   * Create GCP Load Balancer (Cloud Load Balancing)
+   */
+  static createLoadBalancer(config = {}) {
+    return new GCPLoadBalancer({
+      name: config.name || 'GCP-LB',
+      loadBalancingScheme: config.loadBalancingScheme || 'EXTERNAL_MANAGED',
+      networkTier: config.networkTier || 'PREMIUM',
+      capacity: config.capacity || 1200,
+      baseCost: config.baseCost || 0.02,
+      ...config
+    });
+  }
+  
+  /**
+   * Create GCP Compute (Compute Engine)
+   */
+  static createCompute(config = {}) {
+    return new GCPCompute({
+      name: config.name || 'GCP-GCE',
+      machineType: config.machineType || 'e2-medium',
+      capacity: config.capacity || 500,
+      baseCost: config.baseCost || 0.05,
+      autoscaler: config.autoscaler || { enabled: false },
+      spotVm: config.spotVm || false,
+      ...config
+    });
+  }
+  
+  /**
+   * Create GCP Cache (Memorystore)
+   */
+  static createCache(config = {}) {
+    return new GCPCache({
+      name: config.name || 'GCP-Memorystore',
+      engine: config.engine || 'redis',
+      tier: config.tier || 'BASIC',
+      memorySizeGb: config.memorySizeGb || 1,
+      capacity: config.capacity || 12000,
+      baseCost: config.baseCost || 0.03,
+      ...config
+    });
+  }
+  
+  /**
+   * Create GCP Database (Cloud SQL)
+   */
+  static createDatabase(config = {}) {
+    return new GCPDatabase({
+      name: config.name || 'GCP-CloudSQL',
+      databaseVersion: config.databaseVersion || 'MYSQL_8_0',
+      tier: config.tier || 'db-custom-1-3840',
+      capacity: config.capacity || 1000,
+      baseCost: config.baseCost || 0.015,
+      availabilityType: config.availabilityType || 'ZONAL',
+      dataDiskType: config.dataDiskType || 'PD_SSD',
+      ...config
+    });
+  }
+  
+  /**
+   * Create GCP Queue (Pub/Sub)
+   */
+  static createQueue(config = {}) {
+    return new GCPQueue({
+      name: config.name || 'GCP-PubSub',
+      deliveryType: config.deliveryType || 'pull',
+      capacity: config.capacity || 5000,
+      baseCost: config.baseCost || 0.0003,
+      messageOrdering: config.messageOrdering || false,
+      ...config
+    });
+  }
+  
+  /**
+   * Create GCP WAF (Cloud Armor)
+   */
+  static createWAF(config = {}) {
+    return new GCPWAF({
+      name: config.name || 'GCP-CloudArmor',
+      capacity: config.capacity || 30000,
+      baseCost: config.baseCost || 0.0002,
+      defaultAction: config.defaultAction || 'allow',
+      preconfiguredRules: config.preconfiguredRules || ['sqli-v33-stable', 'xss-v33-stable', 'lfi-v33-stable'],
+      adaptiveProtection: config.adaptiveProtection || { enabled: config.adaptiveProtectionEnabled || false },
+      ...config
+    });
+  }
+  
+  /**
+   * Get all available GCP service types
+   */
+  static getAvailableServices() {
+    return Object.entries(GCP_SERVICE_TYPES).map(([type, definition]) => ({
+      type,
+      name: definition.name,
+      description: definition.description,
+      aliases: definition.aliases,
+      className: definition.serviceClass.name,
+      configSchema: definition.configSchema,
+      factory: (config = {}) => this[definition.factory](config)
+    }));
+  }
+  
+  /**
+   * Resolve a service type or alias (e.g. 'pubsub') to its canonical type, or null
+   */
+  static resolveType(type) {
+    return resolveServiceType(GCP_SERVICE_TYPES, type);
+  }
+  
+  /**
+   * Get the config schema for a service type or alias
+   */
+  static getConfigSchema(type) {
+    const canonical = this.resolveType(type);
+    return canonical ? GCP_SERVICE_TYPES[canonical].configSchema : null;
+  }
+  
+  /**
+   * Validate config against a service type's schema
+   */
+  static validateConfig(type, config = {}) {
+    const schema = this.getConfigSchema(type);
+    if (!schema) {
+      return [`Unknown GCP service type: ${type}`];
+    }
+    
+    return validateConfigSchema(schema, config);
+  }
+  
+  /**
+   * Create service by type or alias
+   */
+  static createService(type, config = {}) {
+    const canonical = this.resolveType(type);
+    if (!canonical) {
+      throw new Error(`Unknown GCP service type: ${type}`);
+    }
+    
+    const errors = this.validateConfig(canonical, config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${canonical} config: ${errors.join('; ')}`);
+    }
+    
+    return this[GCP_SERVICE_TYPES[canonical].factory](config);
+  }
+}
+
+/**
+ * GCP service type registry
+ * Canonical type -> display info, aliases, service class, factory method and config schema
+ */
+export const GCP_SERVICE_TYPES = {
+  loadbalancer: {
+    name: 'Cloud Load Balancing',
+    description: 'Global anycast Layer 7 load balancing with no pre-warming',
+    aliases: ['gclb', 'cloud-load-balancing'],
+    serviceClass: GCPLoadBalancer,
+    factory: 'createLoadBalancer',
+    configSchema: [
+      { key: 'networkTier', label: 'Network tier', type: 'select', options: ['PREMIUM', 'STANDARD'], default: 'PREMIUM' },
+      { key: 'localityLbPolicy', label: 'Balancing policy', type: 'select', options: ['ROUND_ROBIN', 'LEAST_REQUEST'], default: 'ROUND_ROBIN' },
+      { key: 'sessionAffinity', label: 'Session affinity', type: 'select', options: ['NONE', 'CLIENT_IP', 'GENERATED_COOKIE'], default: 'NONE' }
+    ]
+  },
+  compute: {
+    name: 'Compute Engine',
+    description: 'Per-second billed VMs with sustained-use discounts and managed instance groups',
+    aliases: ['gce', 'compute-engine'],
+    serviceClass: GCPCompute,
+    factory: 'createCompute',
+    configSchema: [
+      { key: 'machineType', label: 'Machine type', type: 'select', options: ['e2-micro', 'e2-small', 'e2-medium', 'e2-standard-2', 'e2-standard-4', 'n1-standard-1', 'n1-standard-2', 'n2-standard-2', 'n2-standard-4', 'c2-standard-4'], default: 'e2-medium' },
+      { key: 'capacity', label: 'Capacity per VM (req/s)', type: 'number', min: 1, default: 500 },
+      { key: 'spotVm', label: 'Spot VM', type: 'checkbox', default: false }
+    ]
+  },
+  cache: {
+    name: 'Memorystore',
+    description: 'Managed Redis and Memcached priced by provisioned capacity',
+    aliases: ['memorystore'],
+    serviceClass: GCPCache,
+    factory: 'createCache',
+    configSchema: [
+      { key: 'engine', label: 'Engine', type: 'select', options: ['redis', 'memcached'], default: 'redis' },
+      { key: 'tier', label: 'Tier', type: 'select', options: ['BASIC', 'STANDARD_HA'], default: 'BASIC' },
+      { key: 'memorySizeGb', label: 'Memory (GB)', type: 'number', min: 1, max: 300, default: 1 }
+    ]
+  },
+  database: {
+    name: 'Cloud SQL',
+    description: 'Managed MySQL, PostgreSQL and SQL Server with regional high availability',
+    aliases: ['cloudsql', 'cloud-sql'],
+    serviceClass: GCPDatabase,
+    factory: 'createDatabase',
+    configSchema: [
+      { key: 'databaseVersion', label: 'Version', type: 'select', options: ['MYSQL_8_0', 'MYSQL_5_7', 'POSTGRES_15', 'POSTGRES_14', 'SQLSERVER_2019_STANDARD'], default: 'MYSQL_8_0' },
+      { key: 'tier', label: 'Machine tier', type: 'select', options: ['db-f1-micro', 'db-g1-small', 'db-custom-1-3840', 'db-custom-2-7680', 'db-custom-4-15360', 'db-custom-8-30720'], default: 'db-custom-1-3840' },
+      { key: 'availabilityType', label: 'Availability', type: 'select', options: ['ZONAL', 'REGIONAL'], default: 'ZONAL' },
+      { key: 'dataDiskType', label: 'Storage', type: 'select', options: ['PD_SSD', 'PD_HDD'], default: 'PD_SSD' }
+    ]
+  },
+  queue: {
+    name: 'Pub/Sub',
+    description: 'Global messaging with push and pull subscriptions',
+    aliases: ['pubsub'],
+    serviceClass: GCPQueue,
+    factory: 'createQueue',
+    configSchema: [
+      { key: 'deliveryType', label: 'Delivery', type: 'select', options: ['pull', 'push'], default: 'pull' },
+      { key: 'messageOrdering', label: 'Message ordering', type: 'checkbox', default: false }
+    ]
+  },
+  waf: {
+    name: 'Cloud Armor',
+    description: 'Edge security policies with preconfigured WAF rules and Adaptive Protection',
+    aliases: ['cloud-armor', 'armor'],
+    serviceClass: GCPWAF,
+    factory: 'createWAF',
+    configSchema: [
+      { key: 'defaultAction', label: 'Default action', type: 'select', options: ['allow', 'deny(403)'], default: 'allow' },
+      {
+        key: 'preconfiguredRules',
+        label: 'Preconfigured rules',
+        type: 'multiselect',
+        options: ['sqli-v33-stable', 'xss-v33-stable', 'lfi-v33-stable', 'rce-v33-stable', 'scannerdetection-v33-stable'],
+        default: ['sqli-v33-stable', 'xss-v33-stable', 'lfi-v33-stable']
+      },
+      { key: 'adaptiveProtectionEnabled', label: 'Adaptive Protection', type: 'checkbox', default: false }
+    ]
+  }
+};
+
+/**
+ * GCP Provider Configuration
+ */
+export const GCPProvider = {
+  name: 'gcp',
+  displayName: 'Google Cloud Platform',
+  region: 'us-central1',
+  colors: {
+    primary: '#4285f4',
+    secondary: '#1a3b73',
+    success: '#34a853',
+    warning: '#fbbc04',
+    error: '#ea4335'
+  },
+  factory: GCPServiceFactory,
+  serviceTypes: GCP_SERVICE_TYPES,
+  services: GCPServiceFactory.getAvailableServices(),
+  
+  /**
+   * Get provider-specific integration bonuses
+   */
+  getIntegrationBonus() {
+    return 0.1; // 10% performance bonus for same-provider services
+  },
+  
+  /**
+   * Get cross-provider penalty
+   */
+  getCrossProviderPenalty() {
+    return 0.12; // Premium tier traffic rides Google's backbone to the peering point
+  },
+  
+  /**
+   * Get the price per GB for traffic leaving this provider
+   */
+  getEgressPricePerGb() {
+    return 0.12; // Premium tier internet egress from North America
+  },
+  
+  /**
+   * Validate provider configuration
+   */
+  validate(config) {
+    const errors = [];
+    
+    if (!config.region) {
+      errors.push('GCP region is required');
+    }
+    
+    const validRegions = [
+      'us-central1', 'us-east1', 'us-east4', 'us-west1', 'us-west2',
+      'europe-west1', 'europe-west2', 'europe-west3',
+      'asia-east1', 'asia-northeast1', 'asia-southeast1'
+    ];
+    
+    if (config.region && !validRegions.includes(config.region)) {
+      errors.push(`Invalid GCP region: ${config.region}`);
+    }
+    
+    return errors;
+  }
+};
\ No newline at end of file
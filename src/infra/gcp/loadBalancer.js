@@ -0,0 +1,430 @@
+/**
+ * GCP Cloud Load Balancing implementation
+ * Global external Application Load Balancer served from Google's anycast edge
+ */
+import { BaseService } from '../baseService.js';
+import { hourlyToPerMinute } from './pricing.js';
+
+// Latency from the client to the load balancer frontend, by network tier
+// Premium tier enters Google's network at the nearest edge PoP (single global anycast IP);
+// Standard tier rides the public internet to a regional frontend
+const NETWORK_TIER_LATENCY = {
+  PREMIUM: 1,
+  STANDARD: 6
+};
+
+export class GCPLoadBalancer extends BaseService {
+  constructor(config = {}) {
+    super(
+      config.name || 'GCP-LB',
+      'gcp',
+      config.capacity || 1200, // requests per second
+      config.baseCost || 0.02, // $0.02 per minute
+      config.random
+    );
+    
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
+    // Cloud Load Balancing specific configuration
+    this.type = 'loadbalancer';
+    this.loadBalancingScheme = config.loadBalancingScheme || 'EXTERNAL_MANAGED'; // EXTERNAL_MANAGED or INTERNAL_MANAGED
+    this.networkTier = config.networkTier || 'PREMIUM'; // PREMIUM (global anycast) or STANDARD (regional)
+    this.region = config.region || 'us-central1'; // Frontend region for Standard tier and internal LBs
+    this.forwardingRules = config.forwardingRules || 1;
+    
+    // Backend services (the GCP equivalent of target groups)
+    this.backendServices = new Map(); // backendServiceId -> backend service config
+    this.urlMap = new Map(); // pathMatcherId -> path rule
+    
+    // Health check configuration
+    this.healthCheck = {
+      enabled: config.healthCheck?.enabled ?? true,
+      requestPath: config.healthCheck?.requestPath || '/health',
+      checkIntervalSec: config.healthCheck?.checkIntervalSec || 5,
+      timeoutSec: config.healthCheck?.timeoutSec || 5,
+      healthyThreshold: config.healthCheck?.healthyThreshold || 2,
+      unhealthyThreshold: config.healthCheck?.unhealthyThreshold || 2
+    };
+    
+    // Google front ends need no pre-warming, so sudden spikes are absorbed
+    this.latencyBase = 2; // Low base latency
+    this.latencyMultiplier = 0.6; // Excellent scaling
+    this.degradationThreshold = 0.9; // High capacity before degradation
+    this.failureThreshold = 2.0; // Absorbs large spikes
+    
+    // Session affinity and balancing policy
+    this.sessionAffinity = config.sessionAffinity || 'NONE'; // NONE, CLIENT_IP, GENERATED_COOKIE
+    this.localityLbPolicy = config.localityLbPolicy || 'ROUND_ROBIN'; // ROUND_ROBIN or LEAST_REQUEST
+    this.sessionBindings = new Map(); // session hash -> target service ID
+    
+    // Managed SSL certificates and Cloud CDN
+    this.sslCertificates = config.sslCertificates || [];
+    this.cdnEnabled = config.cdnEnabled || false;
+    
+    // Connection draining
+    this.connectionDraining = {
+      drainingTimeoutSec: config.connectionDraining?.drainingTimeoutSec ?? 300 // seconds (one tick each)
+    };
+    
+    // Bytes forwarded in the last tick (data processing charge)
+    this.bytesProcessed = 0;
+    
+    // Resolves target service IDs to live services (set by the registry)
+    this.targetResolver = () => null;
+    
+    // Backend services from config, or a default backend for connected targets
+    const backendServices = config.backendServices || [{ id: 'default', name: 'default' }];
+    backendServices.forEach(backendService => this.addBackendService(backendService.id, backendService));
+  }
+  
+  /**
+   * Process requests at the Google front end
+   */
+  processRequests(requests) {
+    if (!requests || requests.length === 0) {
+      this.bytesProcessed = 0;
+      return { processed: [], dropped: [] };
+    }
+    
+    const processed = [];
+    const dropped = [];
+    let totalLatency = 0;
+    let bytes = 0;
+    
+    // Calculate current load ratio
+    const loadRatio = requests.length / this.capacity;
+    this.currentLoad = loadRatio;
+    
+    // Update health based on load
+    this.updateHealth(loadRatio);
+    
+    // Apply health checks to connected services
+    this.performHealthChecks();
+    
+    // Outstanding requests are counted per tick
+    for (const backendService of this.backendServices.values()) {
+      backendService.backends.forEach(target => target.outstandingRequests = 0);
+    }
+    
+    // Process each request
+    for (const request of requests) {
+      if (this.shouldDropRequest(loadRatio)) {
+        dropped.push(request);
+        continue;
+      }
+      
+      // Pick a backend service from the URL map
+      this.applyUrlMap(request);
+      
+      // Forward to a backend, or reject when none can take it (HTTP 503)
+      const target = this.selectTarget(request);
+      if (!target) {
+        dropped.push(request);
+        continue;
+      }
+      target.outstandingRequests++;
+      request.targetServiceId = target.id;
+      
+      const latency = this.calculateGCPLatency(loadRatio);
+      request.latency += latency;
+      totalLatency += latency;
+      bytes += (request.size || 0) * 1024;
+      
+      // Mark request as processed by Cloud Load Balancing
+      request.provider = 'gcp';
+      request.service = 'cloud-load-balancing';
+      
+      processed.push(request);
+    }
+    
+    this.bytesProcessed = bytes;
+    
+    // Update metrics
+    this.updateMetrics(processed.length, dropped.length, totalLatency);
+    
+    return { processed, dropped };
+  }
+  
+  /**
+   * Calculate latency including the client-to-frontend hop
+   */
+  calculateGCPLatency(loadRatio) {
+    let latency = this.calculateLatency(loadRatio);
+    
+    // Internal load balancers have no internet hop
+    if (this.loadBalancingScheme === 'EXTERNAL_MANAGED') {
+      latency += NETWORK_TIER_LATENCY[this.networkTier] ?? NETWORK_TIER_LATENCY.STANDARD;
+    }
+    
+    // TLS terminates at the edge
+    if (this.sslCertificates.length > 0) {
+      latency += 1; // 1ms for SSL processing
+    }
+    
+    return Math.round(latency);
+  }
+  
+  /**
+   * Route a request to a backend service using the URL map
+   */
+  applyUrlMap(request) {
+    for (const [pathMatcherId, pathRule] of this.urlMap) {
+      if (pathRule.paths.some(path => request.path?.startsWith(path))) {
+        request.targetGroup = pathRule.backendService;
+        request.routingRule = pathMatcherId;
+        break;
+      }
+    }
+    
+    return request;
+  }
+  
+  /**
+   * Perform health checks on backend services
+   */
+  performHealthChecks() {
+    const now = this.now();
+    
+    for (const backendService of this.backendServices.values()) {
+      // Remove backends that are gone or have finished draining
+      backendService.backends = backendService.backends.filter(target =>
+        this.targetResolver(target.id) &&
+        (target.drainingUntil === null || now < target.drainingUntil)
+      );
+      
+      if (this.healthCheck.enabled) {
+        let healthyBackends = 0;
+        for (const target of backendService.backends) {
+          const service = this.targetResolver(target.id);
+          target.health = service ? service.health : 'failed';
+          if (this.isTargetAvailable(target)) {
+            healthyBackends++;
+          }
+        }
+        backendService.healthyBackends = healthyBackends;
+      }
+    }
+  }
+  
+  /**
+   * Check whether a backend can receive new requests
+   */
+  isTargetAvailable(target) {
+    return target.drainingUntil === null && target.health !== 'failed';
+  }
+  
+  /**
+   * Select the backend for a request using session affinity and the locality policy
+   */
+  selectTarget(request) {
+    const backendService = this.backendServices.get(request.targetGroup) || this.backendServices.values().next().value;
+    if (!backendService) {
+      return null;
+    }
+    
+    // Affinity holds while the backend takes new requests; draining backends lose it
+    const affinityKey = this.getAffinityKey(request);
+    if (affinityKey !== null && this.sessionBindings.has(affinityKey)) {
+      const boundId = this.sessionBindings.get(affinityKey);
+      const bound = backendService.backends.find(target => target.id === boundId);
+      if (bound && this.isTargetAvailable(bound)) {
+        return bound;
+      }
+      this.sessionBindings.delete(affinityKey);
+    }
+    
+    const available = backendService.backends.filter(target => this.isTargetAvailable(target));
+    if (available.length === 0) {
+      return null;
+    }
+    
+    let selected;
+    if (this.localityLbPolicy === 'LEAST_REQUEST') {
+      // Fewest requests in flight relative to the backend's capacity
+      const outstandingRatio = (target) => target.outstandingRequests / (this.targetResolver(target.id)?.capacity || 1);
+      selected = available.reduce((best, target) => outstandingRatio(target) < outstandingRatio(best) ? target : best);
+    } else {
+      selected = available[backendService.nextBackendIndex % available.length];
+      backendService.nextBackendIndex++;
+    }
+    
+    if (affinityKey !== null) {
+      this.sessionBindings.set(affinityKey, selected.id);
+    }
+    
+    return selected;
+  }
+  
+  /**
+   * Get the session affinity key for a request, or null without affinity
+   */
+  getAffinityKey(request) {
+    switch (this.sessionAffinity) {
+      case 'CLIENT_IP':
+        return request.clientId || request.sessionId || 'default';
+      case 'GENERATED_COOKIE':
+        return request.sessionId || 'default';
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Register a service as a backend (defaults to the first backend service)
+   */
+  registerTarget(service, backendServiceId = this.backendServices.keys().next().value) {
+    const backendService = this.backendServices.get(backendServiceId);
+    if (!backendService) {
+      throw new Error(`Unknown backend service: ${backendServiceId}`);
+    }
+    
+    const existing = backendService.backends.find(target => target.id === service.id);
+    if (existing) {
+      existing.drainingUntil = null; // Re-registering cancels draining
+      return;
+    }
+    
+    backendService.backends.push({
+      id: service.id,
+      provider: service.provider,
+      zone: service.zone || null,
+      health: service.health,
+      outstandingRequests: 0,
+      drainingUntil: null
+    });
+  }
+  
+  /**
+   * Deregister a backend - it stops receiving new requests and drains
+   * over drainingTimeoutSec ticks before it is removed
+   */
+  deregisterTarget(serviceId) {
+    for (const backendService of this.backendServices.values()) {
+      const target = backendService.backends.find(target => target.id === serviceId);
+      if (!target) {
+        continue;
+      }
+      
+      if (this.connectionDraining.drainingTimeoutSec > 0) {
+        target.drainingUntil = this.now() + this.connectionDraining.drainingTimeoutSec * 1000;
+      } else {
+        backendService.backends = backendService.backends.filter(other => other !== target);
+      }
+    }
+  }
+  
+  /**
+   * Set the lookup used to resolve target IDs to live services
+   */
+  setTargetResolver(resolver) {
+    this.targetResolver = resolver;
+  }
+  
+  /**
+   * Add backend service
+   */
+  addBackendService(backendServiceId, config) {
+    this.backendServices.set(backendServiceId, {
+      id: backendServiceId,
+      name: config.name,
+      protocol: config.protocol || 'HTTP',
+      portName: config.portName || 'http',
+      backends: config.backends || [],
+      healthyBackends: 0,
+      nextBackendIndex: 0, // Round-robin position
+      healthCheck: { ...this.healthCheck, ...config.healthCheck }
+    });
+  }
+  
+  /**
+   * Add URL map path rule
+   */
+  addPathRule(pathMatcherId, config) {
+    this.urlMap.set(pathMatcherId, {
+      id: pathMatcherId,
+      paths: config.paths || [],
+      backendService: config.backendService
+    });
+  }
+  
+  /**
+   * Get Cloud Load Balancing cost calculation
+   */
+  getCost() {
+    let cost = this.baseCost;
+    
+    // Forwarding rules: $0.025 per hour for the first five
+    cost += hourlyToPerMinute(0.025) * Math.min(this.forwardingRules, 5);
+    cost += hourlyToPerMinute(0.01) * Math.max(this.forwardingRules - 5, 0);
+    
+    // Data processing: $0.008 per GB, last tick's bytes extrapolated to a minute
+    const gigabytesPerMinute = (this.bytesProcessed * 60) / (1024 ** 3);
+    cost += gigabytesPerMinute * 0.008;
+    
+    // Cloud CDN cache fill (simplified)
+    if (this.cdnEnabled) {
+      cost += 0.001;
+    }
+    
+    return cost;
+  }
+  
+  /**
+   * Get Cloud Load Balancing-specific status
+   */
+  getStatus() {
+    const baseStatus = super.getStatus();
+    
+    return {
+      ...baseStatus,
+      type: this.type,
+      loadBalancingScheme: this.loadBalancingScheme,
+      networkTier: this.networkTier,
+      globalAnycast: this.networkTier === 'PREMIUM' && this.loadBalancingScheme === 'EXTERNAL_MANAGED',
+      backendServices: Array.from(this.backendServices.values()),
+      urlMap: Array.from(this.urlMap.values()),
+      healthCheck: this.healthCheck,
+      sessionAffinity: this.sessionAffinity,
+      localityLbPolicy: this.localityLbPolicy,
+      cdnEnabled: this.cdnEnabled
+    };
+  }
+  
+  /**
+   * Validate Cloud Load Balancing configuration
+   */
+  validate() {
+    const errors = super.validate();
+    
+    if (!['EXTERNAL_MANAGED', 'INTERNAL_MANAGED'].includes(this.loadBalancingScheme)) {
+      errors.push('Invalid load balancing scheme - must be EXTERNAL_MANAGED or INTERNAL_MANAGED');
+    }
+    
+    if (!NETWORK_TIER_LATENCY[this.networkTier]) {
+      errors.push('Invalid network tier - must be PREMIUM or STANDARD');
+    }
+    
+    if (this.cdnEnabled && this.loadBalancingScheme !== 'EXTERNAL_MANAGED') {
+      errors.push('Cloud CDN requires an external load balancer');
+    }
+    
+    if (!['NONE', 'CLIENT_IP', 'GENERATED_COOKIE'].includes(this.sessionAffinity)) {
+      errors.push('Invalid session affinity - must be NONE, CLIENT_IP or GENERATED_COOKIE');
+    }
+    
+    if (!['ROUND_ROBIN', 'LEAST_REQUEST'].includes(this.localityLbPolicy)) {
+      errors.push('Invalid locality LB policy - must be ROUND_ROBIN or LEAST_REQUEST');
+    }
+    
+    if (this.healthCheck.checkIntervalSec < 1 || this.healthCheck.checkIntervalSec > 300) {
+      errors.push('Health check interval must be between 1 and 300 seconds');
+    }
+    
+    if (this.backendServices.size === 0) {
+      errors.push('At least one backend service is required');
+    }
+    
+    return errors;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Google Cloud billing model shared by the GCP services
+ * Per-second billing with a one-minute minimum, and automatic sustained-use discounts
+ */
+
+// Game time is compressed: a billing month lasts this many simulated seconds (30 minutes)
+export const BILLING_MONTH_SECONDS = 1800;
+
+// Every VM start is billed for at least this long, then per second
+export const MINIMUM_BILLED_SECONDS = 60;
+
+// Incremental rate for each quarter of the month a resource runs, by machine family
+// N1 reaches a 30% discount over a full month, N2 and C2 20%; E2 and shared-core get none
+export const SUSTAINED_USE_TIERS = {
+  n1: [1.0, 0.8, 0.6, 0.4],
+  n2: [1.0, 0.8678, 0.7356, 0.6034],
+  c2: [1.0, 0.8678, 0.7356, 0.6034]
+};
+
+/**
+ * Convert an hourly list price to the per-minute rate returned by getCost()
+ */
+export function hourlyToPerMinute(hourlyPrice) {
+  return (hourlyPrice / 3600) * 60; // billed per second
+}
+
+/**
+ * Convert a monthly list price to a per-minute rate
+ */
+export function monthlyToPerMinute(monthlyPrice) {
+  return monthlyPrice / (30 * 24 * 60);
+}
+
+/**
+ * Price multiplier earned by running for part of the billing month
+ * Each quarter of the month is billed at its tier's rate; the multiplier is the blended rate so far
+ */
+export function getSustainedUseMultiplier(family, runningSeconds, monthSeconds = BILLING_MONTH_SECONDS) {
+  const tiers = SUSTAINED_USE_TIERS[family];
+  if (!tiers || runningSeconds <= 0) {
+    return 1;
+  }
+  
+  const usage = Math.min(runningSeconds / monthSeconds, 1);
+  const tierSize = 1 / tiers.length;
+  
+  let billed = 0;
+  tiers.forEach((rate, index) => {
+    const usedInTier = Math.min(Math.max(usage - index * tierSize, 0), tierSize);
+    billed += usedInTier * rate;
+  });
+  
+  return billed / usage;
+}
\ No newline at end of file
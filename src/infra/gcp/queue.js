@@ -0,0 +1,387 @@
+/**
+ * GCP Pub/Sub implementation
+ * A topic fanning out to push and pull subscriptions with at-least-once delivery
+ */
+import { BaseService } from '../baseService.js';
+
+// $40 per TiB of message throughput, each message billed at 1 KB minimum
+const THROUGHPUT_PRICE_PER_TIB = 40;
+const MINIMUM_BILLED_BYTES = 1024;
+
+export class GCPQueue extends BaseService {
+  constructor(config = {}) {
+    super(
+      config.name || 'GCP-PubSub',
+      'gcp',
+      config.capacity || 5000, // messages published per second
+      config.baseCost || 0.0003, // $0.0003 per minute
+      config.random
+    );
+    
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
+    // Pub/Sub specific configuration
+    this.type = 'queue';
+    this.topic = config.topic || `projects/cloudfall/topics/${this.name}`;
+    this.messageOrdering = config.messageOrdering || false; // Ordered delivery per ordering key
+    this.messageRetentionDuration = config.messageRetentionDuration || 604800; // 7 days in seconds
+    
+    // Ordered delivery serializes each key, reducing throughput
+    if (this.messageOrdering) {
+      this.capacity = Math.round(this.capacity * 0.5);
+    }
+    
+    // Subscriptions on the topic; each receives a copy of every message
+    this.subscriptions = new Map(); // subscriptionId -> subscription state
+    const subscriptions = config.subscriptions || [{ id: 'default', deliveryType: config.deliveryType || 'pull' }];
+    subscriptions.forEach(subscription => this.addSubscription(subscription.id, subscription));
+    
+    // Bytes moved in the last tick (published plus delivered) for throughput billing
+    this.bytesThroughput = 0;
+    
+    // Topic and subscription metrics
+    this.pubsubMetrics = {
+      publishedMessages: 0,
+      deliveredMessages: 0,
+      ackedMessages: 0,
+      nackedMessages: 0,
+      expiredMessages: 0,
+      deadLetteredMessages: 0,
+      numUndeliveredMessages: 0,
+      oldestUnackedMessageAge: 0
+    };
+    
+    // GCP-specific performance characteristics
+    this.latencyBase = 8; // Base publish latency
+    this.latencyMultiplier = 0.7; // Good scaling for publish operations
+    this.degradationThreshold = 0.9; // High capacity before degradation
+    this.failureThreshold = 2.0; // Can handle significant overload
+  }
+  
+  /**
+   * Add a subscription to the topic
+   */
+  addSubscription(subscriptionId, config = {}) {
+    this.subscriptions.set(subscriptionId, {
+      id: subscriptionId,
+      deliveryType: config.deliveryType || 'pull', // push or pull
+      ackDeadlineSeconds: config.ackDeadlineSeconds || 10,
+      ackProbability: config.ackProbability ?? 0.99, // Chance a delivered message is acked in time
+      maxDeliveryAttempts: config.maxDeliveryAttempts || 5,
+      deadLetterTopic: config.deadLetterTopic || null,
+      pullThroughput: config.pullThroughput || 1000, // Messages per second a pull subscriber fetches
+      maxPushWindow: config.maxPushWindow || 3000, // Push flow control ceiling
+      pushWindow: 1, // Push slow start begins with a single outstanding message
+      backlog: [], // Undelivered batches: { publishTime, count, attempts }
+      outstanding: [], // Delivered, unacked batches: { publishTime, count, attempts, redeliverAt }
+      deadLettered: 0
+    });
+  }
+  
+  /**
+   * Publish requests to the topic and run subscription delivery
+   */
+  processRequests(requests) {
+    if (!requests || requests.length === 0) {
+      this.bytesThroughput = 0;
+      this.deliverMessages();
+      return { processed: [], dropped: [] };
+    }
+    
+    const processed = [];
+    const dropped = [];
+    let totalLatency = 0;
+    let publishedBytes = 0;
+    
+    // Calculate current load ratio
+    const loadRatio = requests.length / this.capacity;
+    this.currentLoad = loadRatio;
+    
+    // Update health based on load
+    this.updateHealth(loadRatio);
+    
+    // Publish each request as a message
+    for (const request of requests) {
+      if (this.shouldDropRequest(loadRatio)) {
+        dropped.push(request);
+        continue;
+      }
+      
+      const latency = this.calculatePublishLatency(loadRatio);
+      request.latency += latency;
+      totalLatency += latency;
+      publishedBytes += Math.max((request.size || 0) * 1024, MINIMUM_BILLED_BYTES);
+      
+      // Mark request as processed by Pub/Sub
+      request.provider = 'gcp';
+      request.service = 'pubsub';
+      request.operation = 'publish';
+      
+      processed.push(request);
+    }
+    
+    // Each subscription receives its own copy of this tick's messages
+    if (processed.length > 0) {
+      for (const subscription of this.subscriptions.values()) {
+        subscription.backlog.push({ publishTime: this.now(), count: processed.length, attempts: 0 });
+      }
+      this.pubsubMetrics.publishedMessages += processed.length;
+    }
+    
+    const averageMessageBytes = processed.length > 0 ? publishedBytes / processed.length : MINIMUM_BILLED_BYTES;
+    const deliveredCount = this.deliverMessages();
+    this.bytesThroughput = publishedBytes + deliveredCount * averageMessageBytes;
+    
+    // Update base metrics
+    this.updateMetrics(processed.length, dropped.length, totalLatency);
+    
+    return { processed, dropped };
+  }
+  
+  /**
+   * Calculate publish latency
+   */
+  calculatePublishLatency(loadRatio) {
+    let latency = this.calculateLatency(loadRatio);
+    
+    // Ordered publishing waits for the previous message on the key
+    if (this.messageOrdering) {
+      latency *= 1.2;
+    }
+    
+    return Math.round(latency);
+  }
+  
+  /**
+   * Redeliver expired leases, deliver backlog and expire old messages
+   * Returns the number of messages delivered this tick
+   */
+  deliverMessages() {
+    const now = this.now();
+    let delivered = 0;
+    
+    for (const subscription of this.subscriptions.values()) {
+      this.redeliverExpired(subscription, now);
+      this.expireRetained(subscription, now);
+      
+      // Push delivers up to the flow-control window; pull is limited by subscriber throughput
+      const limit = subscription.deliveryType === 'push'
+        ? subscription.pushWindow
+        : subscription.pullThroughput * (this.messageOrdering ? 0.5 : 1);
+      
+      let deliveredHere = 0;
+      let nacked = 0;
+      while (subscription.backlog.length > 0 && deliveredHere < limit) {
+        const batch = subscription.backlog[0];
+        const count = Math.min(batch.count, Math.floor(limit - deliveredHere));
+        if (count <= 0) {
+          break;
+        }
+        
+        batch.count -= count;
+        if (batch.count === 0) {
+          subscription.backlog.shift();
+        }
+        deliveredHere += count;
+        
+        // Messages not acked before the deadline are redelivered
+        const unacked = this.countUnacked(count, subscription.ackProbability);
+        if (unacked > 0) {
+          subscription.outstanding.push({
+            publishTime: batch.publishTime,
+            count: unacked,
+            attempts: batch.attempts + 1,
+            redeliverAt: now + subscription.ackDeadlineSeconds * 1000
+          });
+        }
+        nacked += unacked;
+        this.pubsubMetrics.ackedMessages += count - unacked;
+      }
+      
+      if (subscription.deliveryType === 'push') {
+        this.adjustPushWindow(subscription, deliveredHere, nacked);
+      }
+      
+      this.pubsubMetrics.nackedMessages += nacked;
+      delivered += deliveredHere;
+    }
+    
+    this.pubsubMetrics.deliveredMessages += delivered;
+    this.updatePubSubMetrics(now);
+    
+    return delivered;
+  }
+  
+  /**
+   * Count how many of a delivered batch miss their ack deadline
+   */
+  countUnacked(count, ackProbability) {
+    const expected = count * (1 - ackProbability);
+    const jitter = 0.5 + this.random.next(); // 0.5x - 1.5x of the expected failures
+    return Math.min(count, Math.round(expected * jitter));
+  }
+  
+  /**
+   * Push flow control: slow start doubles the window while the endpoint keeps up,
+   * and halves it when more than 5% of pushes fail
+   */
+  adjustPushWindow(subscription, delivered, nacked) {
+    if (delivered > 0 && nacked / delivered > 0.05) {
+      subscription.pushWindow = Math.max(1, Math.floor(subscription.pushWindow / 2));
+    } else if (delivered >= subscription.pushWindow) {
+      subscription.pushWindow = Math.min(subscription.maxPushWindow, subscription.pushWindow * 2);
+    }
+  }
+  
+  /**
+   * Return unacked messages whose ack deadline has passed to the backlog
+   */
+  redeliverExpired(subscription, now) {
+    const stillLeased = [];
+    
+    for (const lease of subscription.outstanding) {
+      if (lease.redeliverAt > now) {
+        stillLeased.push(lease);
+        continue;
+      }
+      
+      // Exhausted delivery attempts go to the dead-letter topic when one is set
+      if (subscription.deadLetterTopic && lease.attempts >= subscription.maxDeliveryAttempts) {
+        subscription.deadLettered += lease.count;
+        this.pubsubMetrics.deadLetteredMessages += lease.count;
+        continue;
+      }
+      
+      subscription.backlog.push({ publishTime: lease.publishTime, count: lease.count, attempts: lease.attempts });
+    }
+    
+    subscription.outstanding = stillLeased;
+    
+    // Redelivered batches keep their place in publish order
+    subscription.backlog.sort((a, b) => a.publishTime - b.publishTime);
+  }
+  
+  /**
+   * Drop unacked messages older than the retention duration
+   */
+  expireRetained(subscription, now) {
+    const oldestKept = now - this.messageRetentionDuration * 1000;
+    const kept = subscription.backlog.filter(batch => batch.publishTime >= oldestKept);
+    
+    for (const batch of subscription.backlog) {
+      if (batch.publishTime < oldestKept) {
+        this.pubsubMetrics.expiredMessages += batch.count;
+      }
+    }
+    
+    subscription.backlog = kept;
+  }
+  
+  /**
+   * Get the number of messages not yet acked on a subscription
+   */
+  getUndeliveredCount(subscription) {
+    const countBatches = (batches) => batches.reduce((sum, batch) => sum + batch.count, 0);
+    return countBatches(subscription.backlog) + countBatches(subscription.outstanding);
+  }
+  
+  /**
+   * Update Pub/Sub metrics
+   */
+  updatePubSubMetrics(now) {
+    let undelivered = 0;
+    let oldestPublishTime = now;
+    
+    for (const subscription of this.subscriptions.values()) {
+      undelivered += this.getUndeliveredCount(subscription);
+      for (const batch of [...subscription.backlog, ...subscription.outstanding]) {
+        oldestPublishTime = Math.min(oldestPublishTime, batch.publishTime);
+      }
+    }
+    
+    this.pubsubMetrics.numUndeliveredMessages = undelivered;
+    this.pubsubMetrics.oldestUnackedMessageAge = Math.floor((now - oldestPublishTime) / 1000);
+  }
+  
+  /**
+   * Get Pub/Sub cost calculation
+   */
+  getCost() {
+    let cost = 0;
+    
+    // Throughput: last tick's bytes extrapolated to a minute
+    const tebibytesPerMinute = (this.bytesThroughput * 60) / (1024 ** 4);
+    cost += tebibytesPerMinute * THROUGHPUT_PRICE_PER_TIB;
+    
+    // Dead-letter forwarding is billed as publishes (simplified)
+    cost += this.pubsubMetrics.deadLetteredMessages * MINIMUM_BILLED_BYTES / (1024 ** 4) * THROUGHPUT_PRICE_PER_TIB;
+    
+    return cost;
+  }
+  
+  /**
+   * Add Pub/Sub metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      backlog: this.pubsubMetrics.numUndeliveredMessages
+    };
+  }
+  
+  /**
+   * Get Pub/Sub-specific status
+   */
+  getStatus() {
+    const baseStatus = super.getStatus();
+    
+    return {
+      ...baseStatus,
+      type: this.type,
+      topic: this.topic,
+      messageOrdering: this.messageOrdering,
+      messageRetentionDuration: this.messageRetentionDuration,
+      subscriptions: Array.from(this.subscriptions.values()).map(subscription => ({
+        id: subscription.id,
+        deliveryType: subscription.deliveryType,
+        ackDeadlineSeconds: subscription.ackDeadlineSeconds,
+        pushWindow: subscription.deliveryType === 'push' ? subscription.pushWindow : null,
+        undelivered: this.getUndeliveredCount(subscription),
+        deadLettered: subscription.deadLettered
+      })),
+      pubsubMetrics: { ...this.pubsubMetrics }
+    };
+  }
+  
+  /**
+   * Validate Pub/Sub configuration
+   */
+  validate() {
+    const errors = super.validate();
+    
+    if (this.messageRetentionDuration < 600 || this.messageRetentionDuration > 2678400) {
+      errors.push('Message retention duration must be between 10 minutes and 31 days');
+    }
+    
+    if (this.subscriptions.size === 0) {
+      errors.push('At least one subscription is required');
+    }
+    
+    for (const subscription of this.subscriptions.values()) {
+      if (!['push', 'pull'].includes(subscription.deliveryType)) {
+        errors.push(`Subscription ${subscription.id}: delivery type must be push or pull`);
+      }
+      
+      if (subscription.ackDeadlineSeconds < 10 || subscription.ackDeadlineSeconds > 600) {
+        errors.push(`Subscription ${subscription.id}: ack deadline must be between 10 and 600 seconds`);
+      }
+      
+      if (subscription.maxDeliveryAttempts < 5 || subscription.maxDeliveryAttempts > 100) {
+        errors.push(`Subscription ${subscription.id}: max delivery attempts must be between 5 and 100`);
+      }
+    }
+    
+    return errors;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,393 @@
+/**
+ * GCP Cloud Armor implementation
+ * Security policies with preconfigured WAF rules, rate limiting and Adaptive Protection
+ */
+import { BaseService } from '../baseService.js';
+import { EVENTS } from '../../engine/eventBus.js';
+import { monthlyToPerMinute } from './pricing.js';
+
+// Preconfigured WAF rules (ModSecurity CRS based) and the request content they match
+const PRECONFIGURED_RULES = {
+  'sqli-v33-stable': [/union.*select/i, /'\s*or\s*'/i, /"\s*or\s*"/i, /;\s*drop\s+table/i],
+  'xss-v33-stable': [/<script.*>/i, /javascript:/i, /on\w+\s*=/i],
+  'lfi-v33-stable': [/\.\.\//, /\/etc\/passwd/, /\/\.env$/],
+  'rce-v33-stable': [/cmd\.exe/i, /powershell/i, /;\s*(cat|wget|curl)\s/i],
+  'scannerdetection-v33-stable': [/wp-admin/i, /phpmyadmin/i, /\.php$/i, /nikto|sqlmap|nmap/i]
+};
+
+// Adaptive Protection ignores paths with fewer unexpected requests than this per tick
+const MIN_ANOMALOUS_REQUESTS = 10;
+
+export class GCPWAF extends BaseService {
+  constructor(config = {}) {
+    super(
+      config.name || 'GCP-CloudArmor',
+      'gcp',
+      config.capacity || 30000, // requests per second
+      config.baseCost || 0.0002, // $0.0002 per minute
+      config.random
+    );
+    
+    // Keep creation config so the service can be rebuilt on replay
+    this.setConfig(config);
+    
+    // Cloud Armor specific configuration
+    this.type = 'waf';
+    this.policyType = config.policyType || 'CLOUD_ARMOR'; // CLOUD_ARMOR (backend) or CLOUD_ARMOR_EDGE
+    this.defaultAction = config.defaultAction || 'allow'; // allow or deny(403)
+    this.preconfiguredRules = config.preconfiguredRules || ['sqli-v33-stable', 'xss-v33-stable', 'lfi-v33-stable'];
+    
+    // Per-session rate limiting (throttle action), 0 disables it
+    this.rateLimit = {
+      thresholdCount: config.rateLimit?.thresholdCount || 0, // Requests per session per tick
+      exceedAction: config.rateLimit?.exceedAction || 'deny(429)'
+    };
+    
+    // Adaptive Protection learns normal traffic and blocks anomalous surges
+    this.adaptiveProtection = {
+      enabled: config.adaptiveProtection?.enabled || false,
+      trainingTicks: config.adaptiveProtection?.trainingTicks || 30,
+      anomalyThreshold: config.adaptiveProtection?.anomalyThreshold || 2.0, // Multiple of expected path volume
+      autoDeploy: config.adaptiveProtection?.autoDeploy ?? true // Apply suggested rules without review
+    };
+    
+    // Learned traffic baseline: each path's share of total traffic
+    this.trafficBaseline = {
+      ticksObserved: 0,
+      volume: 0,
+      pathShares: new Map() // path -> share of requests
+    };
+    this.activeAlert = null; // Current Adaptive Protection alert
+    this.alertHistory = []; // Most recent alerts
+    
+    // Cloud Armor metrics
+    this.armorMetrics = {
+      allowedRequests: 0,
+      blockedRequests: 0,
+      throttledRequests: 0,
+      adaptiveBlocks: 0,
+      ruleMatches: new Map(), // rule -> match count
+      falsePositives: 0, // Legitimate users blocked
+      truePositives: 0, // Bots and attacks blocked
+      falsePositiveRate: 0
+    };
+    
+    // Requests evaluated in the last tick (per-request billing)
+    this.lastTickRequests = 0;
+    
+    // GCP-specific performance characteristics
+    this.latencyBase = 2; // Inspection happens at the Google front end
+    this.latencyMultiplier = 0.4; // Excellent scaling
+    this.degradationThreshold = 0.95; // Very high capacity before degradation
+    this.failureThreshold = 2.5; // Can handle significant overload
+  }
+  
+  /**
+   * Process requests through the security policy
+   */
+  processRequests(requests) {
+    if (!requests || requests.length === 0) {
+      this.lastTickRequests = 0;
+      return { processed: [], dropped: [], blocked: [] };
+    }
+    
+    const processed = [];
+    const dropped = [];
+    const blocked = [];
+    let totalLatency = 0;
+    
+    // Calculate current load ratio
+    const loadRatio = requests.length / this.capacity;
+    this.currentLoad = loadRatio;
+    this.lastTickRequests = requests.length;
+    const matchesBefore = new Map(this.armorMetrics.ruleMatches);
+    
+    // Update health based on load
+    this.updateHealth(loadRatio);
+    
+    // Adaptive Protection and rate limiting look at the whole tick's traffic
+    const anomalousPaths = this.adaptiveProtection.enabled ? this.detectAnomalies(requests) : new Map();
+    const sessionCounts = new Map();
+    
+    for (const request of requests) {
+      if (this.shouldDropRequest(loadRatio)) {
+        dropped.push(request);
+        continue;
+      }
+      
+      const action = this.evaluatePolicy(request, anomalousPaths, sessionCounts);
+      
+      const latency = this.calculateLatency(loadRatio) + this.preconfiguredRules.length * 0.1;
+      request.latency += Math.round(latency);
+      totalLatency += Math.round(latency);
+      
+      // Mark request as processed by Cloud Armor
+      request.provider = 'gcp';
+      request.service = 'cloud-armor';
+      request.wafAction = action;
+      
+      if (action === 'allow') {
+        this.armorMetrics.allowedRequests++;
+        processed.push(request);
+        continue;
+      }
+      
+      this.armorMetrics.blockedRequests++;
+      // Blocking a real user is a false positive; bots and attacks are fair game
+      if (request.type === 'user') {
+        this.armorMetrics.falsePositives++;
+        request.falsePositive = true;
+      } else {
+        this.armorMetrics.truePositives++;
+      }
+      blocked.push(request);
+    }
+    
+    this.armorMetrics.falsePositiveRate = this.armorMetrics.blockedRequests > 0
+      ? this.armorMetrics.falsePositives / this.armorMetrics.blockedRequests
+      : 0;
+    
+    this.emitRuleMatches(matchesBefore);
+    
+    // Update base metrics
+    this.updateMetrics(processed.length, dropped.length, totalLatency);
+    
+    return { processed, dropped, blocked };
+  }
+  
+  /**
+   * Evaluate the policy's rules in priority order and return the action taken
+   */
+  evaluatePolicy(request, anomalousPaths, sessionCounts) {
+    // Preconfigured WAF rules
+    const content = [request.path, request.queryString, request.userAgent, request.body].join(' ');
+    for (const rule of this.preconfiguredRules) {
+      if (PRECONFIGURED_RULES[rule]?.some(pattern => pattern.test(content))) {
+        this.recordRuleMatch(rule);
+        return 'deny(403)';
+      }
+    }
+    
+    // Adaptive Protection suggested rule: shed the unexpected share of an anomalous path
+    const blockProbability = anomalousPaths.get(request.path);
+    if (blockProbability !== undefined && this.random.next() < blockProbability) {
+      this.recordRuleMatch('adaptive-protection');
+      this.armorMetrics.adaptiveBlocks++;
+      return 'deny(403)';
+    }
+    
+    // Per-session rate limiting
+    if (this.rateLimit.thresholdCount > 0) {
+      const count = (sessionCounts.get(request.sessionId) || 0) + 1;
+      sessionCounts.set(request.sessionId, count);
+      if (count > this.rateLimit.thresholdCount) {
+        this.recordRuleMatch('rate-limit');
+        this.armorMetrics.throttledRequests++;
+        return this.rateLimit.exceedAction;
+      }
+    }
+    
+    return this.defaultAction;
+  }
+  
+  /**
+   * Queue one rule match event per rule that matched this tick
+   */
+  emitRuleMatches(matchesBefore) {
+    for (const [rule, count] of this.armorMetrics.ruleMatches) {
+      const matches = count - (matchesBefore.get(rule) || 0);
+      if (matches > 0) {
+        this.emitEvent(EVENTS.WAF_RULE_MATCHED, { rule, matches });
+      }
+    }
+  }
+  
+  /**
+   * Record a rule match
+   */
+  recordRuleMatch(rule) {
+    this.armorMetrics.ruleMatches.set(rule, (this.armorMetrics.ruleMatches.get(rule) || 0) + 1);
+  }
+  
+  /**
+   * Compare this tick's traffic with the learned baseline
+   * Returns anomalous paths mapped to the probability a request on them is blocked
+   */
+  detectAnomalies(requests) {
+    const pathCounts = new Map();
+    for (const request of requests) {
+      pathCounts.set(request.path, (pathCounts.get(request.path) || 0) + 1);
+    }
+    
+    // Still learning what normal traffic looks like
+    if (this.trafficBaseline.ticksObserved < this.adaptiveProtection.trainingTicks) {
+      this.updateBaseline(pathCounts, requests.length);
+      return new Map();
+    }
+    
+    // A path is anomalous when it carries far more than its usual share of traffic
+    const anomalousPaths = new Map();
+    let anomalousRequests = 0;
+    for (const [path, count] of pathCounts) {
+      const expected = (this.trafficBaseline.pathShares.get(path) || 0) * requests.length;
+      if (count > expected * this.adaptiveProtection.anomalyThreshold && count - expected >= MIN_ANOMALOUS_REQUESTS) {
+        anomalousPaths.set(path, 1 - expected / count);
+        anomalousRequests += count - expected;
+      }
+    }
+    
+    if (anomalousPaths.size === 0) {
+      this.resolveAlert();
+      this.updateBaseline(pathCounts, requests.length);
+      return anomalousPaths;
+    }
+    
+    // The baseline is frozen while under attack so the attack is not learned as normal
+    this.raiseAlert(anomalousPaths, anomalousRequests / requests.length);
+    
+    return this.adaptiveProtection.autoDeploy ? anomalousPaths : new Map();
+  }
+  
+  /**
+   * Fold a tick of normal traffic into the baseline
+   */
+  updateBaseline(pathCounts, volume) {
+    const baseline = this.trafficBaseline;
+    baseline.ticksObserved++;
+    
+    // Running mean while training, then an exponential moving average
+    const weight = Math.max(1 / baseline.ticksObserved, 0.1);
+    baseline.volume += (volume - baseline.volume) * weight;
+    
+    const paths = new Set([...baseline.pathShares.keys(), ...pathCounts.keys()]);
+    for (const path of paths) {
+      const share = (pathCounts.get(path) || 0) / volume;
+      const previous = baseline.pathShares.get(path) || 0;
+      baseline.pathShares.set(path, previous + (share - previous) * weight);
+    }
+  }
+  
+  /**
+   * Raise or update the Adaptive Protection alert
+   */
+  raiseAlert(anomalousPaths, attackShare) {
+    if (!this.activeAlert) {
+      this.activeAlert = {
+        id: `alert-${this.trafficBaseline.ticksObserved}-${this.now()}`,
+        detectedAt: this.now(),
+        paths: [],
+        confidence: 0,
+        ruleDeployed: this.adaptiveProtection.autoDeploy
+      };
+    }
+    
+    this.activeAlert.paths = Array.from(anomalousPaths.keys());
+    this.activeAlert.confidence = Math.min(1, attackShare);
+  }
+  
+  /**
+   * Close the active alert once traffic is back to normal
+   */
+  resolveAlert() {
+    if (!this.activeAlert) {
+      return;
+    }
+    
+    this.alertHistory.push({ ...this.activeAlert, resolvedAt: this.now() });
+    this.alertHistory = this.alertHistory.slice(-10);
+    this.activeAlert = null;
+  }
+  
+  /**
+   * Get Cloud Armor cost calculation
+   */
+  getCost() {
+    let cost = 0;
+    
+    // Standard tier: $5 per policy and $1 per rule each month
+    cost += monthlyToPerMinute(5);
+    cost += monthlyToPerMinute(1) * (this.preconfiguredRules.length + (this.rateLimit.thresholdCount > 0 ? 1 : 0));
+    
+    // $0.75 per million requests evaluated, last tick extrapolated to a minute
+    cost += (this.lastTickRequests * 60 / 1000000) * 0.75;
+    
+    // Adaptive Protection needs Cloud Armor Enterprise (pay-as-you-go)
+    if (this.adaptiveProtection.enabled) {
+      cost += monthlyToPerMinute(200);
+    }
+    
+    return cost;
+  }
+  
+  /**
+   * Add Cloud Armor metrics to the per-tick history
+   */
+  getHistorySample() {
+    return {
+      ...super.getHistorySample(),
+      blockedRequests: this.armorMetrics.blockedRequests,
+      underAttack: this.activeAlert ? 1 : 0
+    };
+  }
+  
+  /**
+   * Get Cloud Armor-specific status
+   */
+  getStatus() {
+    const baseStatus = super.getStatus();
+    
+    return {
+      ...baseStatus,
+      type: this.type,
+      policyType: this.policyType,
+      defaultAction: this.defaultAction,
+      preconfiguredRules: [...this.preconfiguredRules],
+      rateLimit: { ...this.rateLimit },
+      adaptiveProtection: {
+        ...this.adaptiveProtection,
+        training: this.trafficBaseline.ticksObserved < this.adaptiveProtection.trainingTicks,
+        baselineVolume: this.trafficBaseline.volume
+      },
+      activeAlert: this.activeAlert ? { ...this.activeAlert } : null,
+      armorMetrics: {
+        ...this.armorMetrics,
+        ruleMatches: Object.fromEntries(this.armorMetrics.ruleMatches)
+      }
+    };
+  }
+  
+  /**
+   * Validate Cloud Armor configuration
+   */
+  validate() {
+    const errors = super.validate();
+    
+    if (!['CLOUD_ARMOR', 'CLOUD_ARMOR_EDGE'].includes(this.policyType)) {
+      errors.push('Invalid policy type - must be CLOUD_ARMOR or CLOUD_ARMOR_EDGE');
+    }
+    
+    if (!['allow', 'deny(403)'].includes(this.defaultAction)) {
+      errors.push('Invalid default action - must be allow or deny(403)');
+    }
+    
+    for (const rule of this.preconfiguredRules) {
+      if (!PRECONFIGURED_RULES[rule]) {
+        errors.push(`Unknown preconfigured rule: ${rule}`);
+      }
+    }
+    
+    if (this.policyType === 'CLOUD_ARMOR_EDGE' && (this.preconfiguredRules.length > 0 || this.adaptiveProtection.enabled)) {
+      errors.push('Edge security policies do not support WAF rules or Adaptive Protection');
+    }
+    
+    if (this.rateLimit.thresholdCount < 0) {
+      errors.push('Rate limit threshold cannot be negative');
+    }
+    
+    if (this.adaptiveProtection.anomalyThreshold <= 1) {
+      errors.push('Adaptive Protection anomaly threshold must be greater than 1');
+    }
+    
+    return errors;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * Provider registry for CloudFall
+ * Providers register a descriptor with their colors, service factory, service
+ * types, pricing and integration rules; the engine and UI list providers from
+ * here instead of naming them, so a new provider only needs to register itself
+ *
+ * This module imports nothing so that BaseService can use it without an import
+ * cycle through the provider packages; the built-in providers are registered
+ * by providers.js
+ */
+
+// Members every provider descriptor must have, with their types
+const REQUIRED_MEMBERS = {
+  name: 'string', // Key used in service.provider, e.g. 'aws'
+  displayName: 'string',
+  colors: 'object', // { primary, secondary, ... } for service boxes and labels
+  factory: 'function', // Service factory class with getAvailableServices, validateConfig and createService
+  serviceTypes: 'object', // type -> { serviceClass, ... }, used to rebuild saved services
+  getIntegrationBonus: 'function', // Latency bonus for a hop between two services of this provider
+  getCrossProviderPenalty: 'function', // Latency penalty for a hop arriving from another provider
+  getEgressPricePerGb: 'function' // Price of traffic leaving this provider for another
+};
+
+const providers = new Map(); // name -> descriptor, in registration order
+
+/**
+ * Check a provider descriptor, returning a list of problems
+ */
+export function validateProviderDescriptor(descriptor) {
+  if (typeof descriptor !== 'object' || descriptor === null) {
+    return ['Provider descriptor must be an object'];
+  }
+
+  const errors = [];
+  for (const [member, type] of Object.entries(REQUIRED_MEMBERS)) {
+    if (typeof descriptor[member] !== type || descriptor[member] === null) {
+      errors.push(`Provider ${descriptor.name || '(unnamed)'} is missing ${member} (${type})`);
+    }
+  }
+
+  if (typeof descriptor.colors?.primary !== 'string') {
+    errors.push(`Provider ${descriptor.name || '(unnamed)'} needs a primary color`);
+  }
+
+  return errors;
+}
+
+/**
+ * Register a provider
+ * Throws if the descriptor is incomplete or the name is already taken
+ */
+export function registerProvider(descriptor) {
+  const errors = validateProviderDescriptor(descriptor);
+  if (errors.length > 0) {
+    throw new Error(`Invalid provider: ${errors.join('; ')}`);
+  }
+
+  if (providers.has(descriptor.name)) {
+    throw new Error(`Provider already registered: ${descriptor.name}`);
+  }
+
+  providers.set(descriptor.name, descriptor);
+  return descriptor;
+}
+
+/**
+ * Remove a provider, returning whether it was registered
+ * Services already running on it keep working but can no longer be validated
+ */
+export function unregisterProvider(name) {
+  return providers.delete(name);
+}
+
+/**
+ * Get a provider descriptor by name, or null
+ */
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Get every registered provider descriptor, in registration order
+ */
+export function getProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Get the names of every registered provider, in registration order
+ */
+export function getProviderNames() {
+  return [...providers.keys()];
+}
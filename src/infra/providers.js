@@ -0,0 +1,26 @@
+/**
+ * Built-in cloud providers
+ * Importing this module registers AWS, GCP and Azure with the provider registry;
+ * other providers register themselves the same way from their own package
+ */
+import { registerProvider } from './providerRegistry.js';
+import { AWSProvider } from './aws/index.js';
+import { GCPProvider } from './gcp/index.js';
+import { AzureProvider } from './azure/index.js';
+
+export {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  getProviders,
+  getProviderNames,
+  validateProviderDescriptor
+} from './providerRegistry.js';
+
+// Registration order is the display order in the palette and dashboard
+registerProvider(AWSProvider);
+registerProvider(GCPProvider);
+registerProvider(AzureProvider);
+
+// Extra latency for a hop that leaves one cloud for another over the public internet
+export const INTER_CLOUD_LATENCY_MS = 12;
@@ -0,0 +1,31 @@
+/**
+ * Catalog of service classes by name
+ * Used to rebuild services from replays and save games
+ */
+import { getProviders } from './providers.js';
+
+/**
+ * Find a service class by name among the registered providers' service types
+ * Looked up on each call so providers registered later are picked up too
+ */
+export function getServiceClass(className) {
+  for (const provider of getProviders()) {
+    for (const definition of Object.values(provider.serviceTypes)) {
+      if (definition.serviceClass.name === className) {
+        return definition.serviceClass;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a service instance from its class name and creation config
+ */
+export function createServiceByClassName(className, config = {}) {
+  const ServiceClass = getServiceClass(className);
+  if (!ServiceClass) {
+    throw new Error(`Unknown service class: ${className}`);
+  }
+  return new ServiceClass(config);
+}
@@ -3,31 +3,89 @@
  * Provides centralized service management and routing
  */
 import { EVENTS } from '../engine/eventBus.js';
+import { getProviderEventType, isEventRequest } from '../engine/eventCatalogue.js';
+import { defaultRandom } from '../engine/random.js';
+import { getProvider, getProviderNames, INTER_CLOUD_LATENCY_MS } from './providers.js';
+
+// Order requests flow through service types - traffic only moves to a higher tier
+export const ROUTING_TIERS = {
+  waf: 0,
+  loadbalancer: 1,
+  compute: 2,
+  cache: 3,
+  queue: 3,
+  database: 4
+};
+
+// Service types that can receive traffic straight from the internet
+export const ENTRY_POINT_TYPES = ['waf', 'loadbalancer', 'compute'];
+
+// Legal directed links by service type (from -> allowed targets)
+export const ALLOWED_CONNECTIONS = {
+  waf: ['loadbalancer', 'compute'],
+  loadbalancer: ['compute'],
+  compute: ['cache', 'database', 'queue'],
+  cache: ['database'],
+  queue: [],
+  database: []
+};
+
+/**
+ * Get a service's routing tier (undefined for unroutable types)
+ */
+function getRoutingTier(service) {
+  return ROUTING_TIERS[service.type];
+}
 
 export class ServiceRegistry {
-  constructor(eventBus, gameState) {
+  constructor(eventBus, gameState, random = defaultRandom) {
     this.eventBus = eventBus;
     this.gameState = gameState;
+    this.random = random;
     this.services = new Map(); // serviceId -> service instance
     
+    // Traffic that crossed a provider boundary in the last tick
+    this.interCloudTraffic = { hops: 0, bytes: 0, cost: 0 };
+    
+    // Health last published per service, to announce transitions
+    this.reportedHealth = new Map(); // serviceId -> health
+    
     this.setupEventHandlers();
   }
   
   /**
    * Set up event handlers for service management
+   * Emitting SERVICE_DEPLOYED with { service } or SERVICE_REMOVED with
+   * { serviceId } deploys or removes it; the registry's own announcements of
+   * those events carry the full service payload and are ignored here
    */
   setupEventHandlers() {
-    this.eventBus.on(EVENTS.SERVICE_DEPLOYED, (data) => {
-      this.deployService(data.service);
+    this.eventBus.on(EVENTS.SERVICE_DEPLOYED, (data, eventType) => {
+      if (isEventRequest(eventType, data)) {
+        this.deployService(data.service);
+      }
     });
     
-    this.eventBus.on(EVENTS.SERVICE_REMOVED, (data) => {
-      this.removeService(data.serviceId);
+    this.eventBus.on(EVENTS.SERVICE_REMOVED, (data, eventType) => {
+      if (isEventRequest(eventType, data)) {
+        this.removeService(data.serviceId);
+      }
     });
+  }
+  
+  /**
+   * Register routing and metric recording as the tick's route and process phases
+   */
+  registerTickPhases(pipeline) {
+    pipeline.register('route', ({ requests }) => ({
+      requests,
+      ...this.routeTick(requests)
+    }), { name: 'services' });
     
-    this.eventBus.on(EVENTS.REQUESTS_PROCESSED, (data) => {
-      this.processRequests(data.requests);
-    });
+    pipeline.register('process', (routed) => ({
+      requests: routed.requests,
+      results: this.recordTick(routed)
+    }), { name: 'services' });
   }
   
   /**
@@ -41,10 +99,25 @@ export class ServiceRegistry {
       return false;
     }
     
+    // Share the simulation RNG so outcomes follow the game seed
+    service.setRandom(this.random);
+    
+    // Draw an ID on every deploy, even for services that bring one from a replay
+    // or save, so the RNG stays in step with the original game
+    const generatedId = service.generateId();
+    service.id = service.id || generatedId;
+    
+    // Load balancers look up their targets' live health
+    if (service.type === 'loadbalancer') {
+      service.setTargetResolver((serviceId) => this.services.get(serviceId));
+    }
+    
     // Add to registry
     this.services.set(service.id, service);
     this.gameState.addService(service);
+    this.reportedHealth.set(service.id, service.health);
     
+    this.publishServiceEvent(EVENTS.SERVICE_DEPLOYED, service, { serviceType: service.type });
     console.log(`Service deployed: ${service.name} (${service.provider})`);
     return true;
   }
@@ -55,8 +128,21 @@ export class ServiceRegistry {
   removeService(serviceId) {
     const service = this.services.get(serviceId);
     if (service) {
+      // Tear down every link touching the service first
+      for (const toId of [...this.getConnections(serviceId)]) {
+        this.disconnect(serviceId, toId);
+      }
+      for (const upstream of this.getAllServices()) {
+        if (this.gameState.hasConnection(upstream.id, serviceId)) {
+          this.disconnect(upstream.id, serviceId);
+        }
+      }
+      
       this.services.delete(serviceId);
       this.gameState.removeService(serviceId);
+      this.reportedHealth.delete(serviceId);
+      
+      this.publishServiceEvent(EVENTS.SERVICE_REMOVED, service);
       console.log(`Service removed: ${service.name}`);
       return true;
     }
@@ -64,75 +150,432 @@ export class ServiceRegistry {
   }
   
   /**
-   * Process requests through all services
+   * Connect two services (directed: requests flow fromId -> toId)
    */
-  processRequests(requests) {
-    if (!requests || requests.length === 0) {
-      return { processed: 0, dropped: 0, blocked: 0, totalLatency: 0 };
+  connect(fromId, toId) {
+    const errors = this.validateConnection(fromId, toId);
+    if (errors.length > 0) {
+      console.error('Connection validation failed:', errors);
+      return false;
     }
     
-    let totalProcessed = 0;
-    let totalDropped = 0;
-    let totalBlocked = 0;
-    let totalLatency = 0;
+    const from = this.services.get(fromId);
+    const to = this.services.get(toId);
     
-    // Route requests through services based on topology
-    const routedRequests = this.routeRequests(requests);
+    // Keep service and game state topology in sync
+    from.connectTo(toId);
+    this.gameState.connectServices(fromId, toId);
     
-    // Process requests through each service
-    for (const [serviceId, serviceRequests] of routedRequests.entries()) {
-      const service = this.services.get(serviceId);
-      if (service) {
-        const result = service.processRequests(serviceRequests);
-        
-        totalProcessed += result.processed.length;
-        totalDropped += result.dropped.length;
-        
-        // Accumulate latency
-        for (const request of result.processed) {
-          totalLatency += request.latency;
-        }
+    // Connecting a load balancer registers the target in its target group
+    if (from.type === 'loadbalancer') {
+      from.registerTarget(to);
+    }
+    
+    this.eventBus.emit(EVENTS.SERVICE_CONNECTED, { fromId, toId });
+    console.log(`Services connected: ${from.name} -> ${to.name}`);
+    return true;
+  }
+  
+  /**
+   * Remove a directed connection between two services
+   */
+  disconnect(fromId, toId) {
+    if (!this.gameState.hasConnection(fromId, toId)) {
+      return false;
+    }
+    
+    const from = this.services.get(fromId);
+    if (from) {
+      from.disconnectFrom(toId);
+      
+      if (from.type === 'loadbalancer') {
+        from.deregisterTarget(toId);
+      }
+    }
+    this.gameState.disconnectServices(fromId, toId);
+    
+    this.eventBus.emit(EVENTS.SERVICE_DISCONNECTED, { fromId, toId });
+    return true;
+  }
+  
+  /**
+   * Validate a proposed connection
+   */
+  validateConnection(fromId, toId) {
+    const errors = [];
+    const from = this.services.get(fromId);
+    const to = this.services.get(toId);
+    
+    if (!from || !to) {
+      errors.push('Both services must be deployed');
+      return errors;
+    }
+    
+    if (fromId === toId) {
+      errors.push('A service cannot connect to itself');
+      return errors;
+    }
+    
+    const allowedTargets = ALLOWED_CONNECTIONS[from.type] || [];
+    if (!allowedTargets.includes(to.type)) {
+      errors.push(`Cannot connect ${from.type} to ${to.type}`);
+    }
+    
+    if (this.gameState.hasConnection(fromId, toId)) {
+      errors.push('Services are already connected');
+    }
+    
+    if (this.isReachable(toId, fromId)) {
+      errors.push('Connection would create a cycle');
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Check whether targetId can be reached from startId along connections
+   */
+  isReachable(startId, targetId) {
+    const visited = new Set();
+    const stack = [startId];
+    
+    while (stack.length > 0) {
+      const serviceId = stack.pop();
+      if (serviceId === targetId) {
+        return true;
       }
+      if (visited.has(serviceId)) {
+        continue;
+      }
+      visited.add(serviceId);
+      stack.push(...this.getConnections(serviceId));
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Get IDs of services a service connects to
+   */
+  getConnections(serviceId) {
+    return this.gameState.connections.get(serviceId) || [];
+  }
+  
+  /**
+   * Process requests through all services (route and record in one step)
+   */
+  processRequests(requests) {
+    return this.recordTick(this.routeTick(requests));
+  }
+  
+  /**
+   * Advance every service to the current game time and route this tick's requests
+   */
+  routeTick(requests) {
+    const simulationTime = this.gameState.tick * 1000;
+    for (const service of this.services.values()) {
+      service.setSimulationTime(simulationTime);
     }
     
+    // Inter-cloud traffic is billed per tick
+    this.interCloudTraffic = { hops: 0, bytes: 0, cost: 0 };
+    
+    // Walk requests through the service topology (idle services still settle)
+    return this.routeRequests(requests || []);
+  }
+  
+  /**
+   * Tally routed requests into game metrics and record every service's history
+   */
+  recordTick({ completed, dropped, blocked }) {
+    if (completed.length + dropped.length + blocked.length === 0) {
+      this.publishServiceEvents();
+      this.recordServiceMetrics();
+      return { processed: 0, dropped: 0, blocked: 0, falsePositives: 0, totalLatency: 0, interCloudCost: 0 };
+    }
+    
+    let totalLatency = 0;
+    for (const request of completed) {
+      totalLatency += request.latency;
+    }
+    
+    const results = {
+      processed: completed.length,
+      dropped: dropped.length,
+      blocked: blocked.length,
+      falsePositives: blocked.filter(request => request.falsePositive).length,
+      totalLatency: totalLatency,
+      interCloudCost: this.getInterCloudCost()
+    };
+    
     // Update game state metrics
-    this.gameState.updateMetrics({
-      processed: totalProcessed,
-      dropped: totalDropped,
-      blocked: totalBlocked,
-      totalLatency: totalLatency
-    });
+    this.gameState.updateMetrics(results);
+    this.publishServiceEvents();
+    this.recordServiceMetrics();
+    
+    return results;
+  }
+  
+  /**
+   * Publish events services queued this tick, and any health transitions
+   */
+  publishServiceEvents() {
+    for (const service of this.services.values()) {
+      for (const { type, payload } of service.takeEvents()) {
+        this.publishServiceEvent(type, service, payload);
+      }
+      
+      const previousHealth = this.reportedHealth.get(service.id);
+      if (previousHealth !== service.health) {
+        this.reportedHealth.set(service.id, service.health);
+        this.publishServiceEvent(EVENTS.SERVICE_HEALTH_CHANGED, service, {
+          from: previousHealth,
+          to: service.health
+        });
+      }
+    }
+  }
+  
+  /**
+   * Publish an event about a service, then its copy under the service's
+   * provider namespace (e.g. 'aws:scaled' after 'service:scaled')
+   */
+  publishServiceEvent(type, service, payload = {}) {
+    const fullPayload = { ...this.describeService(service), ...payload };
+    this.eventBus.emit(type, fullPayload);
     
-    return { processed: totalProcessed, dropped: totalDropped, blocked: totalBlocked, totalLatency };
+    const providerType = getProviderEventType(type, service.provider);
+    if (providerType) {
+      this.eventBus.emit(providerType, fullPayload);
+    }
+  }
+  
+  /**
+   * Identify a service in event payloads
+   */
+  describeService(service) {
+    return {
+      tick: this.gameState.tick,
+      serviceId: service.id,
+      service: service.name,
+      provider: service.provider
+    };
+  }
+  
+  /**
+   * Record this tick's metrics into every service's history
+   */
+  recordServiceMetrics() {
+    for (const service of this.services.values()) {
+      service.recordMetrics(this.gameState.tick);
+    }
   }
   
   /**
-   * Route requests through service topology
-   * For now, simple routing - will be enhanced with load balancers
+   * Route requests through the service topology
+   * Traffic enters at internet-facing services and flows downstream along
+   * GameState.connections, each hop's processed output feeding the next hop
    */
   routeRequests(requests) {
-    const routedRequests = new Map();
+    const completed = [];
+    const dropped = [];
+    const blocked = [];
+    
+    const inboxes = new Map(); // serviceId -> requests waiting for that service
+    const cursors = new Map(); // serviceId -> round-robin position for next hop
+    const arrivals = new Map(); // request -> { provider, latency } when handed to its current service
+    
+    const deliver = (serviceId, request) => {
+      if (!inboxes.has(serviceId)) {
+        inboxes.set(serviceId, []);
+      }
+      inboxes.get(serviceId).push(request);
+    };
     
-    // If no services, all requests are dropped
-    if (this.services.size === 0) {
-      return routedRequests;
+    // Spread incoming traffic over the entry points
+    // With nothing internet-facing the site is simply not up yet: traffic goes
+    // unserved rather than counting against availability
+    const entryPoints = this.getEntryPoints();
+    if (entryPoints.length > 0) {
+      requests.forEach((request, index) => {
+        deliver(entryPoints[index % entryPoints.length].id, request);
+      });
     }
     
-    // Simple round-robin routing to all services for now
-    // This will be replaced with proper load balancer routing
-    const serviceIds = Array.from(this.services.keys());
+    // Requests only ever move to a later tier, so one ordered pass visits every hop
+    const orderedServices = this.getAllServices()
+      .filter(service => getRoutingTier(service) !== undefined)
+      .sort((a, b) => getRoutingTier(a) - getRoutingTier(b));
     
-    requests.forEach((request, index) => {
-      const serviceId = serviceIds[index % serviceIds.length];
+    for (const service of orderedServices) {
+      const inbox = inboxes.get(service.id);
+      if (!inbox || inbox.length === 0) {
+        // Idle services still see the tick, so their load and health settle
+        service.processIdleTick();
+        continue;
+      }
       
-      if (!routedRequests.has(serviceId)) {
-        routedRequests.set(serviceId, []);
+      const result = service.processRequests(inbox);
+      
+      for (const request of result.blocked || []) {
+        request.markBlocked(request.falsePositive ? 'Legitimate user blocked by WAF' : 'Blocked by WAF', service.id, service.now());
+        blocked.push(request);
       }
       
-      routedRequests.get(serviceId).push(request);
-    });
+      for (const request of result.dropped) {
+        request.markDropped(`Dropped by ${service.name}`, service.id, service.now());
+        dropped.push(request);
+      }
+      
+      for (const request of result.processed) {
+        request.markProcessed(service.id, service.name, service.now());
+        this.applyProviderAffinity(service, request, arrivals.get(request));
+        
+        const nextHop = this.selectNextHop(service, request, cursors);
+        if (nextHop) {
+          arrivals.set(request, { provider: service.provider, latency: this.crossHop(service, nextHop, request) });
+          deliver(nextHop.id, request);
+        } else {
+          completed.push(request);
+        }
+      }
+    }
+    
+    return { completed, dropped, blocked };
+  }
+  
+  /**
+   * Scale the latency a service added by how well it integrates with the previous hop:
+   * same-provider hops get the integration bonus, cross-provider hops the penalty
+   */
+  applyProviderAffinity(service, request, arrival) {
+    if (!arrival) {
+      return;
+    }
+    
+    const added = request.latency - arrival.latency;
+    if (added <= 0) {
+      return;
+    }
+    
+    if (arrival.provider === service.provider) {
+      const bonus = getProvider(service.provider)?.getIntegrationBonus() || 0;
+      request.latency -= Math.round(added * bonus);
+    } else {
+      const penalty = getProvider(arrival.provider)?.getCrossProviderPenalty() || 0;
+      request.latency += Math.round(added * penalty);
+    }
+  }
+  
+  /**
+   * Hand a request from one service to the next, adding transit latency and
+   * egress cost when the hop leaves the sender's cloud
+   * Returns the request's latency on arrival
+   */
+  crossHop(from, to, request) {
+    if (from.provider !== to.provider) {
+      const bytes = (request.size || 0) * 1024;
+      const pricePerGb = getProvider(from.provider)?.getEgressPricePerGb() || 0;
+      
+      request.latency += INTER_CLOUD_LATENCY_MS;
+      this.interCloudTraffic.hops++;
+      this.interCloudTraffic.bytes += bytes;
+      this.interCloudTraffic.cost += (bytes / (1024 ** 3)) * pricePerGb;
+    }
+    
+    return request.latency;
+  }
+  
+  /**
+   * Get the inter-cloud egress cost per minute at the last tick's rate
+   */
+  getInterCloudCost() {
+    return this.interCloudTraffic.cost * 60;
+  }
+  
+  /**
+   * Get services that receive traffic directly from the internet
+   * (internet-facing services with nothing upstream of them)
+   */
+  getEntryPoints() {
+    const unfed = this.getAllServices().filter(service =>
+      ENTRY_POINT_TYPES.includes(service.type) &&
+      this.getUpstreamServices(service.id).length === 0
+    );
+    
+    // Compute is only exposed directly when no WAF or load balancer fronts the stack
+    const edge = unfed.filter(service => service.type !== 'compute');
+    return edge.length > 0 ? edge : unfed;
+  }
+  
+  /**
+   * Get connected services that a service forwards requests to
+   */
+  getDownstreamServices(serviceId) {
+    const service = this.services.get(serviceId);
+    if (!service || getRoutingTier(service) === undefined) {
+      return [];
+    }
+    
+    return this.getConnections(serviceId)
+      .map(id => this.services.get(id))
+      .filter(connected => connected && getRoutingTier(connected) > getRoutingTier(service));
+  }
+  
+  /**
+   * Get connected services that forward requests to a service
+   */
+  getUpstreamServices(serviceId) {
+    return this.getAllServices().filter(service =>
+      this.getDownstreamServices(service.id).some(downstream => downstream.id === serviceId)
+    );
+  }
+  
+  /**
+   * Pick the next hop for a request leaving a service
+   * Returns null when the request is complete
+   */
+  selectNextHop(service, request, cursors) {
+    // Load balancers forward to the target they selected
+    if (service.type === 'loadbalancer') {
+      return this.services.get(request.targetServiceId) || null;
+    }
+    
+    // Static pages and probes of missing endpoints are answered by compute alone
+    if (service.type === 'compute' && !request.needsData()) {
+      return null;
+    }
+    
+    // Cache hits are served without touching the backing store
+    if (service.type === 'cache' && request.cacheHit) {
+      return null;
+    }
+    
+    let candidates = this.getDownstreamServices(service.id);
+    
+    // Cache misses with nothing behind the cache fall through to the
+    // deeper services of whoever sent the request (e.g. compute -> database)
+    if (candidates.length === 0 && service.type === 'cache') {
+      const previousHop = request.processingPath[request.processingPath.length - 2];
+      if (previousHop) {
+        const serviceTier = getRoutingTier(service);
+        candidates = this.getDownstreamServices(previousHop.serviceId)
+          .filter(candidate => getRoutingTier(candidate) > serviceTier);
+      }
+    }
+    
+    if (candidates.length === 0) {
+      return null;
+    }
     
-    return routedRequests;
+    // Requests go to the nearest tier first, round-robin within it
+    const nearestTier = Math.min(...candidates.map(getRoutingTier));
+    const nearest = candidates.filter(candidate => getRoutingTier(candidate) === nearestTier);
+    
+    const cursor = cursors.get(service.id) || 0;
+    cursors.set(service.id, cursor + 1);
+    
+    return nearest[cursor % nearest.length];
   }
   
   /**
@@ -186,28 +629,30 @@ export class ServiceRegistry {
    */
   getCostSummary() {
     const summary = {
-      aws: 0,
-      gcp: 0,
-      azure: 0,
+      ...Object.fromEntries(getProviderNames().map(name => [name, 0])),
+      interCloud: this.getInterCloudCost(), // Egress between providers
       total: 0
     };
     
     for (const service of this.services.values()) {
       const cost = service.getCost();
-      summary[service.provider] += cost;
+      summary[service.provider] = (summary[service.provider] || 0) + cost;
       summary.total += cost;
     }
+    summary.total += summary.interCloud;
     
     return summary;
   }
   
   /**
-   * Reset all services
+   * Tear down every service and connection for a new game
+   * Runs before GameState.reset so links, LB targets and state are cleared together
    */
   reset() {
-    for (const service of this.services.values()) {
-      service.reset();
+    for (const service of this.getAllServices()) {
+      this.removeService(service.id);
     }
+    this.interCloudTraffic = { hops: 0, bytes: 0, cost: 0 };
   }
   
   /**
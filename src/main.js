@@ -4,6 +4,22 @@
  */
 import { gameLoop } from './engine/gameLoop.js';
 import { EVENTS } from './engine/eventBus.js';
+import { GAME_SPEEDS } from './engine/clock.js';
+import { ReplayPlayer } from './engine/replay.js';
+import { TopologyRenderer } from './ui/renderer.js';
+import { TrafficAnimator } from './ui/trafficAnimator.js';
+import { Dashboard } from './ui/dashboard.js';
+import { BuildPalette } from './ui/buildPalette.js';
+import { ServiceInspector } from './ui/inspector.js';
+import { IncidentTimeline } from './ui/timeline.js';
+import { getProviders } from './infra/providers.js';
+
+let renderer = null;
+let trafficAnimator = null;
+let dashboard = null;
+let buildPalette = null;
+let inspector = null;
+let timeline = null;
 
 // Initialize game systems
 function initializeGame() {
@@ -12,6 +28,14 @@ function initializeGame() {
   
   console.log('Initializing CloudFall...');
   
+  // Check event payloads against the catalogue when running locally
+  if (['localhost', '127.0.0.1'].includes(window.location.hostname)) {
+    eventBus.setDevMode(true);
+  }
+  
+  // Label colors for every registered provider
+  addProviderStyles();
+  
   // Set up basic event logging for development
   eventBus.on(EVENTS.TICK_START, (data) => {
     if (data.tick % 10 === 0) { // Log every 10 ticks
@@ -19,11 +43,60 @@ function initializeGame() {
     }
   });
   
-  eventBus.on(EVENTS.GAME_OVER, (reason) => {
+  eventBus.on(EVENTS.SLA_WARNING, (data) => {
+    console.warn(`⚠️ SLA error budget ${Math.round(data.burned * 100)}% burned - ${data.remainingBudget}/${data.errorBudget} ticks left`);
+  });
+  
+  eventBus.on(EVENTS.GAME_OVER, ({ reason }) => {
     console.log('🚨 Game Over:', reason);
     console.log('Final metrics:', gameState.metrics);
+    console.log('Final report:', gameLoop.getScoringEngine().getReport());
   });
   
+  // Draw the infrastructure topology
+  const canvas = document.getElementById('gameCanvas');
+  if (canvas) {
+    renderer = new TopologyRenderer(eventBus, gameState, canvas);
+    
+    // Animate sampled requests along their paths, one tick per trip
+    trafficAnimator = new TrafficAnimator(eventBus, gameState, renderer, {
+      getTickDuration: () => gameLoop.clock.interval / gameLoop.getSpeed()
+    });
+    trafficAnimator.start();
+    
+    // Drag services onto the canvas to deploy them, and between nodes to connect
+    const palettePanel = document.createElement('div');
+    palettePanel.id = 'build-palette';
+    document.body.appendChild(palettePanel);
+    buildPalette = new BuildPalette(gameLoop, renderer, palettePanel);
+    
+    // Click a node to inspect its status and recent metrics
+    const inspectorPanel = document.createElement('div');
+    inspectorPanel.id = 'inspector';
+    document.body.appendChild(inspectorPanel);
+    inspector = new ServiceInspector(eventBus, gameState, renderer, inspectorPanel);
+    
+    // Attacks, spikes and infrastructure changes against availability, for post-mortems
+    const timelinePanel = document.createElement('div');
+    timelinePanel.id = 'timeline';
+    document.body.appendChild(timelinePanel);
+    timeline = new IncidentTimeline(eventBus, gameState, gameLoop.getScoringEngine(), timelinePanel, {
+      onExport: downloadEventLog
+    });
+  }
+  
+  // Live metrics panel
+  const dashboardPanel = document.getElementById('dashboard');
+  if (dashboardPanel) {
+    dashboard = new Dashboard(
+      eventBus,
+      gameState,
+      gameLoop.getServiceRegistry(),
+      gameLoop.getTrafficGenerator(),
+      dashboardPanel
+    );
+  }
+  
   // Add basic UI controls
   setupUIControls();
   
@@ -31,6 +104,16 @@ function initializeGame() {
   console.log('Game controls: Use browser console or UI buttons');
 }
 
+// Generate the provider-<name> label classes from the provider registry
+function addProviderStyles() {
+  const style = document.createElement('style');
+  style.id = 'provider-styles';
+  style.textContent = getProviders()
+    .map(provider => `.provider-${provider.name} { color: ${provider.colors.primary}; }`)
+    .join('\n');
+  document.head.appendChild(style);
+}
+
 // Set up basic UI controls
 function setupUIControls() {
   // Add start/pause/reset buttons to the page
@@ -60,8 +143,72 @@ function setupUIControls() {
   resetBtn.textContent = 'Reset';
   resetBtn.onclick = () => gameLoop.reset();
   
+  const stepBtn = document.createElement('button');
+  stepBtn.textContent = 'Step';
+  stepBtn.title = 'Pause and advance one tick';
+  stepBtn.onclick = () => gameLoop.step();
+  
+  // Game speed selector
+  const speedSelect = document.createElement('select');
+  speedSelect.title = 'Game speed';
+  GAME_SPEEDS.forEach(speed => {
+    const option = document.createElement('option');
+    option.value = speed;
+    option.textContent = `${speed}x`;
+    option.selected = speed === gameLoop.getSpeed();
+    speedSelect.appendChild(option);
+  });
+  speedSelect.onchange = () => gameLoop.setSpeed(Number(speedSelect.value));
+  
+  const saveBtn = document.createElement('button');
+  saveBtn.textContent = 'Save';
+  saveBtn.title = 'Save game to browser storage';
+  saveBtn.onclick = () => gameLoop.saveManager.saveToStorage();
+  
+  const loadBtn = document.createElement('button');
+  loadBtn.textContent = 'Load';
+  loadBtn.title = 'Load game from browser storage';
+  loadBtn.onclick = () => {
+    if (gameLoop.saveManager.loadFromStorage()) {
+      speedSelect.value = gameLoop.getSpeed();
+    }
+  };
+  
+  const exportBtn = document.createElement('button');
+  exportBtn.textContent = 'Export';
+  exportBtn.title = 'Download the game as a save file';
+  exportBtn.onclick = () => downloadSave();
+  
+  // Hidden file picker behind the import button
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.accept = '.json,application/json';
+  importInput.hidden = true;
+  importInput.onchange = async () => {
+    const [file] = importInput.files;
+    importInput.value = ''; // Allow importing the same file again
+    if (file && await loadSaveFile(file)) {
+      speedSelect.value = gameLoop.getSpeed();
+    }
+  };
+  
+  const importBtn = document.createElement('button');
+  importBtn.textContent = 'Import';
+  importBtn.title = 'Load a game from a save file';
+  importBtn.onclick = () => importInput.click();
+  
+  const replayBtn = document.createElement('button');
+  replayBtn.textContent = 'Replay';
+  replayBtn.title = 'Download the replay log for bug reports';
+  replayBtn.onclick = () => downloadReplay();
+  
+  const timelineBtn = document.createElement('button');
+  timelineBtn.textContent = 'Timeline';
+  timelineBtn.title = 'Show or hide the incident timeline';
+  timelineBtn.onclick = () => timeline?.toggle();
+  
   // Style buttons
-  [startBtn, pauseBtn, resetBtn].forEach(btn => {
+  [startBtn, pauseBtn, stepBtn, resetBtn, speedSelect, saveBtn, loadBtn, exportBtn, importBtn, replayBtn, timelineBtn].forEach(btn => {
     btn.style.cssText = `
       margin: 0 5px;
       padding: 5px 10px;
@@ -78,24 +225,101 @@ function setupUIControls() {
   
   controlsDiv.appendChild(startBtn);
   controlsDiv.appendChild(pauseBtn);
+  controlsDiv.appendChild(stepBtn);
   controlsDiv.appendChild(resetBtn);
+  controlsDiv.appendChild(speedSelect);
+  controlsDiv.appendChild(saveBtn);
+  controlsDiv.appendChild(loadBtn);
+  controlsDiv.appendChild(exportBtn);
+  controlsDiv.appendChild(importBtn);
+  controlsDiv.appendChild(importInput);
+  controlsDiv.appendChild(replayBtn);
+  controlsDiv.appendChild(timelineBtn);
   
   document.body.appendChild(controlsDiv);
 }
 
+// Offer text as a file download
+// The object URL is revoked later: revoking it straight after click() can cancel the download
+function downloadFile(contents, type, filename) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([contents], { type }));
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Download the current game's replay log as a file for bug reports
+function downloadReplay() {
+  const replay = JSON.stringify(gameLoop.getReplay(), null, 2);
+  downloadFile(replay, 'application/json', `cloudfall-replay-${gameLoop.getSeed()}-t${gameLoop.getGameState().tick}.json`);
+}
+
+// Download the current game as a save file
+function downloadSave() {
+  const save = JSON.stringify(gameLoop.save());
+  downloadFile(save, 'application/json', `cloudfall-save-t${gameLoop.getGameState().tick}.json`);
+}
+
+// Load a game from a save file picked by the player
+async function loadSaveFile(file) {
+  try {
+    return gameLoop.load(await file.text());
+  } catch (error) {
+    console.error('Failed to load save file:', error);
+    window.alert(`Could not load ${file.name}: ${error.message}`);
+    return false;
+  }
+}
+
+// Download the event history as NDJSON for post-mortems
+function downloadEventLog() {
+  const events = gameLoop.getEventBus().exportHistory();
+  downloadFile(events, 'application/x-ndjson', `cloudfall-events-${gameLoop.getSeed()}-t${gameLoop.getGameState().tick}.ndjson`);
+}
+
 // Expose game loop to global scope for console access
 window.CloudFall = {
   gameLoop,
   start: () => gameLoop.start(),
   pause: () => gameLoop.pause(),
   reset: () => gameLoop.reset(),
+  runTicks: (count) => gameLoop.runTicks(count),
+  step: () => gameLoop.step(),
+  setSpeed: (speed) => gameLoop.setSpeed(speed),
   status: () => gameLoop.getStatus(),
   state: () => gameLoop.getGameState().getSnapshot(),
+  score: () => gameLoop.getScoringEngine().getSummary(),
+  report: () => gameLoop.getScoringEngine().getReport(),
+  seed: () => gameLoop.getSeed(),
+  setSeed: (seed) => gameLoop.setSeed(seed),
   services: () => gameLoop.getServiceRegistry(),
+  providers: () => getProviders(),
+  renderer: () => renderer,
+  palette: () => buildPalette,
+  inspect: (serviceId) => inspector?.inspect(serviceId),
+  timeline: () => timeline,
+  events: (pattern) => gameLoop.getEventBus().getEventHistory(pattern),
+  exportEvents: (pattern) => gameLoop.getEventBus().exportHistory(pattern),
+  downloadEventLog,
   traffic: () => gameLoop.getTrafficGenerator(),
-  deployService: (service) => gameLoop.getServiceRegistry().deployService(service),
-  removeService: (serviceId) => gameLoop.getServiceRegistry().removeService(serviceId),
-  triggerSpike: (multiplier, duration) => gameLoop.getTrafficGenerator().triggerTrafficSpike(multiplier, duration)
+  deployService: (service) => gameLoop.deployService(service),
+  removeService: (serviceId) => gameLoop.removeService(serviceId),
+  connectServices: (fromId, toId) => gameLoop.connectServices(fromId, toId),
+  disconnectServices: (fromId, toId) => gameLoop.disconnectServices(fromId, toId),
+  triggerSpike: (multiplier, duration) => gameLoop.triggerSpike(multiplier, duration),
+  setTrafficParameters: (params) => gameLoop.setTrafficParameters(params),
+  exportReplay: () => JSON.stringify(gameLoop.getReplay(), null, 2),
+  downloadReplay,
+  replay: (replay) => new ReplayPlayer(replay).run(),
+  verifyReplay: (replay) => new ReplayPlayer(replay).verify(),
+  save: () => gameLoop.save(),
+  load: (save) => gameLoop.load(save),
+  saveToStorage: (slot) => gameLoop.saveManager.saveToStorage(slot),
+  loadFromStorage: (slot) => gameLoop.saveManager.loadFromStorage(slot),
+  listSaves: () => gameLoop.saveManager.listSaves(),
+  downloadSave,
+  loadSaveFile
 };
 
 // Initialize when DOM is ready
@@ -1 +1,217 @@
-export function update(){}
\ No newline at end of file
+/**
+ * Scoring engine for CloudFall
+ * Turns each tick's requests into availability, latency percentiles, revenue and score
+ */
+
+export class ScoringEngine {
+  constructor(eventBus, gameState, config = {}) {
+    this.eventBus = eventBus;
+    this.gameState = gameState;
+
+    this.rollingWindow = config.rollingWindow || 60; // ticks for rolling stats
+    this.maxHistory = config.maxHistory || 3600; // ticks kept in the time series
+
+    this.reset();
+  }
+
+  /**
+   * Register scoring in the tick's score phase, ahead of other scorers
+   */
+  registerTickPhases(pipeline) {
+    pipeline.register('score', ({ requests }, { tick }) => {
+      this.update(tick, requests);
+    }, { name: 'scoring', priority: 10 });
+  }
+
+  /**
+   * Score the requests handled this tick
+   */
+  update(tick, requests = this.gameState.currentRequests || []) {
+    let served = 0;
+    let dropped = 0;
+    let blocked = 0;
+    let revenue = 0;
+    const latencies = [];
+
+    for (const request of requests) {
+      switch (request.getStatus()) {
+        case 'processed':
+          served++;
+          latencies.push(request.latency);
+          // Only real users pay
+          if (request.type === 'user') {
+            revenue += request.value;
+          }
+          break;
+        case 'dropped':
+          dropped++;
+          break;
+        case 'blocked':
+          blocked++;
+          break;
+      }
+    }
+
+    // Services are billed per minute and a tick is one second
+    const costPerMinute = this.gameState.metrics.totalCost;
+    const cost = costPerMinute / 60;
+
+    this.totals.served += served;
+    this.totals.dropped += dropped;
+    this.totals.blocked += blocked;
+    this.totals.revenue += revenue;
+    this.totals.cost += cost;
+
+    const point = {
+      tick,
+      served,
+      dropped,
+      blocked,
+      availability: calculateAvailability(served, dropped),
+      rollingAvailability: 0,
+      latency: {
+        p50: percentile(latencies, 50),
+        p95: percentile(latencies, 95),
+        p99: percentile(latencies, 99)
+      },
+      revenue,
+      cost,
+      costPerMinute,
+      score: 0
+    };
+
+    this.timeSeries.push(point);
+    if (this.timeSeries.length > this.maxHistory) {
+      this.timeSeries.shift();
+    }
+
+    point.rollingAvailability = this.getRollingAvailability();
+    point.score = this.calculateScore(point.rollingAvailability);
+
+    return point;
+  }
+
+  /**
+   * Availability over the rolling window
+   */
+  getRollingAvailability() {
+    const window = this.timeSeries.slice(-this.rollingWindow);
+    const served = window.reduce((sum, point) => sum + point.served, 0);
+    const dropped = window.reduce((sum, point) => sum + point.dropped, 0);
+    return calculateAvailability(served, dropped);
+  }
+
+  /**
+   * Composite score: net profit weighted by rolling availability and reputation
+   */
+  calculateScore(rollingAvailability) {
+    const profit = this.totals.revenue - this.totals.cost;
+    const reputation = this.gameState.metrics.reputation;
+    return Math.round(profit * (rollingAvailability / 100) * (reputation / 100));
+  }
+
+  /**
+   * Get the latest scoring point
+   */
+  getLatest() {
+    return this.timeSeries[this.timeSeries.length - 1] || null;
+  }
+
+  /**
+   * Get the scoring time series (for the dashboard and charts)
+   */
+  getTimeSeries() {
+    return [...this.timeSeries];
+  }
+
+  /**
+   * Get a compact summary of the current score
+   */
+  getSummary() {
+    const latest = this.getLatest();
+
+    return {
+      score: latest ? latest.score : 0,
+      availability: latest ? latest.availability : 100,
+      rollingAvailability: latest ? latest.rollingAvailability : 100,
+      latency: latest ? { ...latest.latency } : { p50: 0, p95: 0, p99: 0 },
+      revenue: this.totals.revenue,
+      cost: this.totals.cost,
+      costPerMinute: latest ? latest.costPerMinute : 0,
+      profit: this.totals.revenue - this.totals.cost
+    };
+  }
+
+  /**
+   * Get the end-of-game report
+   */
+  getReport() {
+    const served = this.timeSeries.filter(point => point.served > 0);
+    const peak = (key) => this.timeSeries.reduce((max, point) => Math.max(max, point.latency[key]), 0);
+
+    return {
+      ...this.getSummary(),
+      ticks: this.timeSeries.length,
+      totals: { ...this.totals },
+      overallAvailability: calculateAvailability(this.totals.served, this.totals.dropped),
+      averageP95: served.length > 0
+        ? served.reduce((sum, point) => sum + point.latency.p95, 0) / served.length
+        : 0,
+      peakLatency: { p95: peak('p95'), p99: peak('p99') },
+      peakCostPerMinute: this.timeSeries.reduce((max, point) => Math.max(max, point.costPerMinute), 0)
+    };
+  }
+
+  /**
+   * Get scoring state for save games
+   */
+  getState() {
+    return {
+      totals: { ...this.totals },
+      timeSeries: this.getTimeSeries()
+    };
+  }
+
+  /**
+   * Restore scoring state produced by getState()
+   */
+  setState(state) {
+    this.totals = { ...state.totals };
+    this.timeSeries = [...state.timeSeries];
+  }
+
+  /**
+   * Reset scoring for a new game
+   */
+  reset() {
+    this.timeSeries = [];
+    this.totals = {
+      served: 0,
+      dropped: 0,
+      blocked: 0,
+      revenue: 0,
+      cost: 0
+    };
+  }
+}
+
+/**
+ * Availability percentage of requests that reached a result (blocks excluded)
+ */
+function calculateAvailability(served, dropped) {
+  const total = served + dropped;
+  return total > 0 ? (served / total) * 100 : 100;
+}
+
+/**
+ * Nearest-rank percentile of a list of values
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return 0;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.max(0, Math.min(rank, sorted.length - 1))];
+}
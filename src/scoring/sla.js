@@ -0,0 +1,103 @@
+/**
+ * SLA error budget tracking for CloudFall
+ * Ticks below the SLA burn a budget inside a rolling window; the game ends when it runs out
+ */
+import { EVENTS } from "../engine/eventBus.js";
+
+// Fractions of the budget burned at which a warning is emitted
+export const SLA_WARNING_LEVELS = [0.5, 0.75, 0.9];
+
+export class SLATracker {
+  constructor(eventBus, gameState, config = {}) {
+    this.eventBus = eventBus;
+    this.gameState = gameState;
+
+    this.errorBudget = config.errorBudget || 30; // ticks allowed below the SLA
+    this.windowTicks = config.windowTicks || 300; // rolling window (5 minutes)
+
+    this.reset();
+  }
+
+  /**
+   * Register error budget tracking in the tick's score phase
+   */
+  registerTickPhases(pipeline) {
+    pipeline.register('score', ({ results }, { tick }) => {
+      this.update(tick, results);
+    }, { name: 'sla' });
+  }
+
+  /**
+   * Record this tick against the SLA and burn budget on a breach
+   * A tick that served or dropped no requests has no availability of its own and counts as compliant
+   */
+  update(tick, results = null) {
+    const sla = this.gameState.sla;
+    const metrics = this.gameState.metrics;
+    const measured = !results || results.processed + results.dropped > 0;
+
+    if (measured && metrics.availability < metrics.slaThreshold) {
+      sla.breachTicks.push(tick);
+    }
+
+    // Breaches age out of the rolling window
+    sla.breachTicks = sla.breachTicks.filter(breachTick => breachTick > tick - sla.windowTicks);
+    sla.remainingBudget = Math.max(0, sla.errorBudget - sla.breachTicks.length);
+
+    this.checkWarnings(tick);
+
+    if (sla.remainingBudget === 0 && !metrics.gameOver) {
+      metrics.gameOver = true;
+      metrics.gameOverReason = `SLA error budget exhausted - availability below ${metrics.slaThreshold}% for ${sla.errorBudget} ticks`;
+    }
+  }
+
+  /**
+   * Emit a warning each time the burn crosses a new warning level
+   */
+  checkWarnings(tick) {
+    const sla = this.gameState.sla;
+    const burned = 1 - sla.remainingBudget / sla.errorBudget;
+    const level = SLA_WARNING_LEVELS.filter(threshold => burned >= threshold).length;
+
+    if (level > sla.warningLevel) {
+      this.eventBus.emit(EVENTS.SLA_WARNING, {
+        tick,
+        burned,
+        remainingBudget: sla.remainingBudget,
+        errorBudget: sla.errorBudget
+      });
+    }
+
+    // Warnings re-arm as the budget recovers
+    sla.warningLevel = level;
+  }
+
+  /**
+   * Get SLA budget status
+   */
+  getStatus() {
+    const sla = this.gameState.sla;
+
+    return {
+      threshold: this.gameState.metrics.slaThreshold,
+      errorBudget: sla.errorBudget,
+      windowTicks: sla.windowTicks,
+      breaches: sla.breachTicks.length,
+      remainingBudget: sla.remainingBudget
+    };
+  }
+
+  /**
+   * Reset the budget for a new game
+   */
+  reset() {
+    this.gameState.sla = {
+      errorBudget: this.errorBudget,
+      windowTicks: this.windowTicks,
+      breachTicks: [],
+      remainingBudget: this.errorBudget,
+      warningLevel: 0
+    };
+  }
+}
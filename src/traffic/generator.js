@@ -4,11 +4,13 @@
  */
 import { Request } from "./request.js";
 import { EVENTS } from "../engine/eventBus.js";
+import { defaultRandom } from "../engine/random.js";
 
 export class TrafficGenerator {
-  constructor(eventBus, gameState) {
+  constructor(eventBus, gameState, random = defaultRandom) {
     this.eventBus = eventBus;
     this.gameState = gameState;
+    this.random = random;
     
     // Traffic generation parameters
     this.baseTrafficRate = 10; // Base requests per second
@@ -18,19 +20,18 @@ export class TrafficGenerator {
     
     // Traffic patterns
     this.currentTrafficMultiplier = 1.0;
+    this.spikeTicksRemaining = 0;
     this.attackInProgress = false;
     this.attackDuration = 0;
-    
-    this.setupEventHandlers();
   }
   
   /**
-   * Set up event handlers
+   * Register traffic generation as the tick's generate phase
    */
-  setupEventHandlers() {
-    this.eventBus.on(EVENTS.TRAFFIC_GENERATED, (data) => {
-      this.generateTraffic(data.tick);
-    });
+  registerTickPhases(pipeline) {
+    pipeline.register('generate', (input, { tick }) => ({
+      requests: this.generateTraffic(tick)
+    }), { name: 'traffic' });
   }
   
   /**
@@ -43,8 +44,8 @@ export class TrafficGenerator {
     const trafficVolume = this.calculateTrafficVolume(tick);
     
     // Generate different types of requests
-    const userRequests = this.generateUserRequests(trafficVolume);
-    const botRequests = this.generateBotRequests(trafficVolume);
+    const userRequests = this.generateUserRequests(trafficVolume, tick);
+    const botRequests = this.generateBotRequests(trafficVolume, tick);
     const attackRequests = this.generateAttackRequests(tick);
     
     requests.push(...userRequests, ...botRequests, ...attackRequests);
@@ -55,6 +56,9 @@ export class TrafficGenerator {
     // Update traffic history
     this.updateTrafficHistory(tick, requests);
     
+    // Count down any active traffic spike
+    this.updateTrafficSpike();
+    
     console.log(`Tick ${tick}: Generated ${requests.length} requests (${userRequests.length} users, ${botRequests.length} bots, ${attackRequests.length} attacks)`);
     
     return requests;
@@ -102,13 +106,13 @@ export class TrafficGenerator {
   /**
    * Generate user requests
    */
-  generateUserRequests(totalVolume) {
+  generateUserRequests(totalVolume, tick) {
     const userCount = Math.round(totalVolume * (1 - this.botRatio));
     const requests = [];
     
     for (let i = 0; i < userCount; i++) {
       // Determine source
-      const rand = Math.random();
+      const rand = this.random.next();
       let source;
       if (rand < 0.6) {
         source = 'organic';
@@ -118,7 +122,7 @@ export class TrafficGenerator {
         source = 'referral';
       }
       
-      const request = new Request('user', source);
+      const request = new Request('user', source, this.random, tick * 1000);
       request.path = this.generatePath('user');
       requests.push(request);
     }
@@ -129,13 +133,13 @@ export class TrafficGenerator {
   /**
    * Generate bot requests
    */
-  generateBotRequests(totalVolume) {
+  generateBotRequests(totalVolume, tick) {
     const botCount = Math.round(totalVolume * this.botRatio);
     const requests = [];
     
     for (let i = 0; i < botCount; i++) {
       // Determine bot type
-      const rand = Math.random();
+      const rand = this.random.next();
       let source;
       if (rand < 0.4) {
         source = 'search_crawler';
@@ -145,7 +149,7 @@ export class TrafficGenerator {
         source = 'scraping';
       }
       
-      const request = new Request('bot', source);
+      const request = new Request('bot', source, this.random, tick * 1000);
       request.path = this.generatePath('bot');
       requests.push(request);
     }
@@ -160,19 +164,20 @@ export class TrafficGenerator {
     const requests = [];
     
     // Check if we should start a new attack
-    if (!this.attackInProgress && Math.random() < this.attackProbability) {
+    if (!this.attackInProgress && this.random.next() < this.attackProbability) {
       this.attackInProgress = true;
-      this.attackDuration = Math.floor(Math.random() * 10) + 5; // 5-15 ticks
+      this.attackDuration = Math.floor(this.random.next() * 10) + 5; // 5-15 ticks
       console.log(`🚨 Attack started! Duration: ${this.attackDuration} ticks`);
+      this.eventBus.emit(EVENTS.ATTACK_STARTED, { tick, duration: this.attackDuration });
     }
     
     // Generate attack traffic if attack is in progress
     if (this.attackInProgress) {
-      const attackVolume = Math.floor(Math.random() * 100) + 50; // 50-150 attack requests
+      const attackVolume = Math.floor(this.random.next() * 100) + 50; // 50-150 attack requests
       
       for (let i = 0; i < attackVolume; i++) {
         // Determine attack type
-        const rand = Math.random();
+        const rand = this.random.next();
         let source;
         if (rand < 0.6) {
           source = 'ddos';
@@ -182,7 +187,7 @@ export class TrafficGenerator {
           source = 'injection';
         }
         
-        const request = new Request('attack', source);
+        const request = new Request('attack', source, this.random, tick * 1000);
         request.path = this.generatePath('attack');
         requests.push(request);
       }
@@ -192,6 +197,7 @@ export class TrafficGenerator {
       if (this.attackDuration <= 0) {
         this.attackInProgress = false;
         console.log('🛡️ Attack ended');
+        this.eventBus.emit(EVENTS.ATTACK_ENDED, { tick });
       }
     }
     
@@ -219,7 +225,7 @@ export class TrafficGenerator {
     };
     
     const pathList = paths[requestType] || paths.user;
-    return pathList[Math.floor(Math.random() * pathList.length)];
+    return pathList[Math.floor(this.random.next() * pathList.length)];
   }
   
   /**
@@ -232,7 +238,7 @@ export class TrafficGenerator {
       users: requests.filter(r => r.type === 'user').length,
       bots: requests.filter(r => r.type === 'bot').length,
       attacks: requests.filter(r => r.type === 'attack').length,
-      timestamp: Date.now()
+      timestamp: tick * 1000 // Simulated time, one second per tick
     };
     
     this.gameState.trafficHistory.push(summary);
@@ -262,17 +268,37 @@ export class TrafficGenerator {
   }
   
   /**
-   * Trigger a traffic spike
+   * Trigger a traffic spike (duration in ticks, at least 1)
    */
   triggerTrafficSpike(multiplier = 5, duration = 10) {
+    // A spike only ends by counting its ticks down, so it must last at least one
+    if (!(duration >= 1)) {
+      console.warn(`Cannot trigger traffic spike - duration must be at least 1 tick (got ${duration})`);
+      return false;
+    }
+    
     this.currentTrafficMultiplier = multiplier;
+    this.spikeTicksRemaining = duration;
+    
+    console.log(`📈 Traffic spike triggered: ${multiplier}x for ${duration} ticks`);
+    this.eventBus.emit(EVENTS.SPIKE_STARTED, { tick: this.gameState.tick, multiplier, duration });
+    return true;
+  }
+  
+  /**
+   * End the traffic spike once its duration in ticks has elapsed
+   */
+  updateTrafficSpike() {
+    if (this.spikeTicksRemaining <= 0) {
+      return;
+    }
     
-    setTimeout(() => {
+    this.spikeTicksRemaining--;
+    if (this.spikeTicksRemaining === 0) {
       this.currentTrafficMultiplier = 1.0;
       console.log('📈 Traffic spike ended');
-    }, duration * 1000);
-    
-    console.log(`📈 Traffic spike triggered: ${multiplier}x for ${duration} seconds`);
+      this.eventBus.emit(EVENTS.SPIKE_ENDED, { tick: this.gameState.tick });
+    }
   }
   
   /**
@@ -301,11 +327,35 @@ export class TrafficGenerator {
     };
   }
   
+  /**
+   * Get generator state for save games
+   */
+  getState() {
+    return {
+      baseTrafficRate: this.baseTrafficRate,
+      trafficGrowthRate: this.trafficGrowthRate,
+      attackProbability: this.attackProbability,
+      botRatio: this.botRatio,
+      currentTrafficMultiplier: this.currentTrafficMultiplier,
+      spikeTicksRemaining: this.spikeTicksRemaining,
+      attackInProgress: this.attackInProgress,
+      attackDuration: this.attackDuration
+    };
+  }
+  
+  /**
+   * Restore generator state produced by getState()
+   */
+  setState(state) {
+    Object.assign(this, state);
+  }
+  
   /**
    * Reset traffic generator
    */
   reset() {
     this.currentTrafficMultiplier = 1.0;
+    this.spikeTicksRemaining = 0;
     this.attackInProgress = false;
     this.attackDuration = 0;
   }
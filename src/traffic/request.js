@@ -2,14 +2,20 @@
  * Request model for CloudFall traffic simulation
  * Represents user requests, bot traffic, and attacks flowing through infrastructure
  */
+import { defaultRandom } from "../engine/random.js";
+
+// Paths served from application data; compute answers every other path on its own
+const DATA_PATHS = ['/products', '/login', '/register', '/profile', '/cart', '/checkout', '/api/users', '/api/admin'];
 
 export class Request {
-  constructor(type = 'user', source = 'organic') {
+  constructor(type = 'user', source = 'organic', random = defaultRandom, timestamp = 0) {
+    this.random = random; // Seeded RNG shared with the simulation
     this.id = this.generateId();
     this.type = type; // 'user', 'bot', 'attack'
     this.source = source; // 'organic', 'campaign', 'ddos', 'scraping'
-    this.timestamp = Date.now();
+    this.timestamp = timestamp; // Simulated time the request arrived, in milliseconds
     this.path = '/';
+    this.sessionId = this.generateSessionId(); // Returning visitors share sessions
     this.processed = false;
     this.dropped = false;
     this.blocked = false;
@@ -30,7 +36,14 @@ export class Request {
    * Generate unique request ID
    */
   generateId() {
-    return `req-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    return `req-${this.random.id(12)}`;
+  }
+  
+  /**
+   * Pick the visitor session this request belongs to
+   */
+  generateSessionId() {
+    return `${this.type}-${Math.floor(this.random.next() * 100)}`;
   }
   
   /**
@@ -39,11 +52,11 @@ export class Request {
   calculateLatencyTolerance() {
     switch (this.type) {
       case 'user':
-        return Math.random() * 2000 + 1000; // 1-3 seconds for users
+        return this.random.next() * 2000 + 1000; // 1-3 seconds for users
       case 'bot':
-        return Math.random() * 5000 + 5000; // 5-10 seconds for bots
+        return this.random.next() * 5000 + 5000; // 5-10 seconds for bots
       case 'attack':
-        return Math.random() * 100 + 50; // 50-150ms for attacks (impatient)
+        return this.random.next() * 100 + 50; // 50-150ms for attacks (impatient)
       default:
         return 2000;
     }
@@ -57,17 +70,17 @@ export class Request {
       case 'user':
         // Users have high value, varies by source
         if (this.source === 'organic') {
-          return Math.random() * 10 + 5; // $5-15 value
+          return this.random.next() * 10 + 5; // $5-15 value
         } else if (this.source === 'campaign') {
-          return Math.random() * 8 + 3; // $3-11 value
+          return this.random.next() * 8 + 3; // $3-11 value
         }
-        return Math.random() * 5 + 2; // $2-7 value
+        return this.random.next() * 5 + 2; // $2-7 value
       case 'bot':
         // Bots have some value (legitimate crawlers)
-        return Math.random() * 2 + 0.5; // $0.5-2.5 value
+        return this.random.next() * 2 + 0.5; // $0.5-2.5 value
       case 'attack':
         // Attacks have negative value
-        return -(Math.random() * 5 + 1); // -$1 to -$6 value
+        return -(this.random.next() * 5 + 1); // -$1 to -$6 value
       default:
         return 1;
     }
@@ -79,16 +92,24 @@ export class Request {
   calculateSize() {
     switch (this.type) {
       case 'user':
-        return Math.random() * 50 + 10; // 10-60 KB
+        return this.random.next() * 50 + 10; // 10-60 KB
       case 'bot':
-        return Math.random() * 20 + 5; // 5-25 KB
+        return this.random.next() * 20 + 5; // 5-25 KB
       case 'attack':
-        return Math.random() * 100 + 200; // 200-300 KB (large payloads)
+        return this.random.next() * 100 + 200; // 200-300 KB (large payloads)
       default:
         return 20;
     }
   }
   
+  /**
+   * Check whether serving the request reads or writes application data
+   * (only these requests go on from compute to caches, queues and databases)
+   */
+  needsData() {
+    return DATA_PATHS.includes(this.path);
+  }
+  
   /**
    * Add latency to the request
    */
@@ -97,14 +118,14 @@ export class Request {
   }
   
   /**
-   * Mark request as processed by a service
+   * Mark request as processed by a service (at the service's simulated time)
    */
-  markProcessed(serviceId, serviceName) {
+  markProcessed(serviceId, serviceName, timestamp = this.timestamp) {
     this.processed = true;
     this.processingPath.push({
       serviceId,
       serviceName,
-      timestamp: Date.now(),
+      timestamp,
       latency: this.latency
     });
   }
@@ -112,26 +133,26 @@ export class Request {
   /**
    * Mark request as dropped
    */
-  markDropped(reason, serviceId = null) {
+  markDropped(reason, serviceId = null, timestamp = this.timestamp) {
     this.dropped = true;
     this.errors.push({
       type: 'dropped',
       reason,
       serviceId,
-      timestamp: Date.now()
+      timestamp
     });
   }
   
   /**
    * Mark request as blocked (by WAF)
    */
-  markBlocked(reason, serviceId = null) {
+  markBlocked(reason, serviceId = null, timestamp = this.timestamp) {
     this.blocked = true;
     this.errors.push({
       type: 'blocked',
       reason,
       serviceId,
-      timestamp: Date.now()
+      timestamp
     });
   }
   
@@ -175,8 +196,9 @@ export class Request {
    * Clone request (for routing through multiple paths)
    */
   clone() {
-    const cloned = new Request(this.type, this.source);
+    const cloned = new Request(this.type, this.source, this.random, this.timestamp);
     cloned.path = this.path;
+    cloned.sessionId = this.sessionId;
     cloned.latencyTolerance = this.latencyTolerance;
     cloned.value = this.value;
     cloned.size = this.size;
@@ -0,0 +1,390 @@
+/**
+ * Build palette for CloudFall
+ * Drag services onto the canvas, configure and deploy them, and drag between nodes to connect
+ */
+import { getProvider, getProviders } from "../infra/providers.js";
+import { getFieldOptions } from "../infra/configSchema.js";
+import { NODE_WIDTH, NODE_HEIGHT } from "./renderer.js";
+
+const DRAG_THRESHOLD = 5; // px of movement before a press becomes a drag
+
+export class BuildPalette {
+  constructor(gameLoop, renderer, container) {
+    this.gameLoop = gameLoop;
+    this.renderer = renderer;
+    this.canvas = renderer.canvas;
+    this.container = container;
+
+    // Deployable service types with their config schemas, keyed by 'provider:type'
+    // Registered providers are listed in registration order
+    this.serviceTypes = new Map();
+    for (const { name: provider, factory } of getProviders()) {
+      for (const serviceType of factory.getAvailableServices()) {
+        this.serviceTypes.set(`${provider}:${serviceType.type}`, { ...serviceType, provider });
+      }
+    }
+
+    this.drag = null; // Active drag from a node on the canvas
+    this.form = null; // Open deploy form
+
+    this.renderPalette();
+    this.setupCanvasInteraction();
+  }
+
+  /**
+   * List deployable services as draggable palette items
+   */
+  renderPalette() {
+    this.container.innerHTML = '<h3>Build</h3>';
+
+    let provider = null;
+    for (const [key, serviceType] of this.serviceTypes) {
+      if (serviceType.provider !== provider) {
+        provider = serviceType.provider;
+        const header = document.createElement('div');
+        header.className = `palette-provider provider-${provider}`;
+        header.textContent = provider.toUpperCase();
+        this.container.appendChild(header);
+      }
+
+      const item = document.createElement('div');
+      item.className = `palette-item provider-${serviceType.provider}`;
+      item.draggable = true;
+      item.textContent = serviceType.name;
+      item.title = serviceType.description;
+      item.ondragstart = (event) => {
+        event.dataTransfer.setData('text/plain', key);
+      };
+      this.container.appendChild(item);
+    }
+
+    this.status = document.createElement('div');
+    this.status.className = 'palette-status';
+    this.container.appendChild(this.status);
+  }
+
+  /**
+   * Wire canvas drop, node drag-to-connect and node moving
+   */
+  setupCanvasInteraction() {
+    const canvas = this.canvas;
+
+    canvas.addEventListener('dragover', (event) => event.preventDefault());
+    canvas.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const key = event.dataTransfer.getData('text/plain');
+      if (this.serviceTypes.has(key)) {
+        this.openConfigForm(key, this.toCanvasPoint(event));
+      }
+    });
+
+    canvas.addEventListener('mousedown', (event) => {
+      const point = this.toCanvasPoint(event);
+      const service = this.renderer.getServiceAt(point.x, point.y);
+      if (service) {
+        const position = this.renderer.getLayout().get(service.id);
+        this.drag = {
+          service,
+          start: point,
+          current: point,
+          offset: { x: point.x - position.x, y: point.y - position.y }
+        };
+      }
+    });
+
+    canvas.addEventListener('mousemove', (event) => {
+      if (!this.drag) {
+        return;
+      }
+      this.drag.current = this.toCanvasPoint(event);
+      this.renderer.overlay = (ctx) => this.drawConnectionPreview(ctx);
+      this.renderer.render();
+    });
+
+    window.addEventListener('mouseup', (event) => {
+      if (!this.drag) {
+        return;
+      }
+
+      const drag = this.drag;
+      this.drag = null;
+      this.renderer.overlay = null;
+
+      const point = this.toCanvasPoint(event);
+      const moved = Math.hypot(point.x - drag.start.x, point.y - drag.start.y) > DRAG_THRESHOLD;
+      const target = this.renderer.getServiceAt(point.x, point.y);
+
+      if (target && target !== drag.service) {
+        this.connect(drag.service, target);
+      } else if (!target && moved) {
+        // Dropped on empty canvas: move the node
+        drag.service.setPosition(point.x - drag.offset.x, point.y - drag.offset.y);
+      }
+
+      this.renderer.render();
+    });
+  }
+
+  /**
+   * Connect two services, reporting why a link is not allowed
+   */
+  connect(from, to) {
+    const errors = this.gameLoop.getServiceRegistry().validateConnection(from.id, to.id);
+    if (errors.length > 0) {
+      this.showStatus(errors.join(', '), 'error');
+      return;
+    }
+
+    this.gameLoop.connectServices(from.id, to.id);
+    this.showStatus(`Connected ${from.name} -> ${to.name}`, 'success');
+  }
+
+  /**
+   * Draw the line from the dragged node to the pointer
+   */
+  drawConnectionPreview(ctx) {
+    if (!this.drag) {
+      return;
+    }
+
+    const position = this.renderer.getLayout().get(this.drag.service.id);
+    ctx.strokeStyle = '#00ff9c';
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(position.x + NODE_WIDTH / 2, position.y + NODE_HEIGHT / 2);
+    ctx.lineTo(this.drag.current.x, this.drag.current.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  /**
+   * Open the deploy form for a service type dropped at a canvas point
+   */
+  openConfigForm(key, point) {
+    this.closeConfigForm();
+    const serviceType = this.serviceTypes.get(key);
+
+    const form = document.createElement('form');
+    form.className = 'config-form';
+    const title = document.createElement('h3');
+    title.textContent = `Deploy ${serviceType.name}`;
+    form.appendChild(title);
+
+    form.appendChild(createField({ key: 'name', label: 'Name', type: 'text' }));
+    for (const field of serviceType.configSchema) {
+      form.appendChild(createField(field, getFieldOptions(serviceType.configSchema, field)));
+    }
+    bindDependentOptions(form, serviceType.configSchema);
+
+    const errors = document.createElement('div');
+    errors.className = 'config-errors';
+    form.appendChild(errors);
+
+    const deployBtn = document.createElement('button');
+    deployBtn.type = 'submit';
+    deployBtn.textContent = 'Deploy';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.onclick = () => this.closeConfigForm();
+    form.appendChild(deployBtn);
+    form.appendChild(cancelBtn);
+
+    form.onsubmit = (event) => {
+      event.preventDefault();
+      const config = readConfig(form, serviceType.configSchema);
+      const result = this.deploy(key, config, point);
+      if (result.errors.length > 0) {
+        errors.replaceChildren(...result.errors.map(error => createAlert(error, 'error')));
+      } else {
+        this.closeConfigForm();
+      }
+    };
+
+    document.body.appendChild(form);
+    this.form = form;
+  }
+
+  /**
+   * Close the deploy form
+   */
+  closeConfigForm() {
+    if (this.form) {
+      this.form.remove();
+      this.form = null;
+    }
+  }
+
+  /**
+   * Create, place and deploy a service
+   * The key is 'provider:type', e.g. 'gcp:compute'
+   */
+  deploy(key, config, point) {
+    const serviceType = this.serviceTypes.get(key);
+    if (!serviceType) {
+      return { service: null, errors: [`Unknown service type: ${key}`] };
+    }
+
+    const factory = getProvider(serviceType.provider)?.factory;
+    if (!factory) {
+      return { service: null, errors: [`Provider no longer registered: ${serviceType.provider}`] };
+    }
+
+    const configErrors = factory.validateConfig(serviceType.type, config);
+    if (configErrors.length > 0) {
+      return { service: null, errors: configErrors };
+    }
+
+    const service = factory.createService(serviceType.type, config);
+
+    // Centre the node on the drop point
+    service.setPosition(point.x - NODE_WIDTH / 2, point.y - NODE_HEIGHT / 2);
+
+    if (!this.gameLoop.deployService(service)) {
+      return { service, errors: service.validate() };
+    }
+
+    this.showStatus(`Deployed ${service.name}`, 'success');
+    this.renderer.render();
+    return { service, errors: [] };
+  }
+
+  /**
+   * Show a status message under the palette
+   */
+  showStatus(message, level) {
+    // Messages can include player-entered service names, so they go in as text
+    this.status.replaceChildren(createAlert(message, level));
+  }
+
+  /**
+   * Convert a mouse event to canvas coordinates (the canvas is scaled by CSS)
+   */
+  toCanvasPoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (this.canvas.height / rect.height)
+    };
+  }
+}
+
+/**
+ * Create an alert banner showing a message as plain text
+ */
+function createAlert(message, level) {
+  const alert = document.createElement('div');
+  alert.className = `alert alert-${level}`;
+  alert.textContent = message;
+  return alert;
+}
+
+/**
+ * Create a labelled form input for a config schema field
+ */
+function createField(field, options = field.options) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'config-field';
+  wrapper.textContent = field.label;
+
+  let input;
+  switch (field.type) {
+    case 'select':
+      input = document.createElement('select');
+      fillSelect(input, options, field.default);
+      break;
+    case 'multiselect':
+      input = document.createElement('select');
+      input.multiple = true;
+      for (const option of field.options) {
+        const element = document.createElement('option');
+        element.value = option;
+        element.textContent = option;
+        element.selected = (field.default || []).includes(option);
+        input.appendChild(element);
+      }
+      break;
+    case 'checkbox':
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = Boolean(field.default);
+      break;
+    case 'number':
+      input = document.createElement('input');
+      input.type = 'number';
+      input.value = field.default ?? '';
+      break;
+    default:
+      input = document.createElement('input');
+      input.type = 'text';
+      input.value = field.default ?? '';
+  }
+
+  input.name = field.key;
+  wrapper.appendChild(input);
+  return wrapper;
+}
+
+/**
+ * Replace a select's options, keeping the preferred option selected when offered
+ */
+function fillSelect(select, options, preferred) {
+  select.replaceChildren(...options.map(option => {
+    const element = document.createElement('option');
+    element.value = option;
+    element.textContent = option;
+    element.selected = option === (options.includes(preferred) ? preferred : options[0]);
+    return element;
+  }));
+}
+
+/**
+ * Refresh selects whose options depend on another field when that field changes
+ */
+function bindDependentOptions(form, fields) {
+  for (const field of fields) {
+    if (!field.optionsBy) {
+      continue;
+    }
+
+    const controller = form.elements[field.optionsBy.field];
+    controller.addEventListener('change', () => {
+      const select = form.elements[field.key];
+      const options = getFieldOptions(fields, field, { [field.optionsBy.field]: controller.value });
+      fillSelect(select, options, options.includes(select.value) ? select.value : field.default);
+    });
+  }
+}
+
+/**
+ * Read factory config from the form (empty fields fall back to factory defaults)
+ */
+function readConfig(form, fields) {
+  const config = {};
+
+  const name = form.elements.name.value.trim();
+  if (name) {
+    config.name = name;
+  }
+
+  for (const field of fields) {
+    const input = form.elements[field.key];
+    switch (field.type) {
+      case 'checkbox':
+        config[field.key] = input.checked;
+        break;
+      case 'number':
+        if (input.value !== '') {
+          config[field.key] = Number(input.value);
+        }
+        break;
+      case 'multiselect':
+        config[field.key] = Array.from(input.selectedOptions).map(option => option.value);
+        break;
+      default:
+        config[field.key] = input.value;
+    }
+  }
+
+  return config;
+}
@@ -0,0 +1,144 @@
+/**
+ * Live metrics dashboard for CloudFall
+ * Renders game, service, cost and traffic metrics into the #dashboard panel
+ */
+import { EVENTS } from "../engine/eventBus.js";
+
+export class Dashboard {
+  constructor(eventBus, gameState, serviceRegistry, trafficGenerator, container) {
+    this.eventBus = eventBus;
+    this.gameState = gameState;
+    this.serviceRegistry = serviceRegistry;
+    this.trafficGenerator = trafficGenerator;
+    this.container = container;
+
+    this.setupEventHandlers();
+    this.render();
+  }
+
+  /**
+   * Set up event handlers
+   */
+  setupEventHandlers() {
+    this.unsubscribe = this.eventBus.on(EVENTS.UI_UPDATE, () => this.render());
+  }
+
+  /**
+   * Stop listening for updates
+   */
+  destroy() {
+    this.unsubscribe();
+  }
+
+  /**
+   * Redraw the dashboard from current state
+   */
+  render() {
+    const metrics = this.gameState.metrics;
+    const health = this.serviceRegistry.getHealthSummary();
+    const costs = this.serviceRegistry.getCostSummary();
+    const traffic = this.trafficGenerator.getStatistics();
+    const sla = this.gameState.sla;
+
+    const availabilityClass = metrics.availability >= metrics.slaThreshold ? 'status-healthy' : 'status-failed';
+    const reputationClass = metrics.reputation > 50 ? 'status-healthy' : metrics.reputation > 20 ? 'status-degraded' : 'status-failed';
+
+    this.container.innerHTML = `
+      <h2>CLOUDFALL // TICK ${this.gameState.tick}</h2>
+      ${this.renderAlerts(metrics, traffic)}
+      ${section('Service Level', [
+        metric('Availability', `${metrics.availability.toFixed(2)}%`, availabilityClass),
+        metric('SLA Threshold', `${metrics.slaThreshold}%`),
+        sla ? metric('Error Budget', `${sla.remainingBudget}/${sla.errorBudget} ticks`, sla.remainingBudget > sla.errorBudget / 2 ? 'status-healthy' : 'status-degraded') : '',
+        metric('Avg Latency', `${metrics.averageLatency.toFixed(1)} ms`),
+        metric('Reputation', metrics.reputation.toFixed(1), reputationClass)
+      ])}
+      ${section('Requests', [
+        metric('Processed', metrics.requestsProcessed.toLocaleString()),
+        metric('Dropped', metrics.requestsDropped.toLocaleString(), metrics.requestsDropped > 0 ? 'status-failed' : ''),
+        metric('Blocked', metrics.requestsBlocked.toLocaleString())
+      ])}
+      ${section('Services', [
+        metric('Total', health.total),
+        metric('Healthy', health.healthy, 'status-healthy'),
+        metric('Degraded', health.degraded, 'status-degraded'),
+        metric('Failed', health.failed, 'status-failed')
+      ])}
+      ${section('Cost / Minute', [
+        ...Object.entries(costs)
+          .filter(([provider]) => provider !== 'total')
+          .map(([provider, cost]) => provider === 'interCloud'
+            ? metric('Inter-cloud', formatCost(cost))
+            : metric(provider.toUpperCase(), formatCost(cost), `provider-${provider}`)),
+        metric('Total', formatCost(costs.total))
+      ])}
+      ${section('Traffic (last 10 ticks)', [
+        metric('Requests / Tick', traffic.averageTotal.toFixed(1)),
+        metric('Users', traffic.averageUsers.toFixed(1)),
+        metric('Bots', traffic.averageBots.toFixed(1)),
+        metric('Attacks', traffic.averageAttacks.toFixed(1), traffic.averageAttacks > 0 ? 'status-degraded' : ''),
+        metric('Multiplier', `${(traffic.currentMultiplier ?? 1).toFixed(2)}x`)
+      ])}
+    `;
+  }
+
+  /**
+   * Render alert banners for attacks and game over
+   */
+  renderAlerts(metrics, traffic) {
+    const alerts = [];
+
+    if (metrics.gameOver) {
+      alerts.push(`<div class="alert alert-error">GAME OVER: ${escapeHtml(metrics.gameOverReason)}</div>`);
+    }
+
+    if (traffic.attackInProgress) {
+      alerts.push('<div class="alert alert-warning">ATTACK IN PROGRESS</div>');
+    }
+
+    return alerts.join('');
+  }
+}
+
+/**
+ * Escape text for use in HTML markup and attribute values
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a titled metrics section (the title is text, rows are markup)
+ */
+export function section(title, rows) {
+  return `
+    <div class="metrics-section">
+      <h3>${escapeHtml(title)}</h3>
+      ${rows.join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render a single label/value row from plain text
+ */
+export function metric(label, value, valueClass = '') {
+  return `
+    <div class="metric">
+      <span class="metric-label">${escapeHtml(label)}</span>
+      <span class="metric-value ${escapeHtml(valueClass)}">${escapeHtml(value)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Format a per-minute cost in dollars
+ */
+function formatCost(cost) {
+  return `$${cost.toFixed(4)}`;
+}
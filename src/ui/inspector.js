@@ -0,0 +1,227 @@
+/**
+ * Service inspector for CloudFall
+ * Shows a clicked service's status and sparklines of its recent metrics history
+ */
+import { EVENTS } from "../engine/eventBus.js";
+import { section, metric, escapeHtml } from "./dashboard.js";
+
+const CLICK_TOLERANCE = 5; // px a click may move and still select a node
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 24;
+
+// Status fields shown elsewhere in the panel or not useful to players
+const HIDDEN_STATUS_FIELDS = ['id', 'name', 'position', 'connections'];
+
+export class ServiceInspector {
+  constructor(eventBus, gameState, renderer, container, config = {}) {
+    this.eventBus = eventBus;
+    this.gameState = gameState;
+    this.renderer = renderer;
+    this.canvas = renderer.canvas;
+    this.container = container;
+
+    this.historyTicks = config.historyTicks || 30; // ticks shown in sparklines
+    this.serviceId = null;
+    this.pressedAt = null;
+
+    this.setupEventHandlers();
+    this.render();
+  }
+
+  /**
+   * Set up event handlers
+   */
+  setupEventHandlers() {
+    this.unsubscribe = this.eventBus.on(EVENTS.UI_UPDATE, () => this.render());
+
+    // Canvas listeners are removed together on destroy()
+    this.domListeners = new AbortController();
+    const { signal } = this.domListeners;
+
+    // Only a press and release in place selects; drags belong to the build palette
+    this.canvas.addEventListener('mousedown', (event) => {
+      this.pressedAt = { x: event.clientX, y: event.clientY };
+    }, { signal });
+
+    this.canvas.addEventListener('click', (event) => {
+      if (!this.pressedAt ||
+          Math.hypot(event.clientX - this.pressedAt.x, event.clientY - this.pressedAt.y) > CLICK_TOLERANCE) {
+        return;
+      }
+
+      const rect = this.canvas.getBoundingClientRect();
+      const service = this.renderer.getServiceAt(
+        (event.clientX - rect.left) * (this.canvas.width / rect.width),
+        (event.clientY - rect.top) * (this.canvas.height / rect.height)
+      );
+
+      if (service) {
+        this.inspect(service.id);
+      } else {
+        this.close();
+      }
+    }, { signal });
+  }
+
+  /**
+   * Stop listening for updates and canvas clicks
+   */
+  destroy() {
+    this.unsubscribe();
+    this.domListeners.abort();
+  }
+
+  /**
+   * Show a service in the inspector
+   */
+  inspect(serviceId) {
+    this.serviceId = serviceId;
+    this.render();
+  }
+
+  /**
+   * Hide the inspector
+   */
+  close() {
+    this.serviceId = null;
+    this.render();
+  }
+
+  /**
+   * Redraw the inspector for the selected service
+   */
+  render() {
+    const service = this.serviceId ? this.gameState.services.get(this.serviceId) : null;
+    if (!service) {
+      // Nothing selected, or the service was removed
+      this.serviceId = null;
+      this.container.hidden = true;
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const status = service.getStatus();
+    const history = service.getMetricsHistory(this.historyTicks);
+
+    const overview = [];
+    const groups = [];
+    for (const [key, value] of Object.entries(status)) {
+      if (HIDDEN_STATUS_FIELDS.includes(key) || value === null || value === undefined) {
+        continue;
+      }
+      if (isPlainObject(value)) {
+        groups.push(section(humanize(key), flatten(value).map(([label, entry]) => metric(label, formatValue(entry)))));
+      } else {
+        overview.push(metric(humanize(key), formatValue(value), key === 'health' ? `status-${value}` : ''));
+      }
+    }
+
+    this.container.hidden = false;
+    this.container.innerHTML = `
+      <h2>${escapeHtml(service.name)} <button class="inspector-close" title="Close">x</button></h2>
+      ${section('Overview', overview)}
+      ${section(`Last ${history.length} ticks`, this.renderSparklines(history))}
+      ${groups.join('')}
+    `;
+    this.container.querySelector('.inspector-close').onclick = () => this.close();
+  }
+
+  /**
+   * Render one sparkline row per numeric field in the history
+   */
+  renderSparklines(history) {
+    if (history.length === 0) {
+      return ['<div class="metric"><span class="metric-label">No ticks recorded yet</span></div>'];
+    }
+
+    const keys = Object.keys(history[history.length - 1])
+      .filter(key => key !== 'tick' && typeof history[history.length - 1][key] === 'number');
+
+    return keys.map(key => {
+      const values = history.map(sample => sample[key] ?? 0);
+      return `
+        <div class="metric">
+          <span class="metric-label">${escapeHtml(humanize(key))}</span>
+          ${sparkline(values)}
+          <span class="metric-value">${escapeHtml(formatValue(values[values.length - 1]))}</span>
+        </div>
+      `;
+    });
+  }
+}
+
+/**
+ * Render values as an inline SVG polyline scaled to their own range
+ */
+function sparkline(values) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const step = values.length > 1 ? SPARKLINE_WIDTH / (values.length - 1) : 0;
+
+  const points = values.map((value, index) => {
+    const x = index * step;
+    const y = SPARKLINE_HEIGHT - ((value - min) / range) * (SPARKLINE_HEIGHT - 2) - 1;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  return `
+    <svg class="sparkline" width="${SPARKLINE_WIDTH}" height="${SPARKLINE_HEIGHT}">
+      <polyline points="${points.join(' ')}" />
+    </svg>
+  `;
+}
+
+/**
+ * Flatten nested objects into [label, value] pairs (arrays become counts)
+ */
+function flatten(object, prefix = '') {
+  const entries = [];
+
+  for (const [key, value] of Object.entries(object)) {
+    const label = prefix ? `${prefix}.${key}` : humanize(key);
+    if (isPlainObject(value)) {
+      entries.push(...flatten(value, label));
+    } else if (typeof value !== 'function') {
+      entries.push([label, value]);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Whether a value is a plain object (not an array, Map or null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+}
+
+/**
+ * Turn a camelCase key into a label
+ */
+function humanize(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/^./, char => char.toUpperCase());
+}
+
+/**
+ * Format a status value for display
+ */
+function formatValue(value) {
+  if (typeof value === 'number') {
+    if (Number.isInteger(value)) {
+      return value.toLocaleString();
+    }
+    // Keep small values such as per-minute costs readable
+    return Math.abs(value) >= 1 ? value.toFixed(2) : value.toPrecision(3);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'yes' : 'no';
+  }
+  if (Array.isArray(value)) {
+    return `${value.length} items`;
+  }
+  if (value instanceof Map) {
+    return `${value.size} items`;
+  }
+  return String(value);
+}
@@ -0,0 +1,193 @@
+/**
+ * Canvas renderer for CloudFall infrastructure topology
+ * Draws services, their health and load, and the connections between them
+ */
+import { EVENTS } from "../engine/eventBus.js";
+import { getProvider } from "../infra/providers.js";
+import { ROUTING_TIERS } from "../infra/serviceRegistry.js";
+
+// Health colors (match the status-* classes in styles.css)
+export const HEALTH_COLORS = {
+  healthy: '#00ff9c',
+  degraded: '#ffb000',
+  failed: '#ff4757'
+};
+
+export const NODE_WIDTH = 140;
+export const NODE_HEIGHT = 64;
+
+const BACKGROUND_COLOR = '#0b0f19';
+const EDGE_COLOR = '#7c8db5';
+const TEXT_COLOR = '#e6e9f0';
+const MUTED_TEXT_COLOR = '#7c8db5';
+const FALLBACK_COLORS = { primary: '#7c8db5', secondary: '#1a1f2e' }; // Services of unregistered providers
+
+export class TopologyRenderer {
+  constructor(eventBus, gameState, canvas) {
+    this.eventBus = eventBus;
+    this.gameState = gameState;
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.overlay = null; // Optional (ctx) => void drawn on top, e.g. drag previews
+
+    this.setupEventHandlers();
+    this.render();
+  }
+
+  /**
+   * Set up event handlers
+   */
+  setupEventHandlers() {
+    this.unsubscribers = [
+      this.eventBus.on(EVENTS.UI_UPDATE, () => this.render()),
+      this.eventBus.on(EVENTS.SERVICE_CONNECTED, () => this.render()),
+      this.eventBus.on(EVENTS.SERVICE_DISCONNECTED, () => this.render())
+    ];
+  }
+
+  /**
+   * Stop listening for updates
+   */
+  destroy() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Draw the whole topology
+   */
+  render() {
+    const ctx = this.ctx;
+    ctx.fillStyle = BACKGROUND_COLOR;
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+    const layout = this.getLayout();
+
+    for (const [fromId, targets] of this.gameState.connections) {
+      for (const toId of targets) {
+        if (layout.has(fromId) && layout.has(toId)) {
+          this.drawEdge(layout.get(fromId), layout.get(toId));
+        }
+      }
+    }
+
+    for (const service of this.gameState.services.values()) {
+      this.drawService(service, layout.get(service.id));
+    }
+
+    if (this.overlay) {
+      this.overlay(ctx);
+    }
+  }
+
+  /**
+   * Get the on-canvas position of every service
+   * Services still at the origin are laid out in columns by routing tier
+   */
+  getLayout() {
+    const layout = new Map();
+    const columnCounts = new Map();
+
+    for (const service of this.gameState.services.values()) {
+      const { x, y } = service.position;
+      if (x !== 0 || y !== 0) {
+        layout.set(service.id, { x, y });
+        continue;
+      }
+
+      const tier = ROUTING_TIERS[service.type] ?? 0;
+      const row = columnCounts.get(tier) || 0;
+      columnCounts.set(tier, row + 1);
+
+      layout.set(service.id, {
+        x: 40 + tier * (NODE_WIDTH + 80),
+        y: 40 + row * (NODE_HEIGHT + 40)
+      });
+    }
+
+    return layout;
+  }
+
+  /**
+   * Get the service box at a canvas point (for UI interaction)
+   */
+  getServiceAt(x, y) {
+    const layout = this.getLayout();
+
+    for (const service of this.gameState.services.values()) {
+      const position = layout.get(service.id);
+      if (x >= position.x && x <= position.x + NODE_WIDTH &&
+          y >= position.y && y <= position.y + NODE_HEIGHT) {
+        return service;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Draw a directed connection between two service boxes
+   */
+  drawEdge(from, to) {
+    const ctx = this.ctx;
+    const start = { x: from.x + NODE_WIDTH, y: from.y + NODE_HEIGHT / 2 };
+    const end = { x: to.x, y: to.y + NODE_HEIGHT / 2 };
+
+    ctx.strokeStyle = EDGE_COLOR;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+
+    // Arrow head at the receiving end
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    ctx.fillStyle = EDGE_COLOR;
+    ctx.beginPath();
+    ctx.moveTo(end.x, end.y);
+    ctx.lineTo(end.x - 10 * Math.cos(angle - Math.PI / 6), end.y - 10 * Math.sin(angle - Math.PI / 6));
+    ctx.lineTo(end.x - 10 * Math.cos(angle + Math.PI / 6), end.y - 10 * Math.sin(angle + Math.PI / 6));
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  /**
+   * Draw a service box with health indicator and load bar
+   */
+  drawService(service, position) {
+    const ctx = this.ctx;
+    const colors = getProvider(service.provider)?.colors || FALLBACK_COLORS;
+    const healthColor = HEALTH_COLORS[service.health] || HEALTH_COLORS.failed;
+    const { x, y } = position;
+
+    // Box in provider colors
+    ctx.fillStyle = colors.secondary;
+    ctx.fillRect(x, y, NODE_WIDTH, NODE_HEIGHT);
+    ctx.strokeStyle = colors.primary;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, y, NODE_WIDTH, NODE_HEIGHT);
+
+    // Health indicator
+    ctx.fillStyle = healthColor;
+    ctx.beginPath();
+    ctx.arc(x + NODE_WIDTH - 12, y + 12, 5, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Labels
+    ctx.font = "bold 12px 'Courier New', monospace";
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.fillText(service.name, x + 8, y + 18, NODE_WIDTH - 30);
+    ctx.font = "11px 'Courier New', monospace";
+    ctx.fillStyle = MUTED_TEXT_COLOR;
+    ctx.fillText(`${service.provider.toUpperCase()} ${service.type}`, x + 8, y + 34, NODE_WIDTH - 16);
+
+    // Load bar (full width = 100% of capacity)
+    const load = Math.max(0, service.currentLoad || 0);
+    const barWidth = NODE_WIDTH - 16;
+    ctx.fillStyle = BACKGROUND_COLOR;
+    ctx.fillRect(x + 8, y + NODE_HEIGHT - 16, barWidth, 8);
+    ctx.fillStyle = healthColor;
+    ctx.fillRect(x + 8, y + NODE_HEIGHT - 16, barWidth * Math.min(load, 1), 8);
+    ctx.fillStyle = MUTED_TEXT_COLOR;
+    ctx.fillText(`${Math.round(load * 100)}%`, x + NODE_WIDTH - 40, y + 34);
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Incident timeline for CloudFall
+ * Plots attacks, spikes, deployments, scaling and failovers from the event history
+ * against the availability curve, for post-mortems of what happened
+ */
+import { EVENTS } from "../engine/eventBus.js";
+import { section, metric, escapeHtml } from "./dashboard.js";
+
+const CHART_HEIGHT = 120;
+const MARKER_LANE_HEIGHT = 16; // row of point incidents under the curve
+const MIN_TICKS_SHOWN = 150; // chart width before it starts to scroll
+const MAX_LISTED_INCIDENTS = 50;
+
+// Incidents that last a while, from their start event to their end event
+const SPAN_EVENTS = {
+  [EVENTS.ATTACK_STARTED]: { kind: 'attack', key: () => 'attack', label: () => 'Attack' },
+  [EVENTS.ATTACK_ENDED]: { kind: 'attack', key: () => 'attack', ends: true },
+  [EVENTS.SPIKE_STARTED]: { kind: 'spike', key: () => 'spike', label: (payload) => `Traffic spike ${payload.multiplier}x` },
+  [EVENTS.SPIKE_ENDED]: { kind: 'spike', key: () => 'spike', ends: true },
+  [EVENTS.DATABASE_FAILOVER]: {
+    kind: 'failover',
+    key: (payload) => `failover-${payload.serviceId}`,
+    label: (payload) => `${payload.service} failover`,
+    ends: (payload) => payload.stage === 'completed'
+  }
+};
+
+// Incidents that happen on a single tick
+const MARKER_EVENTS = {
+  [EVENTS.SERVICE_DEPLOYED]: { kind: 'deploy', label: (payload) => `Deployed ${payload.service}` },
+  [EVENTS.SERVICE_REMOVED]: { kind: 'deploy', label: (payload) => `Removed ${payload.service}` },
+  [EVENTS.SERVICE_SCALED]: { kind: 'scaling', label: (payload) => `${payload.service} scaled ${payload.from} -> ${payload.to}` },
+  [EVENTS.SPOT_INTERRUPTED]: { kind: 'interruption', label: (payload) => `${payload.service} spot capacity reclaimed` },
+  [EVENTS.SERVICE_HEALTH_CHANGED]: {
+    kind: 'outage',
+    label: (payload) => `${payload.service} failed`,
+    include: (payload) => payload.to === 'failed'
+  },
+  [EVENTS.SLA_WARNING]: { kind: 'sla', label: (payload) => `SLA budget ${Math.round(payload.burned * 100)}% burned` },
+  [EVENTS.GAME_OVER]: { kind: 'sla', label: (payload) => `Game over: ${payload.reason}` }
+};
+
+export class IncidentTimeline {
+  constructor(eventBus, gameState, scoringEngine, container, config = {}) {
+    this.eventBus = eventBus;
+    this.gameState = gameState;
+    this.scoringEngine = scoringEngine;
+    this.container = container;
+
+    this.pixelsPerTick = config.pixelsPerTick || 4;
+    this.onExport = config.onExport || null; // Called by the export button
+    this.followLatest = true; // Keep the newest tick in view until the player scrolls back
+
+    this.container.hidden = true;
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Set up event handlers
+   */
+  setupEventHandlers() {
+    this.unsubscribe = this.eventBus.on(EVENTS.UI_UPDATE, () => this.render());
+  }
+
+  /**
+   * Stop listening for updates
+   */
+  destroy() {
+    this.unsubscribe();
+  }
+
+  /**
+   * Show or hide the timeline
+   */
+  toggle() {
+    this.container.hidden = !this.container.hidden;
+    this.followLatest = true;
+    this.render();
+  }
+
+  /**
+   * Redraw the timeline from the scoring time series and event history
+   */
+  render() {
+    if (this.container.hidden) {
+      return;
+    }
+
+    const series = this.scoringEngine.getTimeSeries();
+    // Start a tick before the first score so setup (deployments at tick 0) shows
+    const firstTick = series.length > 0 ? series[0].tick - 1 : 0;
+    const lastTick = this.gameState.tick;
+    const { spans, markers } = collectIncidents(this.eventBus.getEventHistory(), firstTick, lastTick);
+
+    const previousScroll = this.container.querySelector('.timeline-scroll');
+    const scrollLeft = previousScroll ? previousScroll.scrollLeft : 0;
+
+    this.container.innerHTML = `
+      <h2>Incident Timeline <button class="timeline-export" title="Download the event history as NDJSON">Export</button></h2>
+      <div class="timeline-scroll">${this.renderChart(series, spans, markers, firstTick, lastTick)}</div>
+      ${this.renderLegend()}
+      ${section('Incidents', this.renderIncidentList(spans, markers))}
+    `;
+
+    const exportButton = this.container.querySelector('.timeline-export');
+    exportButton.onclick = () => this.onExport?.();
+
+    const scroll = this.container.querySelector('.timeline-scroll');
+    scroll.scrollLeft = this.followLatest ? scroll.scrollWidth : scrollLeft;
+    scroll.onscroll = () => {
+      this.followLatest = scroll.scrollLeft + scroll.clientWidth >= scroll.scrollWidth - this.pixelsPerTick;
+    };
+  }
+
+  /**
+   * Render the availability curve with incident bands and markers as SVG
+   */
+  renderChart(series, spans, markers, firstTick, lastTick) {
+    const width = Math.max(lastTick - firstTick, MIN_TICKS_SHOWN) * this.pixelsPerTick;
+    const height = CHART_HEIGHT + MARKER_LANE_HEIGHT;
+    const x = (tick) => ((tick - firstTick) * this.pixelsPerTick).toFixed(1);
+
+    // Scale availability to the range it actually covered, SLA threshold included
+    const slaThreshold = this.gameState.metrics.slaThreshold;
+    const floor = Math.max(0, Math.min(slaThreshold, ...series.map(point => point.availability)) - 1);
+    const y = (availability) => (CHART_HEIGHT - ((availability - floor) / (100 - floor)) * (CHART_HEIGHT - 4) - 2).toFixed(1);
+
+    // Spans that began before the oldest scored tick are clipped to it
+    const bands = spans.map(span => `
+      <rect class="timeline-span timeline-${span.kind}" x="${x(Math.max(span.from, firstTick))}" y="0"
+        width="${Math.max(this.pixelsPerTick, (span.to - Math.max(span.from, firstTick)) * this.pixelsPerTick)}" height="${CHART_HEIGHT}">
+        <title>T${span.from}-T${span.to}: ${escapeHtml(span.label)}</title>
+      </rect>
+    `);
+
+    const points = series.map(point => `${x(point.tick)},${y(point.availability)}`);
+
+    const pins = markers.map(marker => `
+      <circle class="timeline-marker timeline-${marker.kind}" cx="${x(marker.tick)}" cy="${CHART_HEIGHT + MARKER_LANE_HEIGHT / 2}" r="4">
+        <title>T${marker.tick}: ${escapeHtml(marker.label)}</title>
+      </circle>
+    `);
+
+    return `
+      <svg class="timeline-chart" width="${width}" height="${height}">
+        ${bands.join('')}
+        <line class="timeline-sla-threshold" x1="0" x2="${width}" y1="${y(slaThreshold)}" y2="${y(slaThreshold)}">
+          <title>SLA ${slaThreshold}%</title>
+        </line>
+        <polyline class="timeline-availability" points="${points.join(' ')}" />
+        ${pins.join('')}
+      </svg>
+    `;
+  }
+
+  /**
+   * Render the colour key for incident kinds
+   */
+  renderLegend() {
+    const kinds = ['attack', 'spike', 'failover', 'deploy', 'scaling', 'interruption', 'outage', 'sla'];
+    return `
+      <div class="timeline-legend">
+        ${kinds.map(kind => `<span class="timeline-key timeline-${kind}">${kind}</span>`).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render incidents newest first (metric() escapes the labels)
+   */
+  renderIncidentList(spans, markers) {
+    const incidents = [
+      ...spans.map(span => ({
+        tick: span.from,
+        kind: span.kind,
+        label: `${span.label} (${span.ongoing ? 'ongoing' : `${span.to - span.from} ticks`})`
+      })),
+      ...markers
+    ].sort((a, b) => b.tick - a.tick);
+
+    if (incidents.length === 0) {
+      return ['<div class="metric"><span class="metric-label">No incidents recorded yet</span></div>'];
+    }
+
+    return incidents
+      .slice(0, MAX_LISTED_INCIDENTS)
+      .map(incident => metric(`T${incident.tick}`, incident.label, `timeline-${incident.kind}`));
+  }
+}
+
+/**
+ * Turn event history records into incident spans and markers within a tick range
+ * Spans still open at the end of the history run to the last tick
+ */
+export function collectIncidents(history, firstTick, lastTick) {
+  const spans = [];
+  const markers = [];
+  const open = new Map(); // span key -> span waiting for its end event
+
+  for (const record of history) {
+    const spanEvent = SPAN_EVENTS[record.type];
+    if (spanEvent) {
+      const key = spanEvent.key(record.payload);
+      const ends = typeof spanEvent.ends === 'function' ? spanEvent.ends(record.payload) : spanEvent.ends;
+
+      if (ends) {
+        const span = open.get(key);
+        if (span) {
+          span.to = record.tick;
+          span.ongoing = false;
+          open.delete(key);
+        }
+      } else {
+        const span = { kind: spanEvent.kind, label: spanEvent.label(record.payload), from: record.tick, to: lastTick, ongoing: true };
+        open.set(key, span);
+        spans.push(span);
+      }
+      continue;
+    }
+
+    const markerEvent = MARKER_EVENTS[record.type];
+    if (markerEvent && (!markerEvent.include || markerEvent.include(record.payload))) {
+      markers.push({ kind: markerEvent.kind, label: markerEvent.label(record.payload), tick: record.tick });
+    }
+  }
+
+  return {
+    spans: spans.filter(span => span.to >= firstTick),
+    markers: markers.filter(marker => marker.tick >= firstTick)
+  };
+}
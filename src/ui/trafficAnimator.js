@@ -0,0 +1,203 @@
+/**
+ * Traffic flow animation for CloudFall
+ * Moves sampled requests as dots along the services in their processing path
+ */
+import { EVENTS } from "../engine/eventBus.js";
+import { NODE_WIDTH, NODE_HEIGHT } from "./renderer.js";
+
+// Dot colors by request type, plus outcome colors
+export const TRAFFIC_COLORS = {
+  user: '#00ff9c',
+  bot: '#4da6ff',
+  attack: '#c56cf0',
+  dropped: '#ff4757',
+  blocked: '#8a8f98'
+};
+
+const DOT_RADIUS = 3;
+
+export class TrafficAnimator {
+  constructor(eventBus, gameState, renderer, config = {}) {
+    this.eventBus = eventBus;
+    this.gameState = gameState;
+    this.renderer = renderer;
+
+    this.maxDotsPerTick = config.maxDotsPerTick || 40; // sample size per tick
+    this.maxDots = config.maxDots || 300; // hard cap on live dots
+    this.getTickDuration = config.getTickDuration || (() => 1000); // ms a dot takes to travel
+
+    this.dots = [];
+    this.hadDots = false; // Whether the last frame drew any dots
+    this.frameRequest = null;
+
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Set up event handlers
+   */
+  setupEventHandlers() {
+    this.unsubscribe = this.eventBus.on(EVENTS.UI_UPDATE, () => {
+      this.spawnDots(this.gameState.currentRequests || []);
+    });
+  }
+
+  /**
+   * Stop animating and listening for ticks
+   */
+  destroy() {
+    this.stop();
+    this.unsubscribe();
+  }
+
+  /**
+   * Start the animation loop
+   */
+  start() {
+    if (this.frameRequest !== null || typeof requestAnimationFrame === 'undefined') {
+      return;
+    }
+
+    const frame = (now) => {
+      this.draw(now);
+      this.frameRequest = requestAnimationFrame(frame);
+    };
+    this.frameRequest = requestAnimationFrame(frame);
+  }
+
+  /**
+   * Stop the animation loop
+   */
+  stop() {
+    if (this.frameRequest !== null) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+  }
+
+  /**
+   * Create dots for an evenly spaced sample of this tick's requests
+   */
+  spawnDots(requests) {
+    const layout = this.renderer.getLayout();
+    const startedAt = now();
+    const duration = this.getTickDuration();
+
+    // Stride sampling keeps the cost flat however much traffic there is
+    const stride = Math.max(1, Math.ceil(requests.length / this.maxDotsPerTick));
+
+    for (let i = 0; i < requests.length; i += stride) {
+      const dot = this.createDot(requests[i], layout, startedAt, duration);
+      if (dot) {
+        this.dots.push(dot);
+      }
+    }
+
+    // Oldest dots go first when over the cap
+    if (this.dots.length > this.maxDots) {
+      this.dots.splice(0, this.dots.length - this.maxDots);
+    }
+  }
+
+  /**
+   * Build a dot's waypoints from the request's processing path
+   */
+  createDot(request, layout, startedAt, duration) {
+    const serviceIds = request.processingPath.map(step => step.serviceId);
+
+    // Dropped and blocked requests end at the service that rejected them
+    const status = request.getStatus();
+    if (status === 'dropped' || status === 'blocked') {
+      const failure = request.errors[request.errors.length - 1];
+      if (failure?.serviceId) {
+        serviceIds.push(failure.serviceId);
+      }
+    }
+
+    const waypoints = serviceIds
+      .filter(serviceId => layout.has(serviceId))
+      .map(serviceId => {
+        const position = layout.get(serviceId);
+        return { x: position.x + NODE_WIDTH / 2, y: position.y + NODE_HEIGHT / 2 };
+      });
+
+    if (waypoints.length === 0) {
+      return null;
+    }
+
+    // Traffic arrives from the internet at the left edge
+    waypoints.unshift({ x: 0, y: waypoints[0].y });
+
+    return {
+      waypoints,
+      color: TRAFFIC_COLORS[request.type] || TRAFFIC_COLORS.user,
+      finalColor: TRAFFIC_COLORS[status] || null, // red/grey once the failure is reached
+      startedAt,
+      duration
+    };
+  }
+
+  /**
+   * Draw one animation frame
+   */
+  draw(time = now()) {
+    this.dots = this.dots.filter(dot => time - dot.startedAt < dot.duration);
+    if (this.dots.length === 0 && !this.hadDots) {
+      return;
+    }
+
+    // Redraw the topology under the dots
+    this.renderer.render();
+
+    const ctx = this.renderer.ctx;
+    for (const dot of this.dots) {
+      const progress = Math.max(0, (time - dot.startedAt) / dot.duration);
+      const { point, arrived } = interpolate(dot.waypoints, progress);
+
+      ctx.fillStyle = arrived && dot.finalColor ? dot.finalColor : dot.color;
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, DOT_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    this.hadDots = this.dots.length > 0;
+  }
+
+  /**
+   * Remove all dots
+   */
+  clear() {
+    this.dots = [];
+  }
+}
+
+/**
+ * Current time in milliseconds for animation
+ */
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Position along a polyline after travelling the given fraction of it
+ * Dots reach the last waypoint at 80% of their lifetime and rest there
+ */
+function interpolate(waypoints, progress) {
+  const travel = Math.min(progress / 0.8, 1);
+  const segments = waypoints.length - 1;
+
+  if (segments === 0 || travel >= 1) {
+    return { point: waypoints[waypoints.length - 1], arrived: true };
+  }
+
+  const position = travel * segments;
+  const index = Math.floor(position);
+  const t = position - index;
+  const from = waypoints[index];
+  const to = waypoints[index + 1];
+
+  return {
+    point: { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t },
+    arrived: false
+  };
+}